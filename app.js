@@ -23,6 +23,10 @@ app.use(
   })
 );
 
+// Uploaded covers are served ahead of the rate limit, since a single page of
+// the book list shows a thumbnail per book. They are cached for good anyway.
+app.use('/files', require('./routes/files'));
+
 // set up express rate limit
 const RateLimit = require('express-rate-limit');
 const limiter = RateLimit({
@@ -42,6 +46,27 @@ app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// set up sessions, stored in the same MongoDB database as the catalog
+const session = require('express-session');
+const MongoStore = require('connect-mongo');
+app.use(
+  session({
+    secret: process.env.SESSION_SECRET,
+    resave: false,
+    saveUninitialized: false,
+    store: MongoStore.create({ mongoUrl: process.env.MONGO_URI }),
+    cookie: {
+      httpOnly: true,
+      sameSite: 'lax',
+      maxAge: 7 * 24 * 60 * 60 * 1000, // one week in ms
+    },
+  })
+);
+
+// make the logged in user (if any) available as req.user and currentUser
+const { loadUser } = require('./middleware/auth');
+app.use(loadUser);
+
 // Database connection
 const Database = require('./bin/Database.js');
 
@@ -49,11 +74,13 @@ const Database = require('./bin/Database.js');
 var indexRouter = require('./routes/index');
 var usersRouter = require('./routes/users');
 const catalogRouter = require('./routes/catalog');
+const apiRouter = require('./routes/api');
 
 // API endpoints
 app.use('/', indexRouter);
 app.use('/users', usersRouter);
 app.use('/catalog', catalogRouter);
+app.use('/api/v1', apiRouter);
 
 // catch 404 and forward to error handler
 app.use(function(req, res, next) {
@@ -0,0 +1,28 @@
+#! /usr/bin/env node
+
+// A fake SMTP server for trying out the email notifications locally. It
+// accepts every message, prints it and delivers nothing. Point the app at it
+// with SMTP_HOST=localhost SMTP_PORT=2525 in .env.
+//
+// Usage: node bin/fake-smtp.js [port]   (or: npm run fake-smtp)
+
+const { SMTPServer } = require('smtp-server');
+
+const port = parseInt(process.argv[2], 10) || 2525;
+
+const server = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  onData(stream, session, callback) {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => {
+      const to = session.envelope.rcptTo.map((rcpt) => rcpt.address).join(', ');
+      console.log(`----- message from ${session.envelope.mailFrom.address} to ${to} -----`);
+      console.log(Buffer.concat(chunks).toString('utf8'));
+      callback();
+    });
+  },
+});
+
+server.listen(port, () => console.log(`Fake SMTP server listening on port ${port}`));
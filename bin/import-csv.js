@@ -0,0 +1,57 @@
+#! /usr/bin/env node
+
+// Import books from a CSV file (see services/csvImport.js for the columns).
+// Without --commit this is a dry run that only prints what would happen.
+//
+// Usage: node bin/import-csv.js <file.csv> [--commit] [mongodb uri]
+// (the database defaults to MONGO_URI from .env)
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const csvImport = require('../services/csvImport');
+
+const args = process.argv.slice(2);
+const commit = args.includes('--commit');
+const [file, mongoDB = process.env.MONGO_URI] = args.filter((arg) => arg !== '--commit');
+
+if (!file) {
+  console.log('Usage: node bin/import-csv.js <file.csv> [--commit] [mongodb uri]');
+  process.exit(1);
+}
+
+main().catch((err) => {
+  console.log(err.message);
+  process.exitCode = 1;
+}).finally(() => mongoose.connection.close());
+
+async function main() {
+  const rows = csvImport.parseCsv(fs.readFileSync(file, 'utf8'));
+
+  await mongoose.connect(mongoDB);
+  const plan = await csvImport.planImport(rows);
+
+  if (plan.errors.length) {
+    plan.errors.forEach((error) => console.log(error));
+    process.exitCode = 1;
+    return;
+  }
+
+  for (const row of plan.rows) {
+    const copies = row.copies.count ? `, ${row.copies.count} copies` : '';
+    if (row.action === 'reject') {
+      console.log(`line ${row.line}: REJECT ${row.errors.join('; ')}`);
+    } else {
+      console.log(`line ${row.line}: ${row.action.toUpperCase()} ${row.book.isbn} ${row.book.title}${copies}`);
+    }
+  }
+  console.log(`${plan.counts.create} to create, ${plan.counts.match} matched, ${plan.counts.reject} rejected`);
+
+  if (!commit) {
+    console.log('Dry run, nothing was saved. Run again with --commit to import.');
+    return;
+  }
+
+  const created = await csvImport.commitImport(plan);
+  console.log(`Created ${created.books} books, ${created.authors} authors, ${created.genres} genres, ${created.publishers} publishers, ${created.editions} editions and ${created.bookinstances} copies`);
+}
@@ -0,0 +1,20 @@
+// Circulation settings. Each one can be overridden from the environment
+// (e.g. in .env), otherwise the defaults below are used. The loan settings are
+// the defaults for loans that no loan policy matches, see services/loanPolicies.js.
+
+const { intFromEnv } = require('../utils/env');
+
+module.exports = {
+  // number of days a copy can be borrowed for, and how far a renewal extends it
+  loanPeriodDays: intFromEnv('LOAN_PERIOD_DAYS', 21),
+  // how many times a single loan can be renewed
+  maxRenewals: intFromEnv('MAX_RENEWALS', 2),
+  // days a patron has to collect a copy set aside for their hold
+  holdPickupDays: intFromEnv('HOLD_PICKUP_DAYS', 7),
+  // how many copies a patron can have out at once
+  maxLoans: intFromEnv('MAX_LOANS', 10),
+  // overdue fine charged per day late, in cents
+  fineDailyRate: intFromEnv('FINE_DAILY_RATE', 25),
+  // most that can be charged for a single loan, in cents
+  fineMax: intFromEnv('FINE_MAX', 1000),
+};
@@ -0,0 +1,16 @@
+// Dashboard settings.
+
+const { intFromEnv } = require('../utils/env');
+
+module.exports = {
+  // how long computed figures are kept before they are worked out again
+  cacheSeconds: intFromEnv('DASHBOARD_CACHE_SECONDS', 600),
+  // how many date ranges are cached at once, the oldest are dropped first
+  cacheRanges: intFromEnv('DASHBOARD_CACHE_RANGES', 20),
+  // rows shown in the "top" widgets (most borrowed, authors, demand)
+  topCount: intFromEnv('DASHBOARD_TOP_COUNT', 10),
+  // most rows in the list widgets (never borrowed), and their CSV downloads
+  listCount: intFromEnv('DASHBOARD_LIST_COUNT', 500),
+  // date range shown when none is picked
+  defaultDays: intFromEnv('DASHBOARD_DEFAULT_DAYS', 30),
+};
@@ -0,0 +1,14 @@
+// Barcode and label settings.
+
+const { intFromEnv } = require('../utils/env');
+
+module.exports = {
+  // copy barcodes are the prefix and a zero-padded number, e.g. LL0000042
+  barcodePrefix: (process.env.BARCODE_PREFIX || 'LL').toUpperCase(),
+  barcodeDigits: intFromEnv('BARCODE_DIGITS', 7),
+  // where the QR codes on labels point, e.g. https://library.example.org.
+  // Without it the address the label sheet was requested from is used.
+  publicUrl: process.env.PUBLIC_URL || '',
+  // most labels in one sheet download
+  maxLabels: intFromEnv('MAX_LABELS', 300),
+};
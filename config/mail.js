@@ -0,0 +1,24 @@
+// Email settings. Nothing is sent until SMTP_HOST is set; notifications wait
+// in the queue. For trying it out locally, `npm run fake-smtp` starts a
+// server on port 2525 that prints every message instead of delivering it.
+
+const { intFromEnv } = require('../utils/env');
+
+module.exports = {
+  smtp: {
+    host: process.env.SMTP_HOST || '',
+    port: intFromEnv('SMTP_PORT', 587),
+    secure: process.env.SMTP_SECURE === 'true', // true for port 465
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  },
+  from: process.env.MAIL_FROM || 'Local Library <library@localhost>',
+  // used for the links in emails, like config/labels.js
+  publicUrl: process.env.PUBLIC_URL || 'http://localhost:3000',
+  // reminders go out this many days before a loan is due
+  dueSoonDays: intFromEnv('DUE_SOON_DAYS', 2),
+  // the librarians' digest goes out once a day, after this hour (server time)
+  digestHour: intFromEnv('DIGEST_HOUR', 7),
+  // tries per email before it is marked failed, waiting longer each time
+  maxAttempts: intFromEnv('MAIL_MAX_ATTEMPTS', 5),
+  retryMinutes: intFromEnv('MAIL_RETRY_MINUTES', 5),
+};
@@ -0,0 +1,9 @@
+// Page sizes for the list pages and list API endpoints. The default can be
+// overridden from the environment; clients can ask for up to maxPageSize.
+
+const { intFromEnv } = require('../utils/env');
+
+module.exports = {
+  defaultPageSize: intFromEnv('PAGE_SIZE', 20),
+  maxPageSize: 100,
+};
@@ -0,0 +1,16 @@
+// Where uploaded files (book covers and attachments) are kept, and how big
+// they may be.
+const path = require('path');
+const { intFromEnv } = require('../utils/env');
+
+module.exports = {
+  // storage adapter, see services/storage/index.js
+  driver: process.env.STORAGE_DRIVER || 'local',
+  // directory the "local" adapter writes to
+  localRoot: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+  // largest cover image and attachment accepted, in bytes
+  maxCoverSize: intFromEnv('MAX_COVER_SIZE', 5 * 1024 * 1024),
+  maxAttachmentSize: intFromEnv('MAX_ATTACHMENT_SIZE', 20 * 1024 * 1024),
+  // width of the generated cover thumbnails, in pixels
+  thumbnailWidth: intFromEnv('THUMBNAIL_WIDTH', 160),
+};
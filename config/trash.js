@@ -0,0 +1,8 @@
+// Trash settings.
+
+const { intFromEnv } = require('../utils/env');
+
+module.exports = {
+  // days a deleted record stays in the trash before it is purged for good
+  retentionDays: intFromEnv('TRASH_RETENTION_DAYS', 30),
+};
@@ -0,0 +1,167 @@
+const Loan = require('../models/Loan.js');
+const Hold = require('../models/Hold.js');
+const User = require('../models/User.js');
+const FineTransaction = require('../models/FineTransaction.js');
+const circulation = require('../services/circulation');
+const holds = require('../services/holds');
+const fines = require('../services/fines');
+const loanPolicies = require('../services/loanPolicies');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// "My Account": a signed in patron's own loans, holds and fines. Every
+// handler here only ever looks at req.user's records.
+
+const HISTORY_PAGE_SIZE = 25;
+
+const copyPopulate = {
+  path: 'book_instance',
+  populate: [{ path: 'book', select: 'title' }, { path: 'edition', populate: { path: 'publisher' } }],
+};
+
+const renderAccount = async (req, res, errors) => {
+  const patronId = req.user._id;
+
+  const [loans, openHolds, balance, recentFines] = await Promise.all([
+    Loan.find({ patron: patronId, returned_at: null })
+      .populate(copyPopulate)
+      .sort({ due_back: 1 })
+      .exec(),
+    Hold.find({ patron: patronId, status: { $in: ['ready', 'waiting'] } })
+      .sort({ status: 1, placed_at: 1 })
+      .exec(),
+    fines.balanceFor(patronId),
+    FineTransaction.find({ patron: patronId })
+      .sort({ created_at: -1 })
+      .limit(10)
+      .exec(),
+  ]);
+
+  const holdRows = await Promise.all(openHolds.map(async (hold) => {
+    const { queueLength, position } = await holds.queueFor(hold.book, patronId);
+    return { hold, position, queue_length: queueLength };
+  }));
+  // after the queues, which need the book ids
+  await Hold.populate(openHolds, { path: 'book', select: 'title' });
+
+  res.render('account', {
+    title: 'My Account',
+    loans: loans.map((loan) => ({
+      loan,
+      terms: loanPolicies.termsOf(loan),
+      renewal_blocked: circulation.renewalBlockedReason(loan),
+    })),
+    hold_rows: holdRows,
+    balance_formatted: FineTransaction.formatAmount(balance),
+    owes: balance > 0,
+    recent_fines: recentFines,
+    errors,
+  });
+};
+
+// Display the patron's account page.
+exports.account_get = asyncHandler(async (req, res, next) => {
+  await renderAccount(req, res);
+});
+
+// Display the patron's past loans, newest first, a page at a time.
+exports.account_history = asyncHandler(async (req, res, next) => {
+  const filter = { patron: req.user._id, returned_at: { $ne: null } };
+  const total = await Loan.countDocuments(filter).exec();
+  const pages = Math.max(Math.ceil(total / HISTORY_PAGE_SIZE), 1);
+  const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), pages);
+
+  const pastLoans = await Loan.find(filter)
+    .populate(copyPopulate)
+    .sort({ checked_out_at: -1 })
+    .skip((page - 1) * HISTORY_PAGE_SIZE)
+    .limit(HISTORY_PAGE_SIZE)
+    .exec();
+
+  res.render('account_history', {
+    title: 'My Loan History',
+    loans: pastLoans,
+    page,
+    pages,
+    total,
+  });
+});
+
+// Handle a patron renewing one of their loans on POST. A loan that can't be
+// renewed shows the account page again with the reason.
+exports.account_renew_post = asyncHandler(async (req, res, next) => {
+  try {
+    await circulation.renew({ loanId: req.params.id, user: req.user });
+  } catch (err) {
+    if (err.status !== 409) throw err;
+    return renderAccount(req, res, [{ msg: err.message }]);
+  }
+  res.redirect('/users/account');
+});
+
+// Handle a patron cancelling one of their holds on POST.
+exports.account_hold_cancel_post = asyncHandler(async (req, res, next) => {
+  try {
+    await holds.cancelHold({ holdId: req.params.id, user: req.user });
+  } catch (err) {
+    if (err.status !== 409) throw err;
+    return renderAccount(req, res, [{ msg: err.message }]);
+  }
+  res.redirect('/users/account');
+});
+
+// Display the contact details and notification settings form on GET.
+exports.account_update_get = (req, res, next) => {
+  res.render('account_form', {
+    title: 'Contact Details and Notifications',
+    user: req.user,
+  });
+};
+
+// The notification checkboxes, as { due_soon: true, ... }. An unticked box
+// isn't sent at all.
+const notifyFields = (req) => ({
+  due_soon: req.body.notify_due_soon === 'on',
+  overdue: req.body.notify_overdue === 'on',
+  hold_ready: req.body.notify_hold_ready === 'on',
+});
+
+// Handle the contact details form on POST.
+exports.account_update_post = [
+  body('email', 'A valid email address is required')
+    .trim()
+    .isEmail()
+    .normalizeEmail(),
+  body('phone', 'Phone number can only have digits, spaces and + - ( ), up to 30 characters')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^[0-9 +()-]{3,30}$/),
+  body('address', 'Address must be at most 300 characters')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 300 })
+    .escape(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    const fields = {
+      email: req.body.email,
+      phone: req.body.phone || '',
+      address: req.body.address || '',
+      notify: notifyFields(req),
+    };
+
+    if (!errors.isEmpty()) {
+      res.render('account_form', {
+        title: 'Contact Details and Notifications',
+        user: { ...fields, username: req.user.username },
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    await User.findByIdAndUpdate(req.user._id, fields, { runValidators: true }).exec();
+    res.redirect('/users/account');
+  }),
+];
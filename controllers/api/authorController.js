@@ -0,0 +1,101 @@
+const Author = require('../../models/Author.js');
+const Book = require('../../models/Book.js');
+
+const listings = require('../../services/listings');
+const audit = require('../../services/audit');
+const trash = require('../../services/trash');
+const asyncHandler = require('express-async-handler');
+const { author_validation } = require('../authorController');
+const { rejectInvalid, httpError } = require('./helpers');
+
+// GET /api/v1/authors?page=&limit=&sort=&order= plus the list's filters
+exports.author_list = asyncHandler(async (req, res, next) => {
+    const { items, pagination } = await listings.list('authors', req.query);
+
+    res.json({ authors: items, pagination });
+});
+
+// GET /api/v1/authors/:id
+exports.author_detail = asyncHandler(async (req, res, next) => {
+    const [author, allBooksByAuthor] = await Promise.all([
+        Author.findById(req.params.id).exec(),
+        Book.find({ 'contributors.author': req.params.id }, 'title summary contributors').exec(),
+    ]);
+
+    if (author === null) {
+        return next(httpError(404, 'Author not found'));
+    }
+
+    res.json({ author, author_books: allBooksByAuthor });
+});
+
+// POST /api/v1/authors
+exports.author_create = [
+    ...author_validation,
+
+    asyncHandler(async (req, res, next) => {
+        if (rejectInvalid(req, res)) return;
+
+        const author = new Author({
+            first_name: req.body.first_name,
+            family_name: req.body.family_name,
+            date_of_birth: req.body.date_of_birth,
+            date_of_death: req.body.date_of_death,
+        });
+
+        await author.save();
+        await audit.record('create', { after: author, actor: req.user });
+        res.status(201).location(`/api/v1/authors/${author._id}`).json({ author });
+    }),
+];
+
+// PUT /api/v1/authors/:id
+exports.author_update = [
+    ...author_validation,
+
+    asyncHandler(async (req, res, next) => {
+        if (rejectInvalid(req, res)) return;
+
+        const previous = await Author.findById(req.params.id).exec();
+        const updatedAuthor = await Author.findByIdAndUpdate(
+            req.params.id,
+            {
+                first_name: req.body.first_name,
+                family_name: req.body.family_name,
+                date_of_birth: req.body.date_of_birth,
+                date_of_death: req.body.date_of_death,
+            },
+            { new: true, runValidators: true }
+        ).exec();
+
+        if (updatedAuthor === null) {
+            return next(httpError(404, 'Author not found'));
+        }
+
+        await audit.record('update', { before: previous, after: updatedAuthor, actor: req.user });
+
+        res.json({ author: updatedAuthor });
+    }),
+];
+
+// DELETE /api/v1/authors/:id
+exports.author_delete = asyncHandler(async (req, res, next) => {
+    const [author, allBooksByAuthor] = await Promise.all([
+        Author.findById(req.params.id).exec(),
+        Book.find({ 'contributors.author': req.params.id }, 'title').exec(),
+    ]);
+
+    if (author === null) {
+        return next(httpError(404, 'Author not found'));
+    }
+
+    if (allBooksByAuthor.length > 0) {
+        return res.status(409).json({
+            message: 'Delete the books by this author before deleting the author.',
+            author_books: allBooksByAuthor,
+        });
+    }
+
+    await trash.softDelete(Author, req.params.id, req.user);
+    res.status(204).end();
+});
@@ -0,0 +1,133 @@
+const Book = require('../../models/Book.js');
+const BookInstance = require('../../models/BookInstance.js');
+const Edition = require('../../models/Edition.js');
+
+const listings = require('../../services/listings');
+const audit = require('../../services/audit');
+const trash = require('../../services/trash');
+const asyncHandler = require('express-async-handler');
+const { book_validation, find_duplicate_isbn, series_fields } = require('../bookController');
+const { rejectInvalid, httpError } = require('./helpers');
+
+// GET /api/v1/books?page=&limit=&sort=&order= plus the list's filters
+exports.book_list = asyncHandler(async (req, res, next) => {
+  const { items, pagination } = await listings.list('books', req.query);
+
+  res.json({ books: items, pagination });
+});
+
+// GET /api/v1/books/:id
+exports.book_detail = asyncHandler(async (req, res, next) => {
+  const [book, editions, bookInstances] = await Promise.all([
+    Book.findById(req.params.id).populate('contributors.author').populate('genre').populate('series').exec(),
+    Edition.find({ book: req.params.id }).populate('publisher').exec(),
+    BookInstance.find({ book: req.params.id }).exec(),
+  ]);
+
+  if (book === null) {
+    return next(httpError(404, 'Book not found.'));
+  }
+
+  res.json({ book, editions, book_instances: bookInstances });
+});
+
+// 409 pointing at the book that already has this ISBN
+const rejectDuplicate = (res, duplicate) => {
+  if (duplicate.deleted_at) {
+    // not visible through the API any more, so no Location
+    return res.status(409).json({ message: 'A book with this ISBN is in the trash.', book: duplicate });
+  }
+  res.status(409)
+    .location(`/api/v1/books/${duplicate._id}`)
+    .json({ message: 'A book with this ISBN already exists.', book: duplicate });
+};
+
+// POST /api/v1/books
+exports.book_create = [
+  ...book_validation,
+
+  asyncHandler(async (req, res, next) => {
+    if (rejectInvalid(req, res)) return;
+
+    const duplicate = await find_duplicate_isbn(req.body.isbn);
+    if (duplicate) return rejectDuplicate(res, duplicate);
+
+    const book = new Book({
+      title: req.body.title,
+      contributors: req.body.contributors,
+      summary: req.body.summary,
+      isbn: req.body.isbn,
+      genre: req.body.genre,
+      ...series_fields(req),
+    });
+
+    await book.save();
+    await audit.record('create', { after: book, actor: req.user });
+    res.status(201).location(`/api/v1/books/${book._id}`).json({ book });
+  }),
+];
+
+// PUT /api/v1/books/:id
+exports.book_update = [
+  ...book_validation,
+
+  asyncHandler(async (req, res, next) => {
+    if (rejectInvalid(req, res)) return;
+
+    const duplicate = await find_duplicate_isbn(req.body.isbn, req.params.id);
+    if (duplicate) return rejectDuplicate(res, duplicate);
+
+    const previous = await Book.findById(req.params.id).exec();
+    const updatedBook = await Book.findByIdAndUpdate(
+      req.params.id,
+      {
+        title: req.body.title,
+        contributors: req.body.contributors,
+        summary: req.body.summary,
+        isbn: req.body.isbn,
+        genre: req.body.genre,
+        ...series_fields(req),
+      },
+      { new: true, runValidators: true }
+    ).exec();
+
+    if (updatedBook === null) {
+      return next(httpError(404, 'Book not found.'));
+    }
+
+    await audit.record('update', { before: previous, after: updatedBook, actor: req.user });
+
+    res.json({ book: updatedBook });
+  }),
+];
+
+// DELETE /api/v1/books/:id
+exports.book_delete = asyncHandler(async (req, res, next) => {
+  const [book, allBookInstances, allEditions] = await Promise.all([
+    Book.findById(req.params.id).exec(),
+    BookInstance.find({ book: req.params.id }, '_id status').exec(),
+    Edition.find({ book: req.params.id }, '_id').exec(),
+  ]);
+
+  if (book === null) {
+    return next(httpError(404, 'Book not found.'));
+  }
+
+  if (allBookInstances.length > 0) {
+    // same rule as the HTML form: copies have to go first
+    return res.status(409).json({
+      message: 'Delete all copies of this book before deleting it.',
+      book_instances: allBookInstances,
+    });
+  }
+
+  if (allEditions.length > 0) {
+    return res.status(409).json({
+      message: 'Delete all editions of this book before deleting it.',
+      editions: allEditions,
+    });
+  }
+
+  await trash.softDelete(Book, req.params.id, req.user);
+  res.status(204).end();
+});
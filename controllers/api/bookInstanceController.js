@@ -0,0 +1,143 @@
+const BookInstance = require('../../models/BookInstance.js');
+const Loan = require('../../models/Loan.js');
+const Transfer = require('../../models/Transfer.js');
+
+const listings = require('../../services/listings');
+const audit = require('../../services/audit');
+const trash = require('../../services/trash');
+const copyStatus = require('../../services/copyStatus');
+const circulation = require('../../services/circulation');
+const holds = require('../../services/holds');
+const asyncHandler = require('express-async-handler');
+const { bookinstance_validation, bookinstance_location } = require('../bookInstanceController');
+const { rejectInvalid, httpError } = require('./helpers');
+
+// GET /api/v1/bookinstances?page=&limit=&sort=&order= plus the list's filters
+exports.bookinstance_list = asyncHandler(async (req, res, next) => {
+    const { items, pagination } = await listings.list('bookinstances', req.query);
+
+    res.json({ bookinstances: items, pagination });
+});
+
+// GET /api/v1/bookinstances/:id
+exports.bookinstance_detail = asyncHandler(async (req, res, next) => {
+    const bookInstance = await BookInstance.findById(req.params.id)
+        .populate('book')
+        .populate({ path: 'edition', populate: { path: 'publisher' } })
+        .exec();
+
+    if (bookInstance === null) {
+        return next(httpError(404, 'Book copy not found'));
+    }
+
+    res.json({ bookinstance: bookInstance });
+});
+
+// POST /api/v1/bookinstances
+exports.bookinstance_create = [
+    ...bookinstance_validation,
+
+    asyncHandler(async (req, res, next) => {
+        if (rejectInvalid(req, res)) return;
+
+        const bookInstance = new BookInstance({
+            book: req.body.book, // the edition's book, see bookinstance_validation
+            edition: req.body.edition,
+            status: req.body.status,
+            due_back: req.body.due_back,
+            item_type: req.body.item_type,
+            ...(await bookinstance_location(req)),
+        });
+
+        await bookInstance.save();
+        await audit.record('create', { after: bookInstance, actor: req.user });
+        await copyStatus.record({
+            bookInstanceId: bookInstance._id,
+            to: bookInstance.status,
+            reason: req.body.status_reason,
+            changedBy: req.user._id,
+        });
+        // a copy on the shelf goes to whoever is waiting for the book
+        const hold = bookInstance.status === 'Available' ? await holds.assignCopy(bookInstance) : null;
+        res.status(201)
+            .location(`/api/v1/bookinstances/${bookInstance._id}`)
+            .json({ bookinstance: hold ? await BookInstance.findById(bookInstance._id).exec() : bookInstance });
+    }),
+];
+
+// PUT /api/v1/bookinstances/:id
+exports.bookinstance_update = [
+    ...bookinstance_validation,
+
+    asyncHandler(async (req, res, next) => {
+        if (rejectInvalid(req, res)) return;
+
+        const update = {
+            book: req.body.book,
+            edition: req.body.edition,
+            status: req.body.status,
+            due_back: req.body.due_back,
+            item_type: req.body.item_type,
+            ...(await bookinstance_location(req)),
+        };
+
+        // status and due date of a copy on loan belong to the circulation
+        // desk, unless the patron lost it
+        const activeLoan = await Loan.findOne({ book_instance: req.params.id, returned_at: null }).exec();
+        const lostOnLoan = activeLoan !== null && req.body.status === 'Lost';
+        if (activeLoan !== null && !lostOnLoan) {
+            update.status = 'Loaned';
+            update.due_back = activeLoan.due_back;
+        }
+        // and its status on the way to another branch to the transfer
+        if (await Transfer.exists({ book_instance: req.params.id, status: 'in_transit' })) {
+            update.status = 'In Transit';
+        }
+
+        const previous = await BookInstance.findById(req.params.id).exec();
+        const updatedBookInstance = await BookInstance.findByIdAndUpdate(
+            req.params.id,
+            update,
+            { new: true, runValidators: true }
+        ).exec();
+
+        if (updatedBookInstance === null) {
+            return next(httpError(404, 'Book copy not found'));
+        }
+
+        await audit.record('update', { before: previous, after: updatedBookInstance, actor: req.user });
+        await copyStatus.record({
+            bookInstanceId: updatedBookInstance._id,
+            from: previous.status,
+            to: updatedBookInstance.status,
+            reason: req.body.status_reason,
+            changedBy: req.user._id,
+        });
+        if (lostOnLoan) await circulation.closeLostLoan(updatedBookInstance._id);
+        const hold = updatedBookInstance.status === 'Available' && previous.status !== 'Available'
+            ? await holds.assignCopy(updatedBookInstance)
+            : null;
+
+        res.json({ bookinstance: hold ? await BookInstance.findById(req.params.id).exec() : updatedBookInstance });
+    }),
+];
+
+// DELETE /api/v1/bookinstances/:id
+exports.bookinstance_delete = asyncHandler(async (req, res, next) => {
+    const bookInstance = await BookInstance.findById(req.params.id).exec();
+
+    if (bookInstance === null) {
+        return next(httpError(404, 'Book copy not found'));
+    }
+
+    if (bookInstance.status !== 'Available') {
+        // a copy that is out on loan or in maintenance can't be removed
+        return res.status(409).json({
+            message: 'Only available copies can be deleted.',
+            bookinstance: bookInstance,
+        });
+    }
+
+    await trash.softDelete(BookInstance, req.params.id, req.user);
+    res.status(204).end();
+});
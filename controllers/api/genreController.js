@@ -0,0 +1,135 @@
+const Genre = require('../../models/Genre.js');
+const Book = require('../../models/Book.js');
+
+const listings = require('../../services/listings');
+const audit = require('../../services/audit');
+const trash = require('../../services/trash');
+const genres = require('../../services/genres');
+const asyncHandler = require('express-async-handler');
+const { body } = require('express-validator');
+const { genre_validation, genre_fields, find_clash } = require('../genreController');
+const { rejectInvalid, httpError } = require('./helpers');
+
+// GET /api/v1/genres?page=&limit=&sort=&order= plus the list's filters
+exports.genre_list = asyncHandler(async (req, res, next) => {
+  const { items, pagination } = await listings.list('genres', req.query);
+
+  res.json({ genres: items, pagination });
+});
+
+// GET /api/v1/genres/:id, with the books in it and in its subgenres
+exports.genre_detail = asyncHandler(async (req, res, next) => {
+  const [genre, subgenres, descendantIds] = await Promise.all([
+    Genre.findById(req.params.id).exec(),
+    Genre.find({ parent: req.params.id }).exec(),
+    genres.descendantIds(req.params.id),
+  ]);
+
+  if (genre === null) {
+    return next(httpError(404, 'Genre Not Found'));
+  }
+
+  const booksInGenre = await Book.find({ genre: { $in: [genre._id, ...descendantIds] } }, 'title summary genre').exec();
+
+  res.json({ genre, subgenres, genre_books: booksInGenre });
+});
+
+// POST /api/v1/genres
+exports.genre_create = [
+  ...genre_validation,
+
+  asyncHandler(async (req, res, next) => {
+    if (rejectInvalid(req, res)) return;
+
+    const genre = new Genre(genre_fields(req));
+
+    // the HTML form redirects to an existing genre with the same name; here
+    // we report the clash and point at it instead.
+    const genreExists = await find_clash(genre);
+
+    if (genreExists) {
+      return res
+        .status(409)
+        .location(`/api/v1/genres/${genreExists._id}`)
+        .json({ message: 'A genre with this name or alias already exists.', genre: genreExists });
+    }
+
+    await genre.save();
+    await audit.record('create', { after: genre, actor: req.user });
+
+    res.status(201).location(`/api/v1/genres/${genre._id}`).json({ genre });
+  }),
+];
+
+// PUT /api/v1/genres/:id
+exports.genre_update = [
+  ...genre_validation,
+
+  asyncHandler(async (req, res, next) => {
+    if (rejectInvalid(req, res)) return;
+
+    const genre = await Genre.findById(req.params.id).exec();
+
+    if (genre === null) {
+      return next(httpError(404, 'Genre Not Found'));
+    }
+
+    const previous = Genre.hydrate(genre.toObject());
+    genre.set(genre_fields(req));
+
+    const genreExists = await find_clash(genre);
+
+    if (genreExists) {
+      return res
+        .status(409)
+        .json({ message: 'A genre with this name or alias already exists.', genre: genreExists });
+    }
+
+    await genre.save();
+    await audit.record('update', { before: previous, after: genre, actor: req.user });
+
+    res.json({ genre });
+  }),
+];
+
+// DELETE /api/v1/genres/:id
+exports.genre_delete = asyncHandler(async (req, res, next) => {
+  const [genre, allBooksWithGenre, subgenres] = await Promise.all([
+    Genre.findById(req.params.id).exec(),
+    Book.find({ genre: req.params.id }, 'title').exec(),
+    Genre.find({ parent: req.params.id }, 'name').exec(),
+  ]);
+
+  if (genre === null) {
+    return next(httpError(404, 'Genre Not Found'));
+  }
+
+  if (allBooksWithGenre.length > 0) {
+    return res.status(409).json({
+      message: 'Remove this genre from its books before deleting it.',
+      genre_books: allBooksWithGenre,
+    });
+  }
+
+  if (subgenres.length > 0) {
+    return res.status(409).json({
+      message: 'Move or delete the subgenres of this genre before deleting it.',
+      subgenres,
+    });
+  }
+
+  await trash.softDelete(Genre, req.params.id, req.user);
+  res.status(204).end();
+});
+
+// POST /api/v1/genres/:id/merge with { "into": "<genre id>" }
+exports.genre_merge = [
+  body('into', 'Genre to merge into must be specified').trim().isMongoId(),
+
+  asyncHandler(async (req, res, next) => {
+    if (rejectInvalid(req, res)) return;
+
+    const target = await genres.merge(req.params.id, req.body.into, req.user);
+    res.json({ genre: target });
+  }),
+];
@@ -0,0 +1,34 @@
+const { validationResult } = require('express-validator');
+
+// Shape the express-validator errors for a request into a list of
+// { field, location, message, value } objects. Returns an empty array when
+// the request is valid.
+exports.validationErrors = (req) => {
+    return validationResult(req).array().map((error) => ({
+        field: error.path,
+        location: error.location,
+        message: error.msg,
+        value: error.value,
+    }));
+};
+
+// Reply with 422 and the structured validation errors. Returns true when a
+// response was sent so handlers can bail out early.
+exports.rejectInvalid = (req, res) => {
+    const errors = exports.validationErrors(req);
+
+    if (errors.length === 0) {
+        return false;
+    }
+
+    res.status(422).json({ errors });
+    return true;
+};
+
+// Build an error carrying an HTTP status, the same way the HTML controllers
+// do before handing it to next().
+exports.httpError = (status, message) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
@@ -0,0 +1,28 @@
+const search = require('../../services/search');
+const asyncHandler = require('express-async-handler');
+const { search_validation } = require('../searchController');
+const { rejectInvalid } = require('./helpers');
+
+// GET /api/v1/search?q=&genre=&author=&available=
+exports.search = [
+  ...search_validation,
+
+  asyncHandler(async (req, res, next) => {
+    if (rejectInvalid(req, res)) return;
+
+    const results = await search.searchCatalog(req.query);
+
+    res.json({
+      query: req.query.q || '',
+      results: results.map((result) => ({
+        book: result.book,
+        score: result.score,
+        highlights: {
+          title: result.title_html,
+          summary: result.summary_html,
+          author: result.author_html,
+        },
+      })),
+    });
+  }),
+];
@@ -1,22 +1,38 @@
 const Author = require('../models/Author.js');
 const Book = require('../models/Book.js');
+const listings = require('../services/listings');
+const branches = require('../services/branches');
+const audit = require('../services/audit');
+const trash = require('../services/trash');
 const asyncHandler = require('express-async-handler');
 const { body, validationResult } = require('express-validator');
 
-// Display list of all Authors
+// Display list of all Authors, a page at a time
 exports.author_list = asyncHandler(async (req, res, next) => {
-    const allAuthors = await Author.find({})
-        .sort({family_name: 1})
-        .exec()
+    const [{ items, ...listing }, allBranches] = await Promise.all([
+        listings.list('authors', req.query),
+        branches.all(),
+    ]);
 
-    res.render('author_list', { title: 'Author List', author_list: allAuthors });
+    res.render('author_list', {
+        title: 'Author List',
+        author_list: items,
+        branches: allBranches,
+        query: req.query,
+        ...listing,
+    });
 });
 
-// Detail page for a single Author
+// Detail page for a single Author. ?branch= only lists the books with a copy
+// at that branch.
 exports.author_detail = asyncHandler(async (req, res, next) => {
+    const { branches: allBranches, branch } = await branches.picked(req.query.branch);
+    const bookFilter = { 'contributors.author': req.params.id };
+    if (branch) bookFilter._id = { $in: await branches.bookIdsAt(branch._id) };
+
     const [author, allBooksByAuthor] = await Promise.all([
         Author.findById(req.params.id).exec(),
-        Book.find({ author: req.params.id }, 'title summary').exec(),
+        Book.find(bookFilter, 'title summary contributors').sort({ title: 1 }).exec(),
     ]);
 
     if (author === null) {
@@ -26,10 +42,21 @@ exports.author_detail = asyncHandler(async (req, res, next) => {
         return next(err);
     }
 
+    // group the books by what this author did for them; a book can be in
+    // more than one group (say, written and illustrated)
+    const booksByRole = Book.CONTRIBUTOR_ROLES.map((role) => ({
+        role,
+        books: allBooksByAuthor.filter((book) => book.contributors.some(
+            (contributor) => contributor.role === role && contributor.author.toString() === author._id.toString()
+        )),
+    })).filter((group) => group.books.length > 0);
+
     res.render('author_detail', {
         title: 'Author Detail', 
         author: author,
-        author_books: allBooksByAuthor,
+        books_by_role: booksByRole,
+        branches: allBranches,
+        branch,
     });
 });
 
@@ -40,8 +67,9 @@ exports.author_create_get = (req, res, next) => {
     })
 };
 
-// handle Author create on POST
-exports.author_create_post = [
+// validate/sanitize Author data. Used by the create and update handlers
+// below as well as by the /api/v1 author routes.
+const authorValidation = [
     // validate/sanitize data
     body('first_name')
         .trim()
@@ -68,6 +96,13 @@ exports.author_create_post = [
         .isISO8601()
         .toDate()
         .withMessage('Invalid date of death or not specified'),
+];
+
+exports.author_validation = authorValidation;
+
+// handle Author create on POST
+exports.author_create_post = [
+    ...authorValidation,
     // check/create data
     asyncHandler(async (req, res, next) => {
         const errors = validationResult(req);
@@ -93,6 +128,7 @@ exports.author_create_post = [
             // We are not trying to find the author as there could
             // be multiple authors with the same name.
             await author.save();
+            await audit.record('create', { after: author, actor: req.user });
             res.redirect(author.url);
         }
     })
@@ -102,7 +138,7 @@ exports.author_create_post = [
 exports.author_delete_get = asyncHandler(async (req, res, next) => {
     const [author, allBooksByAuthor] = await Promise.all([
         Author.findById(req.params.id),
-        Book.find({author: req.params.id}, "title summary").exec(),
+        Book.find({'contributors.author': req.params.id}, "title summary").exec(),
     ]);
 
     if (author === null) {
@@ -122,7 +158,7 @@ exports.author_delete_post = asyncHandler(async (req, res, next) => {
     // get details of author and all books associated with them
     const [author, allBooksByAuthor] = await Promise.all([
         Author.findById(req.params.id).exec(),
-        Book.find({author: req.params.id}, 'title summary').exec(),
+        Book.find({'contributors.author': req.params.id}, 'title summary').exec(),
     ]);
 
     if(allBooksByAuthor.length > 0) {
@@ -135,7 +171,7 @@ exports.author_delete_post = asyncHandler(async (req, res, next) => {
         return;
     } else {
         // Author has no books. Delete and redirect to list of authors
-        await Author.findByIdAndRemove(req.body.authorid); // this authorid is supplied by the DELETE form element.
+        await trash.softDelete(Author, req.body.authorid, req.user); // this authorid is supplied by the DELETE form element.
         res.redirect('/catalog/authors');
     }
 });
@@ -153,29 +189,18 @@ exports.author_update_get = asyncHandler(async (req, res, next) => {
     res.render('author_form', {
         title: 'Update Form',
         author: author,
+        version: author.__v,
     });
 });
+
+// the fields the form edits, compared when an edit clashes with another
+const AUTHOR_FIELDS = ['first_name', 'family_name', 'date_of_birth', 'date_of_death'];
   
-// Handle Author update on POST.
+// Handle Author update on POST. The form sends back the version it was
+// loaded with, and an author saved by someone else since isn't overwritten.
 exports.author_update_post = [
-    body("first_name", "First Name must be provided.")
-        .trim()
-        .isLength({ min: 1 })
-        .escape(),
-    body("family_name")
-        .trim()
-        .isLength({ min: 1 })
-        .escape(),
-    body("date_of_birth")
-        .optional({ checkFalsy: true })
-        .isISO8601()
-        .toDate()
-        .withMessage('Invalid date of birth or not specified'),
-    body("date_of_death")
-        .optional({ checkFalsy: true })
-        .isISO8601()
-        .toDate()
-        .withMessage('Invalid date of death or not specified'),
+    ...authorValidation,
+    body('version').toInt(),
 
     // handle response
     asyncHandler(async (req, res, next) => {
@@ -195,10 +220,34 @@ exports.author_update_post = [
             res.render('author_form', {
                 title: 'Update Author',
                 author: author,
+                version: req.body.version,
                 errors: errors.array(),
             })
         } else {
-            const updatedAuthor = await Author.findByIdAndUpdate(req.params.id, author, {});
+            const previous = await Author.findById(req.params.id).exec();
+            const updatedAuthor = await Author.findOneAndUpdate(
+                Author.atVersion(req.params.id, req.body.version),
+                author,
+                { new: true }
+            ).exec();
+
+            if (updatedAuthor === null) {
+                const current = await Author.findById(req.params.id).exec();
+                if (current === null) {
+                    const err = new Error('Author not found.');
+                    err.status = 404;
+                    return next(err);
+                }
+                res.render('author_form', {
+                    title: 'Update Author',
+                    author: author,
+                    version: current.__v,
+                    conflict: await audit.conflictWith(current, author, AUTHOR_FIELDS),
+                });
+                return;
+            }
+
+            await audit.record('update', { before: previous, after: updatedAuthor, actor: req.user });
 
             res.redirect(updatedAuthor.url);
         }
@@ -2,6 +2,14 @@ const Book = require("../models/Book.js");
 const Author = require('../models/Author.js');
 const Genre = require('../models/Genre.js');
 const BookInstance = require('../models/BookInstance.js');
+const Series = require('../models/Series.js');
+const Edition = require('../models/Edition.js');
+const holds = require('../services/holds');
+const branches = require('../services/branches');
+const listings = require('../services/listings');
+const audit = require('../services/audit');
+const trash = require('../services/trash');
+const { normalizeIsbn } = require('../utils/isbn');
 
 const { body, validationResult } = require('express-validator');
 const asyncHandler = require('express-async-handler');
@@ -31,21 +39,64 @@ exports.index = asyncHandler(async (req, res, next) => {
   });
 });
 
-// Display list of all books.
+// Display list of all books, a page at a time.
 exports.book_list = asyncHandler(async (req, res, next) => {
-  const allBooks = await Book.find({}, 'title author')
-    .sort({title: 1})
-    .populate('author')
-    .exec();
+  const [{ items, ...listing }, allGenres, allBranches] = await Promise.all([
+    listings.list('books', req.query),
+    Genre.find().sort({name: 1}).exec(),
+    branches.all(),
+  ]);
 
-  res.render('book_list', {title: 'Book List', book_list: allBooks});
+  res.render('book_list', {
+    title: 'Book List',
+    book_list: items,
+    genres: allGenres,
+    branches: allBranches,
+    query: req.query,
+    ...listing,
+  });
 });
 
-// Display detail page for a specific book.
+// The books before and after this one in its series, or null at either end.
+const seriesNeighbours = async (book) => {
+  if (!book.series) return { previous: null, next: null };
+  const [previous, next] = await Promise.all([
+    Book.findOne({ series: book.series._id, series_number: { $lt: book.series_number } }, 'title series_number')
+      .sort({ series_number: -1 })
+      .exec(),
+    Book.findOne({ series: book.series._id, series_number: { $gt: book.series_number } }, 'title series_number')
+      .sort({ series_number: 1 })
+      .exec(),
+  ]);
+  return { previous, next };
+};
+
+// Copies grouped by the edition they are of: [{ edition, copies }], oldest
+// edition first. Copies whose edition is in the trash come last, with a null
+// edition.
+const copiesByEdition = (editions, bookInstances) => {
+  const groups = editions.map((edition) => ({
+    edition,
+    copies: bookInstances.filter((copy) => copy.edition && copy.edition.equals(edition._id)),
+  }));
+  const grouped = new Set(groups.flatMap((group) => group.copies));
+  const rest = bookInstances.filter((copy) => !grouped.has(copy));
+  if (rest.length) groups.push({ edition: null, copies: rest });
+  return groups;
+};
+
+// Display detail page for a specific book. ?branch= only lists the copies at
+// that branch.
 exports.book_detail = asyncHandler(async (req, res, next) => {
-  const [book, bookInstances] = await Promise.all([
-    Book.findById(req.params.id).populate('author').populate('genre').exec(),
-    BookInstance.find({book: req.params.id}).exec(),
+  const { branches: allBranches, branch } = await branches.picked(req.query.branch);
+  const copyFilter = { book: req.params.id };
+  if (branch) copyFilter.current_branch = branch._id;
+
+  const [book, bookInstances, editions, availability] = await Promise.all([
+    Book.findById(req.params.id).populate('contributors.author').populate('genre').populate('series').exec(),
+    BookInstance.find(copyFilter).populate('current_branch', 'name').exec(),
+    Edition.find({ book: req.params.id }).populate('publisher').sort({ year: 1 }).exec(),
+    branches.availabilityFor(req.params.id),
   ]);
 
   if (book === null) {
@@ -55,10 +106,24 @@ exports.book_detail = asyncHandler(async (req, res, next) => {
     return next(err);
   }
 
+  const [queue, neighbours] = await Promise.all([
+    holds.queueFor(book._id, req.user ? req.user._id : null),
+    seriesNeighbours(book),
+  ]);
+
   res.render('book_detail', {
     title: book.title,
     book: book,
     book_instances: bookInstances,
+    edition_groups: copiesByEdition(editions, bookInstances),
+    previous_in_series: neighbours.previous,
+    next_in_series: neighbours.next,
+    hold_queue_length: queue.queueLength,
+    hold_position: queue.position,
+    patron_hold: queue.patronHold,
+    availability,
+    branches: allBranches,
+    branch,
   });
 });
 
@@ -66,20 +131,24 @@ exports.book_detail = asyncHandler(async (req, res, next) => {
 
 // Display book create form on GET.
 exports.book_create_get = async (req, res, next) => {
-  const [allAuthors, allGenres] = await Promise.all([
+  const [allAuthors, allGenres, allSeries] = await Promise.all([
     Author.find().exec(),
-    Genre.find().exec()
+    Genre.find().exec(),
+    Series.find().sort({ name: 1 }).exec(),
   ])
 
   res.render('book_form', {
     title: 'Create Book',
+    contributor_roles: Book.CONTRIBUTOR_ROLES,
     authors: allAuthors,
-    genres: allGenres
+    genres: allGenres,
+    all_series: allSeries,
   });
 };
 
-// Handle book create on POST.
-exports.book_create_post = [
+// Validation and sanitization chain shared by the book create and update
+// handlers, and by the JSON API.
+const bookValidation = [
   // convert the genre to an array
   (req, res, next) => {
     if ( !(req.body.genre instanceof Array) ) {
@@ -88,15 +157,37 @@ exports.book_create_post = [
     }
     next();
   },
+  // Collect the contributors into req.body.contributors. The API sends them
+  // as an array of { author, role }, the form as one contributor_author and
+  // contributor_role per picker row, and older clients as a single author.
+  // Rows with no author picked are dropped.
+  (req, res, next) => {
+    let contributors = req.body.contributors;
+    if (!Array.isArray(contributors)) {
+      const authors = [].concat(req.body.contributor_author ?? req.body.author ?? []);
+      const roles = [].concat(req.body.contributor_role ?? []);
+      contributors = authors.map((author, i) => ({ author, role: roles[i] || 'author' }));
+    }
+    req.body.contributors = contributors.filter(
+      (contributor) => contributor && typeof contributor.author === 'string' && contributor.author.trim() !== ''
+    );
+    next();
+  },
   // validate and sanitize fields
   body("title", "Title must not be empty")
     .trim()
     .isLength({ min: 1 })
     .escape(),
-  body("author", "Author must not be empty")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
+  body("contributors")
+    .custom((contributors) => contributors.length > 0)
+    .withMessage("A book needs at least one contributor")
+    .custom((contributors) => {
+      const pairs = contributors.map((contributor) => `${contributor.author.trim()} ${contributor.role}`);
+      return new Set(pairs).size === pairs.length;
+    })
+    .withMessage("Each author can only be listed once in each role"),
+  body("contributors.*.author", "Unknown author").trim().isMongoId(),
+  body("contributors.*.role", "Unknown contributor role").isIn(Book.CONTRIBUTOR_ROLES),
   body("summary", "Summary must not be empty")
     .trim()
     .isLength({ min: 1 })
@@ -104,8 +195,57 @@ exports.book_create_post = [
   body("isbn", "ISBN must not be empty")
     .trim()
     .isLength({ min: 1 })
+    .bail()
+    .custom((value) => normalizeIsbn(value) !== null)
+    .withMessage("ISBN must be a valid ISBN-10 or ISBN-13, please check the digits")
+    .customSanitizer((value) => normalizeIsbn(value) || value)
     .escape(),
   body("genre.*").escape(),
+  body("series", "Unknown series")
+    .optional({ checkFalsy: true })
+    .trim()
+    .isMongoId()
+    .bail()
+    .custom(async (value) => {
+      if (!await Series.exists({ _id: value })) throw new Error('Series does not exist');
+    }),
+  body("series_number", "A book in a series needs its number in the series, 1 or more")
+    .if(body("series").notEmpty())
+    .isInt({ min: 1 })
+    .toInt(),
+];
+
+exports.book_validation = bookValidation;
+
+// Series fields for a new or updated book. Books outside a series have
+// neither, so taking a book out of a series also clears its number.
+const seriesFields = (req) => ({
+  series: req.body.series || null,
+  series_number: req.body.series ? req.body.series_number : null,
+});
+
+exports.series_fields = seriesFields;
+
+// Find a book already in the catalog with this ISBN, other than the one being
+// updated. Each ISBN is only stored once, and that includes books in the
+// trash.
+const findDuplicateIsbn = (isbn, exceptId) => {
+  const filter = { isbn: isbn };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return Book.findOne(filter, 'title isbn deleted_at').setOptions({ withDeleted: true }).exec();
+};
+
+exports.find_duplicate_isbn = findDuplicateIsbn;
+
+const duplicateIsbnError = (duplicate) => ({
+  msg: duplicate.deleted_at
+    ? `A book with ISBN ${duplicate.isbn} (${duplicate.title}) is in the <a href="/catalog/trash">trash</a>. Restore it instead.`
+    : `A book with ISBN ${duplicate.isbn} is already in the catalog: <a href="${duplicate.url}">${duplicate.title}</a>`,
+});
+
+// Handle book create on POST.
+exports.book_create_post = [
+  ...bookValidation,
   // Process request after validation and sanitazation
 
   asyncHandler(async (req, res, next) => {
@@ -114,17 +254,23 @@ exports.book_create_post = [
     // Create an object with the escaped, trimmed data
     const book = new Book({
       title: req.body.title,
-      author: req.body.author,
+      contributors: req.body.contributors,
       summary: req.body.summary,
       isbn: req.body.isbn,
       genre: req.body.genre,
+      ...seriesFields(req),
     });
 
-    if(!errors.isEmpty()) {
+    // Rather than saving a second copy of a book we already have, point the
+    // user to the existing record.
+    const duplicate = errors.isEmpty() ? await findDuplicateIsbn(book.isbn) : null;
+
+    if(!errors.isEmpty() || duplicate) {
         // get all authors and all genres and redirect them again to the form
-        const [allAuthors, allGenres] = await Promise.all([
+        const [allAuthors, allGenres, allSeries] = await Promise.all([
           Author.find().exec(),
           Genre.find().exec(),
+          Series.find().sort({ name: 1 }).exec(),
         ]);
 
         // Mark our selected genres as checked
@@ -140,14 +286,17 @@ exports.book_create_post = [
         // finally, render the form
         res.render('book_form', {
           title: 'Create Book',
+          contributor_roles: Book.CONTRIBUTOR_ROLES,
           authors: allAuthors,
           genres: allGenres,
+          all_series: allSeries,
           book: book,
-          errors: errors.array(),
+          errors: duplicate ? [duplicateIsbnError(duplicate)] : errors.array(),
         })
     } else {
       // Data from form is valid. Save book
       await book.save();
+      await audit.record('create', { after: book, actor: req.user });
       res.redirect(book.url);
     }
   }),
@@ -156,9 +305,10 @@ exports.book_create_post = [
 
 // Display book delete form on GET.
 exports.book_delete_get = asyncHandler(async (req, res, next) => {
-  const [book, allBookInstances] = await Promise.all([
+  const [book, allBookInstances, allEditions] = await Promise.all([
     Book.findById(req.params.id),
-    BookInstance.find({book: req.params.id}).populate('book')
+    BookInstance.find({book: req.params.id}).populate('book'),
+    Edition.find({ book: req.params.id }).populate('publisher'),
   ]);
 
   if(book === null) {
@@ -169,6 +319,7 @@ exports.book_delete_get = asyncHandler(async (req, res, next) => {
   res.render('book_delete', {
     title: 'Delete Book',
     book_instances: allBookInstances,
+    book_editions: allEditions,
     book: book,
   });
   
@@ -176,9 +327,10 @@ exports.book_delete_get = asyncHandler(async (req, res, next) => {
 
 // Handle book delete on POST.
 exports.book_delete_post = asyncHandler(async (req, res, next) => {
-  const [book, allBookInstances] = await Promise.all([
+  const [book, allBookInstances, allEditions] = await Promise.all([
     Book.findById(req.params.id).exec(),
     BookInstance.find({book: req.params.id}).populate('book'),
+    Edition.find({ book: req.params.id }).populate('publisher'),
   ]);
 
   console.log(book)
@@ -188,27 +340,29 @@ exports.book_delete_post = asyncHandler(async (req, res, next) => {
     return;
   }
 
-  if (allBookInstances.length > 0) {
-    // these instances must be deleted first by the user before proceeding,
-    // so re-render the delete page
+  if (allBookInstances.length > 0 || allEditions.length > 0) {
+    // these instances and editions must be deleted first by the user before
+    // proceeding, so re-render the delete page
     res.render('book_delete', {
       title: 'Delete Book',
       book: book,
-      book_instances: allBookInstances
+      book_instances: allBookInstances,
+      book_editions: allEditions,
     });
   } else {
     // No instances. safe to delete
-    await Book.findByIdAndRemove(req.body.bookid);
+    await trash.softDelete(Book, req.body.bookid, req.user);
     res.redirect('/catalog/books');
   }
 });
 
 // Display book update form on GET.
 exports.book_update_get = asyncHandler(async (req, res, next) => {
-  const [book, allAuthors, allGenres] = await Promise.all([
-    Book.findById(req.params.id).populate('author').populate('genre').exec(),
+  const [book, allAuthors, allGenres, allSeries] = await Promise.all([
+    Book.findById(req.params.id).populate('genre').exec(),
     Author.find().exec(),
     Genre.find().exec(),
+    Series.find().sort({ name: 1 }).exec(),
   ]);
 
   if (book === null) {
@@ -227,41 +381,48 @@ exports.book_update_get = asyncHandler(async (req, res, next) => {
 
   res.render('book_form', {
     title: 'Update Book',
+    contributor_roles: Book.CONTRIBUTOR_ROLES,
     authors: allAuthors,
     genres: allGenres,
+    all_series: allSeries,
     book: book,
+    version: book.__v,
   });
 });
 
-// Handle book update on POST.
-exports.book_update_post = [
-  // convert genre to array
-  (req, res, next) => {
-    if (!req.body.genre instanceof Array) {
-      if (req.body.genre === undefined) {
-        req.body.genre = [];
-      } else {
-        req.body.genre = new Array(req.body.genre);
-      }
+// the fields the form edits, compared when an edit clashes with another
+const BOOK_FIELDS = ['title', 'contributors', 'summary', 'isbn', 'genre', 'series', 'series_number'];
+
+// Show the update form again with the submitted book.
+const renderUpdateForm = async (res, book, locals) => {
+  const [allAuthors, allGenres, allSeries] = await Promise.all([
+    Author.find().exec(),
+    Genre.find().exec(),
+    Series.find().sort({ name: 1 }).exec(),
+  ]);
+
+  for (const genre of allGenres) {
+    if (book.genre.includes(genre._id)) {
+      genre.checked = "true";
     }
-    next();
-  },
+  }
 
-  // validate and sanitize data
-  body("title", "Title must not be empty")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("author", "Author must not be empty")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("summary", "Summary must not be empty")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("isbn", "ISBN must not be empty").trim().isLength({ min: 1 }).escape(),
-  body("genre.*").escape(),
+  res.render("book_form", {
+    title: "Update Book",
+    contributor_roles: Book.CONTRIBUTOR_ROLES,
+    book: book,
+    genres: allGenres,
+    authors: allAuthors,
+    all_series: allSeries,
+    ...locals,
+  });
+};
+
+// Handle book update on POST. The form sends back the version it was loaded
+// with, and a book saved by someone else since isn't overwritten.
+exports.book_update_post = [
+  ...bookValidation,
+  body('version').toInt(),
 
   // Process request after validation and sanitization
   asyncHandler(async (req, res, next) => {
@@ -269,37 +430,47 @@ exports.book_update_post = [
 
     const book = new Book({
       title: req.body.title,
-      author: req.body.author,
+      contributors: req.body.contributors,
       summary: req.body.summary,
       isbn: req.body.isbn,
       genre: typeof req.body.genre === "undefined" ? [] : req.body.genre,
+      ...seriesFields(req),
       _id: req.params.id, // this is required or a new ID will be assigned
     })
 
-    if (!errors.isEmpty()) {
-      // Get all genres and authors for the form
-      const [allAuthors, allGenres] = await Promise.all([
-        Author.find().exec(),
-        Genre.find().exec(),
-      ]);
+    const duplicate = errors.isEmpty() ? await findDuplicateIsbn(book.isbn, req.params.id) : null;
 
-      for (const genre of allGenres) {
-        if (book.genre.includes(genre._id)) {
-          genre.checked = "true";
-        }
-      }
-
-      res.render("book_form", {
-        title: "Update Book",
-        book: book,
-        genres: allGenres,
-        authors: allAuthors,
-        errors: errors.array(),
+    if (!errors.isEmpty() || duplicate) {
+      await renderUpdateForm(res, book, {
+        version: req.body.version,
+        errors: duplicate ? [duplicateIsbnError(duplicate)] : errors.array(),
       });
       return;
     } else {
       // Data from this form is valid. Update the book
-      const updatedBook = await Book.findByIdAndUpdate(req.params.id, book, {});
+      const previous = await Book.findById(req.params.id).exec();
+      // only the form's fields, so the cover and attachments are left alone
+      const updatedBook = await Book.findOneAndUpdate(
+        Book.atVersion(req.params.id, req.body.version),
+        Object.fromEntries(BOOK_FIELDS.map((field) => [field, book[field]])),
+        { new: true }
+      ).exec();
+
+      if (updatedBook === null) {
+        const current = await Book.findById(req.params.id).exec();
+        if (current === null) {
+          const err = new Error('Book not found');
+          err.status = 404;
+          return next(err);
+        }
+        await renderUpdateForm(res, book, {
+          version: current.__v,
+          conflict: await audit.conflictWith(current, book, BOOK_FIELDS),
+        });
+        return;
+      }
+
+      await audit.record('update', { before: previous, after: updatedBook, actor: req.user });
       // redirect to book url
       res.redirect(updatedBook.url);
     }
@@ -0,0 +1,142 @@
+const path = require('path');
+const Book = require('../models/Book.js');
+const bookFiles = require('../services/bookFiles');
+const config = require('../config/storage');
+const asyncHandler = require('express-async-handler');
+const multer = require('multer');
+
+const uploader = (maxSize) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxSize, files: 1 },
+}).single('file');
+
+const uploadCover = uploader(config.maxCoverSize);
+const uploadAttachment = uploader(config.maxAttachmentSize);
+
+const megabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+const findBook = async (req, next) => {
+  const book = await Book.findById(req.params.id).exec();
+  if (book === null) {
+    const err = new Error('Book not found');
+    err.status = 404;
+    next(err);
+  }
+  return book;
+};
+
+const renderFiles = (res, book, errors) => {
+  res.render('book_files', {
+    title: `Cover and Attachments: ${book.title}`,
+    book,
+    max_cover_size: megabytes(config.maxCoverSize),
+    max_attachment_size: megabytes(config.maxAttachmentSize),
+    errors,
+  });
+};
+
+// Run a multer upload, turning its errors (file too big...) into a message
+// on the files page.
+const receive = (upload, maxSize) => (req, res, next) => {
+  upload(req, res, async (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    try {
+      const book = await findBook(req, next);
+      if (book === null) return;
+      const msg = err.code === 'LIMIT_FILE_SIZE' ? `The file is larger than ${megabytes(maxSize)}` : err.message;
+      renderFiles(res, book, [{ msg }]);
+    } catch (findErr) {
+      next(findErr);
+    }
+  });
+};
+
+// Apply a change through the service, showing its 4xx errors on the page.
+const change = (apply) => asyncHandler(async (req, res, next) => {
+  const book = await findBook(req, next);
+  if (book === null) return;
+
+  try {
+    await apply(req, book);
+  } catch (err) {
+    if (!err.status || err.status >= 500) throw err;
+    return renderFiles(res, book, [{ msg: err.message }]);
+  }
+
+  res.redirect(`${book.url}/files`);
+});
+
+const requireFile = (req) => {
+  if (!req.file) {
+    const err = new Error('Choose a file to upload');
+    err.status = 422;
+    throw err;
+  }
+};
+
+// Display the cover and attachments page on GET.
+exports.book_files_get = asyncHandler(async (req, res, next) => {
+  const book = await findBook(req, next);
+  if (book === null) return;
+  renderFiles(res, book);
+});
+
+// Handle a cover upload on POST.
+exports.cover_post = [
+  receive(uploadCover, config.maxCoverSize),
+  change(async (req, book) => {
+    requireFile(req);
+    await bookFiles.setCover(book, req.file.buffer, req.user);
+  }),
+];
+
+// Handle removing the cover on POST.
+exports.cover_delete_post = change((req, book) => bookFiles.removeCover(book, req.user));
+
+// Handle an attachment upload on POST.
+exports.attachment_post = [
+  receive(uploadAttachment, config.maxAttachmentSize),
+  change(async (req, book) => {
+    requireFile(req);
+    await bookFiles.addAttachment(book, req.file, req.user);
+  }),
+];
+
+// Handle removing an attachment on POST.
+exports.attachment_delete_post = change(
+  (req, book) => bookFiles.removeAttachment(book, req.params.attachmentId, req.user)
+);
+
+// Download an attachment, under the name it was uploaded with.
+exports.attachment_get = asyncHandler(async (req, res, next) => {
+  const book = await findBook(req, next);
+  if (book === null) return;
+
+  const attachment = book.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    const err = new Error('Attachment not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  await bookFiles.sendFile(req, res, next, attachment.key, {
+    contentType: attachment.content_type,
+    filename: attachment.filename,
+  });
+});
+
+// Serve a cover or thumbnail from storage: GET /files/<folder>/<name>.
+// Replaced covers and those of deleted books aren't served.
+exports.file_get = asyncHandler(async (req, res, next) => {
+  const { folder, name } = req.params;
+  const contentType = bookFiles.CONTENT_TYPES[path.extname(name).slice(1)];
+
+  if (!['covers', 'thumbnails'].includes(folder) || !/^[0-9a-f-]+\.\w+$/.test(name) || !contentType ||
+      !(await bookFiles.isCoverInUse(`${folder}/${name}`))) {
+    const err = new Error('File not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  await bookFiles.sendFile(req, res, next, `${folder}/${name}`, { contentType, immutable: true });
+});
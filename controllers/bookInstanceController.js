@@ -1,28 +1,73 @@
 const BookInstance = require('../models/BookInstance.js');
 const asyncHandler = require('express-async-handler');
 const { body, validationResult } = require("express-validator");
+const validator = require('validator');
+const { DateTime } = require('luxon');
 const debug = require('debug')('BookInstance');
 
-// since all instances are associated with a book, we need a reference
-// to it.
-const Book = require("../models/Book");
+// every instance is a copy of an edition of a book
+const Edition = require("../models/Edition");
+const Loan = require("../models/Loan");
+const Hold = require("../models/Hold");
+const Branch = require("../models/Branch");
+const Transfer = require("../models/Transfer");
+const circulation = require("../services/circulation");
+const loanPolicies = require("../services/loanPolicies");
+const listings = require("../services/listings");
+const audit = require("../services/audit");
+const trash = require("../services/trash");
+const labels = require("../services/labels");
+const branches = require("../services/branches");
+const transfers = require("../services/transfers");
+const copyStatus = require("../services/copyStatus");
+const holds = require("../services/holds");
+const labelConfig = require("../config/labels");
 
-// Display list of all bookInstances
+// Display list of all bookInstances, a page at a time
 exports.bookinstance_list = asyncHandler(async (req, res, next) => {
-    const allBookInstances = await BookInstance.find({}).populate('book').sort({status: 1}).exec();
+    const [{ items, ...listing }, allBranches] = await Promise.all([
+        listings.list('bookinstances', req.query),
+        branches.all(),
+    ]);
 
     debug('Rendering book instance list');
     res.render('bookinstance_list', { 
         title: 'Book Instance List',
-        bookinstance_list: allBookInstances
+        bookinstance_list: items,
+        statuses: BookInstance.schema.path('status').enumValues,
+        branches: allBranches,
+        query: req.query,
+        ...listing,
     })
 });
 
+// status changes shown on a copy's page
+const STATUS_HISTORY_SIZE = 20;
+
 // Display detail page for a specific BookInstance.
 exports.bookinstance_detail = asyncHandler(async (req, res, next) => {
-    const bookInstance = await BookInstance.findById(req.params.id)
-        .populate("book")
-        .exec();
+    const [bookInstance, loans, readyHold, transferHistory, statusHistory, allBranches] = await Promise.all([
+        BookInstance.findById(req.params.id)
+            .populate("book")
+            .populate({ path: "edition", populate: { path: "publisher" } })
+            .populate("home_branch", "name")
+            .populate("current_branch", "name")
+            .exec(),
+        Loan.find({ book_instance: req.params.id })
+            .populate("patron", "username")
+            .sort({ checked_out_at: -1 })
+            .exec(),
+        Hold.findOne({ book_instance: req.params.id, status: 'ready' })
+            .populate("patron", "username")
+            .exec(),
+        Transfer.find({ book_instance: req.params.id })
+            .populate("from_branch", "name")
+            .populate("to_branch", "name")
+            .sort({ sent_at: -1 })
+            .exec(),
+        copyStatus.historyFor(req.params.id, STATUS_HISTORY_SIZE),
+        branches.all(),
+    ]);
     
     if (bookInstance === null) {
         // No results.
@@ -31,36 +76,176 @@ exports.bookinstance_detail = asyncHandler(async (req, res, next) => {
         return next(err);
     }
     
+    const activeLoan = loans.find((loan) => loan.is_active);
+
     res.render("bookinstance_detail", {
         title: `Book Status for ${bookInstance.book.title}`,
         bookinstance: bookInstance,
+        loans: loans,
+        active_loan: activeLoan,
+        active_terms: activeLoan ? loanPolicies.termsOf(activeLoan) : null,
+        ready_hold: readyHold,
+        renewal_blocked: activeLoan ? circulation.renewalBlockedReason(activeLoan) : null,
+        transfers: transferHistory,
+        open_transfer: transferHistory.find((transfer) => transfer.status === 'in_transit'),
+        // the branches the copy could be sent to
+        other_branches: allBranches.filter((branch) => !(bookInstance.current_branch && bookInstance.current_branch._id.equals(branch._id))),
+        can_send: transfers.SENDABLE.includes(bookInstance.status),
+        status_history: statusHistory,
+        status_history_size: STATUS_HISTORY_SIZE,
     });
 });
 
-// Display BookInstance create form on GET.
-exports.bookinstance_create_get = asyncHandler(async (req, res, next) => {
-    const allBooks = await Book.find({}, 'title').exec();
+// Every edition for the form's picker, grouped by book and sorted by title:
+// [{ book, editions }].
+const editionChoices = async () => {
+    const editions = await Edition.find()
+        .populate('book', 'title')
+        .populate('publisher')
+        .sort({ year: 1 })
+        .exec();
 
+    const byBook = new Map();
+    for (const edition of editions) {
+        if (edition.book === null) continue; // its book is in the trash
+        const id = edition.book._id.toString();
+        if (!byBook.has(id)) byBook.set(id, { book: edition.book, editions: [] });
+        byBook.get(id).editions.push(edition);
+    }
+    return [...byBook.values()].sort((a, b) => a.book.title.localeCompare(b.book.title));
+};
+
+// Display BookInstance create form on GET. ?edition= picks the edition, for
+// the "Add a copy" links on the book page.
+exports.bookinstance_create_get = asyncHandler(async (req, res, next) => {
     res.render('bookinstance_form', {
         title: 'Create Instance Form',
-        book_list: allBooks,
+        edition_choices: await editionChoices(),
+        selected_edition: req.query.edition,
+        item_types: BookInstance.ITEM_TYPES,
+        statuses: statusChoices(null),
+        branches: await branches.all(),
     });
 });
 
-// Handle BookInstance create on POST.
-exports.bookinstance_create_post = [
-    // validate and sanitize fields
-    body("book", "Book must be specified").trim().isLength({ min: 1 }).escape(),
-    body("imprint", "Imprint must be specified")
+// Fields checked on every BookInstance write, whether it comes from the
+// form or from the API.
+const bookInstanceValidation = [
+    body("edition", "Edition must be specified")
         .trim()
-        .isLength({ min: 1 })
+        .isMongoId()
+        .bail()
+        .custom(async (value, { req }) => {
+            const edition = await Edition.findById(value, 'book').exec();
+            if (edition === null) throw new Error('Edition does not exist');
+            // a copy is always of its edition's book
+            req.body.book = edition.book.toString();
+        }),
+    body("status_reason", "Reason must be at most 500 characters")
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 500 })
         .escape(),
-    body("status").escape(),
+    body("status")
+        .escape()
+        .custom(async (value, { req }) => {
+            // only a checkout may put a copy on loan, so that there is
+            // always a Loan saying who has it
+            if (value === 'Loaned') {
+                if (req.params.id && await Loan.exists({ book_instance: req.params.id, returned_at: null })) return;
+                throw new Error('Use Check Out to lend a copy to a patron');
+            }
+            // likewise only a transfer puts a copy in transit
+            if (value === 'In Transit') {
+                if (req.params.id && await Transfer.exists({ book_instance: req.params.id, status: 'in_transit' })) return;
+                throw new Error('Use Send to another branch to move a copy');
+            }
+            const copy = req.params.id ? await BookInstance.findById(req.params.id, 'status').exec() : null;
+            // and only holds set a copy aside or put it back, so the copy and
+            // its hold stay in step
+            if (value === 'Reserved' && (copy === null || copy.status !== 'Reserved')) {
+                throw new Error('Copies are set aside by placing a hold');
+            }
+            if (copy !== null && copy.status === 'Reserved' && value !== 'Reserved') {
+                throw new Error('Cancel the hold this copy is set aside for first');
+            }
+            // a copy on loan comes back with Return, unless its patron lost it
+            if (copy !== null && copy.status === 'Loaned' && value === 'Available') {
+                throw new Error('Use Return to check the copy in');
+            }
+            if (copy === null) {
+                if (!BookInstance.canChangeStatus(null, value)) {
+                    throw new Error(`A new copy can only be ${BookInstance.INITIAL_STATUSES.join(', ')}`);
+                }
+                return;
+            }
+            if (!BookInstance.canChangeStatus(copy.status, value)) {
+                throw new Error(`A copy that is ${copy.status} can't be changed to ${value}`);
+            }
+            if (copy.status !== value && BookInstance.REASON_REQUIRED.includes(value) && !req.body.status_reason) {
+                throw new Error(`Give a reason for marking the copy ${value}`);
+            }
+        }),
     body("due_back", "Invalid Date")
         .optional({ checkFalsy: true })
         .isISO8601()
         .toDate(),
-    
+    body("item_type", "Unknown item type")
+        .optional({ checkFalsy: true })
+        .isIn(BookInstance.ITEM_TYPES),
+    body("home_branch", "Branch does not exist")
+        .optional({ checkFalsy: true })
+        .isMongoId()
+        .bail()
+        .custom(async (value) => {
+            if (!(await Branch.exists({ _id: value }))) throw new Error('Branch does not exist');
+        }),
+    body("shelf_location")
+        .optional({ checkFalsy: true })
+        .trim()
+        .escape()
+        .custom(async (value, { req }) => {
+            // a shelf of the branch the copy is at, which for a new copy is its home branch
+            const copy = req.params.id ? await BookInstance.findById(req.params.id, 'current_branch').exec() : null;
+            const branchId = (copy && copy.current_branch) || req.body.home_branch;
+            if (!branchId) throw new Error('Pick a home branch for the copy before its shelf');
+            const branch = await Branch.findById(branchId, 'name shelf_locations').exec();
+            if (branch === null || !branch.shelf_locations.includes(value)) {
+                throw new Error(`${branch ? branch.name : 'The branch'} has no shelf called "${value}"`);
+            }
+        }),
+];
+
+// Where a copy is, from the form or the API. A copy without a current branch
+// (new, or from before branches) is at its home branch.
+const locationFields = async (req) => {
+    const copy = req.params.id ? await BookInstance.findById(req.params.id, 'current_branch').exec() : null;
+    const homeBranch = req.body.home_branch || null;
+    return {
+        home_branch: homeBranch,
+        current_branch: (copy && copy.current_branch) || homeBranch,
+        shelf_location: req.body.shelf_location || '',
+    };
+};
+
+exports.bookinstance_location = locationFields;
+
+// The statuses the form offers: what a new copy can start as, or what the
+// copy can be changed to by hand.
+const statusChoices = (current) => {
+    if (!current) return BookInstance.INITIAL_STATUSES;
+    if (current === 'Reserved') return [current];
+    const choices = BookInstance.STATUS_TRANSITIONS[current].filter((status) => !BookInstance.MANAGED_STATUSES.includes(status));
+    // a copy on loan only comes back through Return
+    return [current, ...(current === 'Loaned' ? choices.filter((status) => status !== 'Available') : choices)];
+};
+
+exports.bookinstance_validation = bookInstanceValidation;
+
+// Handle BookInstance create on POST.
+exports.bookinstance_create_post = [
+    ...bookInstanceValidation,
+
     // Process request after validation and sanitization
     asyncHandler(async (req, res, next) => {
         // extrat validation errors from request
@@ -69,20 +254,24 @@ exports.bookinstance_create_post = [
         // create a BookInstance object with escaped and trimmed data
         const bookInstance = new BookInstance({
             book: req.body.book,
-            imprint: req.body.imprint,
+            edition: req.body.edition,
             status: req.body.status,
             due_back: req.body.due_back,
+            item_type: req.body.item_type,
+            ...(await locationFields(req)),
         });
 
         if (!errors.isEmpty()) {
             // there are errors
             // render again with sanitized values and error messages
-            const allBooks = await Book.find({}, "title").exec();
-
             res.render('bookinstance_form', {
                 title: 'Create Book Instance',
-                book_list: allBooks,
-                selected_book: bookInstance.book._id,
+                edition_choices: await editionChoices(),
+                selected_edition: req.body.edition,
+                item_types: BookInstance.ITEM_TYPES,
+                statuses: statusChoices(null),
+                status_reason: req.body.status_reason,
+                branches: await branches.all(),
                 errors: errors.array(),
                 bookinstance: bookInstance,
             });
@@ -90,6 +279,15 @@ exports.bookinstance_create_post = [
         } else {
             // data from form is valid
             await bookInstance.save();
+            await audit.record('create', { after: bookInstance, actor: req.user });
+            await copyStatus.record({
+                bookInstanceId: bookInstance._id,
+                to: bookInstance.status,
+                reason: req.body.status_reason,
+                changedBy: req.user._id,
+            });
+            // a copy on the shelf goes to whoever is waiting for the book
+            if (bookInstance.status === 'Available') await holds.assignCopy(bookInstance);
 
             res.redirect(bookInstance.url);
         }
@@ -119,7 +317,7 @@ exports.bookinstance_delete_post = asyncHandler(async (req, res, next) => {
         .populate('book');
 
     if(bookInstance !== null && bookInstance.status === 'Available') {
-        await BookInstance.findByIdAndRemove(req.body.bookinstanceid);
+        await trash.softDelete(BookInstance, req.body.bookinstanceid, req.user);
         res.redirect('/catalog/bookinstances');
         return;
     } else {
@@ -132,9 +330,9 @@ exports.bookinstance_delete_post = asyncHandler(async (req, res, next) => {
 
 // Display BookInstance update form on GET.
 exports.bookinstance_update_get = asyncHandler(async (req, res, next) => {
-    const [bookInstance, allBooks] = await Promise.all([
+    const [bookInstance, allEditions] = await Promise.all([
         BookInstance.findById(req.params.id).populate('book'),
-        Book.find().exec(),
+        editionChoices(),
     ]);
 
     if (bookInstance === null) {
@@ -146,64 +344,181 @@ exports.bookinstance_update_get = asyncHandler(async (req, res, next) => {
 
     res.render('bookinstance_form', {
         title: 'Update Book Instance', 
-        book_list: allBooks,
+        edition_choices: allEditions,
         bookinstance: bookInstance,
-        selected_book: bookInstance.book.id,
+        selected_edition: bookInstance.edition ? bookInstance.edition.toString() : undefined,
+        item_types: BookInstance.ITEM_TYPES,
+        statuses: statusChoices(bookInstance.status),
+        branches: await branches.all(),
+        version: bookInstance.__v,
     });
 });
 
-// Handle bookinstance update on POST.
+// the fields the form edits, compared when an edit clashes with another
+const COPY_FIELDS = ['edition', 'status', 'due_back', 'item_type', 'home_branch', 'shelf_location'];
+
+// Show the update form again with the submitted copy. `currentStatus` is the
+// saved one, which decides the statuses on offer.
+const renderUpdateForm = async (req, res, bookInstance, currentStatus, locals) => {
+    res.render("bookinstance_form", {
+        title: "Update Book Instance",
+        bookinstance: bookInstance,
+        edition_choices: await editionChoices(),
+        selected_edition: req.body.edition,
+        item_types: BookInstance.ITEM_TYPES,
+        statuses: statusChoices(currentStatus),
+        status_reason: req.body.status_reason,
+        branches: await branches.all(),
+        ...locals,
+    });
+};
+
+// Handle bookinstance update on POST. The form sends back the version it was
+// loaded with; a copy that changed since (edited, lent, sent...) isn't
+// overwritten.
 exports.bookinstance_update_post = [
-    // sanitize form fields
-    body('book', 'A book title must be supplied')
-        .trim()
-        .isLength({ min: 1 })
-        .escape(),
-    body('imprint')
-        .optional({ checkFalsy: true})
-        .trim()
-        .isLength({ min: 1})
-        .escape(),
-    body('due_back')
-        .optional({ checkFalsy: true})
-        .trim()
-        .isISO8601()
-        .toDate(),
-    body('status', 'A status must be supplied.')
-        .trim()
-        .isLength({ min: 1})
-        .escape(),
+    ...bookInstanceValidation,
+    body("version").toInt(),
 
     // handle request
     asyncHandler(async (req, res, next) => {
         const errors = validationResult(req);
-        // we parse allBooks in case there is an error with the request.
-        // If there is, we pass it to re-render the form page.
-        const [book, allBooks] = await Promise.all([
-            Book.findById(req.body.book).exec(),
-            Book.find().exec(),
-        ]);
 
         const bookInstance = new BookInstance({
-            book: book,
-            imprint: req.body.imprint,
+            book: req.body.book,
+            edition: req.body.edition,
             status: req.body.status,
             due_back: req.body.due_back,
+            item_type: req.body.item_type,
+            ...(await locationFields(req)),
             _id: req.params.id,
         });
 
+        // A copy that is out on loan is managed by checkout/return/renew,
+        // so the form can't change its status or due date, other than to
+        // say that the patron lost it.
+        const activeLoan = await Loan.findOne({ book_instance: req.params.id, returned_at: null }).exec();
+        const lostOnLoan = activeLoan !== null && req.body.status === 'Lost';
+        if (activeLoan !== null && !lostOnLoan) {
+            bookInstance.status = 'Loaned';
+            bookInstance.due_back = activeLoan.due_back;
+        }
+        // and one on its way to another branch belongs to the transfer
+        if (await Transfer.exists({ book_instance: req.params.id, status: 'in_transit' })) {
+            bookInstance.status = 'In Transit';
+        }
+
+        const previous = await BookInstance.findById(req.params.id).exec();
+
+        if (previous === null) {
+            const err = new Error('Book Instance not found.');
+            err.status = 404;
+            return next(err);
+        }
+
         if( !errors.isEmpty() ) {
             // there were errors. Re-render form with current values
-            res.render("bookinstance_form", {
-                title: "Update Book Instance",
-                bookinstance: bookInstance,
-                book_list: allBooks,
-                selected_book: bookInstance.book.id,
-            })
+            await renderUpdateForm(req, res, bookInstance, previous.status, {
+                version: req.body.version,
+                errors: errors.array(),
+            });
         } else {
             // Book instance was found and exists, so proceed to update
-            const updatedBookInstance = await BookInstance.findByIdAndUpdate(req.params.id, bookInstance, {}).exec();
+            const updatedBookInstance = await BookInstance.findOneAndUpdate(
+                BookInstance.atVersion(req.params.id, req.body.version),
+                bookInstance,
+                { new: true }
+            ).exec();
+
+            if (updatedBookInstance === null) {
+                const current = await BookInstance.findById(req.params.id).exec();
+                if (current === null) {
+                    const err = new Error('Book Instance not found.');
+                    err.status = 404;
+                    return next(err);
+                }
+                await renderUpdateForm(req, res, bookInstance, current.status, {
+                    version: current.__v,
+                    conflict: await audit.conflictWith(current, bookInstance, COPY_FIELDS),
+                });
+                return;
+            }
+
+            await audit.record('update', { before: previous, after: updatedBookInstance, actor: req.user });
+            await copyStatus.record({
+                bookInstanceId: updatedBookInstance._id,
+                from: previous.status,
+                to: updatedBookInstance.status,
+                reason: req.body.status_reason,
+                changedBy: req.user._id,
+            });
+            if (lostOnLoan) await circulation.closeLostLoan(updatedBookInstance._id);
+            if (updatedBookInstance.status === 'Available' && previous.status !== 'Available') {
+                await holds.assignCopy(updatedBookInstance);
+            }
             res.redirect(updatedBookInstance.url);
         }
     })
-]
\ No newline at end of file
+]
+// Download a PDF sheet of labels. Either for the copies picked on the list
+// (?id=...&id=...) or, without ids, for every copy matching the list's
+// filters. ?skip= leaves that many labels at the start blank.
+exports.bookinstance_labels = asyncHandler(async (req, res, next) => {
+    const ids = [].concat(req.query.id || []).filter((id) => validator.isMongoId(String(id)));
+    const max = labelConfig.maxLabels;
+
+    let copies = [];
+    if (ids.length) {
+        copies = await BookInstance.find({ _id: { $in: ids } })
+            .populate('book')
+            .sort({ barcode: 1 })
+            .exec();
+    } else {
+        // one more than fits, to tell a full sheet from too many
+        for await (const copy of listings.cursor('bookinstances', req.query, { populate: ['book'], limit: max + 1 })) {
+            copies.push(copy);
+        }
+    }
+
+    if (copies.length === 0) {
+        const err = new Error('There are no copies to print labels for.');
+        err.status = 404;
+        return next(err);
+    }
+    if (copies.length > max) {
+        const err = new Error(`At most ${max} labels can be printed at once. Pick fewer copies or filter the list.`);
+        err.status = 400;
+        return next(err);
+    }
+
+    const skip = Math.min(Math.max(parseInt(req.query.skip, 10) || 0, 0), labels.LABELS_PER_SHEET - 1);
+    const baseUrl = labelConfig.publicUrl.replace(/\/+$/, '') || `${req.protocol}://${req.get('host')}`;
+
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(`labels-${DateTime.now().toISODate()}.pdf`);
+    await labels.writeLabelSheet({ copies, baseUrl, skip, out: res });
+});
+
+// Jump to the copy with a scanned barcode. A copy's id or the address in a
+// label's QR code work too, so any scanner can be used.
+exports.bookinstance_scan = asyncHandler(async (req, res, next) => {
+    const code = String(req.query.code || '').trim();
+
+    if (!code) {
+        res.render('scan_form', { title: 'Scan a Copy' });
+        return;
+    }
+
+    const copy = await BookInstance.findOne(BookInstance.codeFilter(code), '_id').exec();
+
+    if (copy !== null) {
+        res.redirect(copy.url);
+        return;
+    }
+
+    res.status(404).render('scan_form', {
+        title: 'Scan a Copy',
+        code,
+        errors: [{ msg: `No copy has the barcode "${validator.escape(code)}".` }],
+    });
+});
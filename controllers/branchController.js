@@ -0,0 +1,190 @@
+const Branch = require('../models/Branch.js');
+const BookInstance = require('../models/BookInstance.js');
+const Transfer = require('../models/Transfer.js');
+const branches = require('../services/branches');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+const { escapeRegExp } = require('../utils/regexp');
+
+// Display every branch.
+exports.branch_list = asyncHandler(async (req, res, next) => {
+  const allBranches = await Branch.find().sort({ name: 1 }).exec();
+
+  res.render('branch_list', {
+    title: 'Branches',
+    branches: allBranches,
+  });
+});
+
+// Display a branch: its shelves, how many copies it has, and the transfers
+// on their way in or out.
+exports.branch_detail = asyncHandler(async (req, res, next) => {
+  const branch = await Branch.findById(req.params.id).exec();
+
+  if (branch === null) {
+    const err = new Error('Branch not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  const [counts, incoming, outgoing] = await Promise.all([
+    branches.copyCounts({ current_branch: branch._id }),
+    Transfer.find({ to_branch: branch._id, status: 'in_transit' })
+      .populate({ path: 'book_instance', select: 'book barcode', populate: { path: 'book', select: 'title' } })
+      .populate('from_branch', 'name')
+      .sort({ sent_at: 1 })
+      .exec(),
+    Transfer.find({ from_branch: branch._id, status: 'in_transit' })
+      .populate({ path: 'book_instance', select: 'book barcode', populate: { path: 'book', select: 'title' } })
+      .populate('to_branch', 'name')
+      .sort({ sent_at: 1 })
+      .exec(),
+  ]);
+
+  res.render('branch_detail', {
+    title: branch.name,
+    branch,
+    status_counts: counts[branch._id.toString()] || {},
+    incoming,
+    outgoing,
+  });
+});
+
+// Display Branch create form on GET.
+exports.branch_create_get = (req, res, next) => {
+  res.render('branch_form', { title: 'Create Branch' });
+};
+
+const branchValidation = [
+  body('name', 'Name must be 2 to 100 characters')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .escape()
+    .bail()
+    .custom(async (value, { req }) => {
+      const clash = await Branch.findOne({
+        name: new RegExp(`^${escapeRegExp(value)}$`, 'i'),
+        _id: { $ne: req.params.id },
+      }).exec();
+      if (clash) throw new Error('There is already a branch with this name');
+    }),
+  body('address', 'Address must be at most 300 characters')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 300 })
+    .escape(),
+  // one shelf per line, blank lines and repeats left out
+  body('shelf_locations')
+    .customSanitizer((value) => [...new Set(String(value || '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean))])
+    .custom((shelves) => shelves.every((shelf) => shelf.length <= 100))
+    .withMessage('Shelf locations must be at most 100 characters each'),
+  body('shelf_locations.*').escape(),
+];
+
+const branchFields = (req) => ({
+  name: req.body.name,
+  address: req.body.address || '',
+  shelf_locations: req.body.shelf_locations,
+});
+
+// Handle Branch create on POST.
+exports.branch_create_post = [
+  ...branchValidation,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    const branch = new Branch(branchFields(req));
+
+    if (!errors.isEmpty()) {
+      res.render('branch_form', { title: 'Create Branch', branch, errors: errors.array() });
+      return;
+    }
+
+    await branch.save();
+    res.redirect(branch.url);
+  }),
+];
+
+// Display Branch update form on GET.
+exports.branch_update_get = asyncHandler(async (req, res, next) => {
+  const branch = await Branch.findById(req.params.id).exec();
+
+  if (branch === null) {
+    const err = new Error('Branch not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('branch_form', { title: 'Update Branch', branch });
+});
+
+// Handle Branch update on POST. Copies on a shelf that was removed keep it
+// until they are moved.
+exports.branch_update_post = [
+  ...branchValidation,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    const branch = new Branch({ ...branchFields(req), _id: req.params.id });
+
+    if (!errors.isEmpty()) {
+      res.render('branch_form', { title: 'Update Branch', branch, errors: errors.array() });
+      return;
+    }
+
+    const updated = await Branch.findByIdAndUpdate(req.params.id, branchFields(req), { new: true, runValidators: true }).exec();
+
+    if (updated === null) {
+      const err = new Error('Branch not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    res.redirect(updated.url);
+  }),
+];
+
+// How many copies and transfers still refer to the branch.
+const branchUsage = async (branchId) => {
+  const [copies, transfers] = await Promise.all([
+    BookInstance.countDocuments({ $or: [{ home_branch: branchId }, { current_branch: branchId }] }).exec(),
+    Transfer.countDocuments({ status: 'in_transit', $or: [{ from_branch: branchId }, { to_branch: branchId }] }).exec(),
+  ]);
+  return { copies, transfers };
+};
+
+// Display Branch delete form on GET.
+exports.branch_delete_get = asyncHandler(async (req, res, next) => {
+  const branch = await Branch.findById(req.params.id).exec();
+
+  if (branch === null) {
+    res.redirect('/catalog/branches');
+    return;
+  }
+
+  res.render('branch_delete', {
+    title: 'Delete Branch',
+    branch,
+    usage: await branchUsage(branch._id),
+  });
+});
+
+// Handle Branch delete on POST. Only a branch with no copies and no
+// transfers on the way can go.
+exports.branch_delete_post = asyncHandler(async (req, res, next) => {
+  const branch = await Branch.findById(req.params.id).exec();
+
+  if (branch === null) {
+    res.redirect('/catalog/branches');
+    return;
+  }
+
+  const usage = await branchUsage(branch._id);
+  if (usage.copies || usage.transfers) {
+    res.render('branch_delete', { title: 'Delete Branch', branch, usage });
+    return;
+  }
+
+  await Branch.findByIdAndDelete(branch._id).exec();
+  res.redirect('/catalog/branches');
+});
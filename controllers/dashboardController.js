@@ -0,0 +1,47 @@
+const dashboard = require('../services/dashboard');
+const charts = require('../utils/charts');
+const asyncHandler = require('express-async-handler');
+const { stringify } = require('csv-stringify/sync');
+const validator = require('validator');
+const { DateTime } = require('luxon');
+
+// Display the dashboard for the range in ?from=&to=.
+exports.dashboard_get = asyncHandler(async (req, res, next) => {
+  const range = dashboard.parseRange(req.query);
+  const widgets = await dashboard.allFigures(range);
+
+  for (const widget of widgets) {
+    if (widget.chart === 'line') {
+      widget.line = charts.lineChart(widget.rows, widget.columns.slice(1));
+    } else if (widget.chart === 'bar') {
+      widget.bars = charts.barChart(widget.rows, widget.value);
+    }
+  }
+
+  res.render('dashboard', {
+    title: 'Library Dashboard',
+    range,
+    widgets,
+    errors: range.errors.map((msg) => ({ msg })),
+    computed_at_formatted: (widget) => DateTime.fromJSDate(widget.computed_at).toLocaleString(DateTime.DATETIME_SHORT),
+  });
+});
+
+// Download one widget's figures as CSV, for the same range as the page.
+exports.dashboard_export = asyncHandler(async (req, res, next) => {
+  if (!dashboard.has(req.params.widget)) {
+    const err = new Error('Dashboard widget not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  const range = dashboard.parseRange(req.query);
+  const { columns } = dashboard.WIDGETS[req.params.widget];
+  const { rows } = await dashboard.figures(req.params.widget, range);
+
+  res.set('Content-Type', 'text/csv');
+  res.attachment(`${req.params.widget}-${range.from_date}-${range.to_date}.csv`);
+  // ids as plain strings, and names unescaped like the catalog exports
+  const cell = (value) => (typeof value === 'string' ? validator.unescape(value) : String(value));
+  res.send(stringify(rows.map((row) => columns.map((column) => cell(row[column]))), { header: true, columns }));
+});
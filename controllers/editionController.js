@@ -0,0 +1,209 @@
+const Edition = require('../models/Edition.js');
+const Book = require('../models/Book.js');
+const Publisher = require('../models/Publisher.js');
+const BookInstance = require('../models/BookInstance.js');
+const audit = require('../services/audit');
+const trash = require('../services/trash');
+const branches = require('../services/branches');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// Editions are added from their book's page (/catalog/book/:id/edition/create)
+// and belong to that book for good; only the publishing details change.
+
+const renderForm = async (res, locals) => {
+  const allPublishers = await Publisher.find().sort({ name: 1 }).exec();
+
+  res.render('edition_form', {
+    publishers: allPublishers,
+    formats: Edition.FORMATS,
+    ...locals,
+  });
+};
+
+// Display detail page for an edition, with its copies. ?branch= only lists
+// the copies at that branch.
+exports.edition_detail = asyncHandler(async (req, res, next) => {
+  const { branches: allBranches, branch } = await branches.picked(req.query.branch);
+  const copyFilter = { edition: req.params.id };
+  if (branch) copyFilter.current_branch = branch._id;
+
+  const [edition, copies] = await Promise.all([
+    Edition.findById(req.params.id).populate('book', 'title').populate('publisher').exec(),
+    BookInstance.find(copyFilter).exec(),
+  ]);
+
+  if (edition === null) {
+    const err = new Error('Edition not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('edition_detail', {
+    title: 'Edition Details',
+    edition,
+    edition_copies: copies,
+    branches: allBranches,
+    branch,
+  });
+});
+
+// Display the form for a new edition of a book on GET.
+exports.edition_create_get = asyncHandler(async (req, res, next) => {
+  const book = await Book.findById(req.params.id, 'title').exec();
+
+  if (book === null) {
+    const err = new Error('Book not found.');
+    err.status = 404;
+    return next(err);
+  }
+
+  await renderForm(res, { title: 'Add Edition', book });
+});
+
+const editionValidation = [
+  body('publisher', 'Publisher must be specified')
+    .trim()
+    .isMongoId()
+    .bail()
+    .custom(async (value) => {
+      if (!await Publisher.exists({ _id: value })) throw new Error('Publisher does not exist');
+    }),
+  body('year', 'Year must be a four-digit year')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1000, max: 9999 })
+    .toInt(),
+  body('format', 'Unknown format').isIn(Edition.FORMATS),
+  body('pages', 'Pages must be a whole number')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1 })
+    .toInt(),
+];
+
+// The edition fields from the form. Empty year and pages are left unset.
+const editionFields = (req) => ({
+  publisher: req.body.publisher,
+  year: req.body.year || undefined,
+  format: req.body.format,
+  pages: req.body.pages || undefined,
+});
+
+// Handle a new edition on POST.
+exports.edition_create_post = [
+  ...editionValidation,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    const book = await Book.findById(req.params.id, 'title').exec();
+
+    if (book === null) {
+      const err = new Error('Book not found.');
+      err.status = 404;
+      return next(err);
+    }
+
+    const edition = new Edition({ book: book._id, ...editionFields(req) });
+
+    if (!errors.isEmpty()) {
+      await renderForm(res, { title: 'Add Edition', book, edition, errors: errors.array() });
+      return;
+    }
+
+    await edition.save();
+    await audit.record('create', { after: edition, actor: req.user });
+    res.redirect(book.url);
+  }),
+];
+
+// Display Edition update form on GET.
+exports.edition_update_get = asyncHandler(async (req, res, next) => {
+  const edition = await Edition.findById(req.params.id).populate('book', 'title').exec();
+
+  if (edition === null) {
+    const err = new Error('Edition not found.');
+    err.status = 404;
+    return next(err);
+  }
+
+  await renderForm(res, { title: 'Update Edition', book: edition.book, edition });
+});
+
+// Handle Edition update on POST.
+exports.edition_update_post = [
+  ...editionValidation,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    const previous = await Edition.findById(req.params.id).exec();
+
+    if (previous === null) {
+      const err = new Error('Edition not found.');
+      err.status = 404;
+      return next(err);
+    }
+
+    const edition = new Edition({ _id: previous._id, book: previous.book, ...editionFields(req) });
+
+    if (!errors.isEmpty()) {
+      const book = await Book.findById(previous.book, 'title').exec();
+      await renderForm(res, { title: 'Update Edition', book, edition, errors: errors.array() });
+      return;
+    }
+
+    // clearing the year or pages on the form removes them
+    const update = { $set: {}, $unset: {} };
+    for (const [field, value] of Object.entries(editionFields(req))) {
+      if (value === undefined) update.$unset[field] = '';
+      else update.$set[field] = value;
+    }
+    if (Object.keys(update.$unset).length === 0) delete update.$unset;
+
+    const updatedEdition = await Edition.findByIdAndUpdate(req.params.id, update, { new: true }).exec();
+    await audit.record('update', { before: previous, after: updatedEdition, actor: req.user });
+    res.redirect(updatedEdition.url);
+  }),
+];
+
+// Display Edition delete form on GET.
+exports.edition_delete_get = asyncHandler(async (req, res, next) => {
+  const [edition, copies] = await Promise.all([
+    Edition.findById(req.params.id).populate('book', 'title').populate('publisher').exec(),
+    BookInstance.find({ edition: req.params.id }).exec(),
+  ]);
+
+  if (edition === null) {
+    res.redirect('/catalog/books');
+    return;
+  }
+
+  res.render('edition_delete', {
+    title: 'Delete Edition',
+    edition,
+    edition_copies: copies,
+  });
+});
+
+// Handle Edition delete on POST. Only an edition without copies can go.
+exports.edition_delete_post = asyncHandler(async (req, res, next) => {
+  const [edition, copies] = await Promise.all([
+    Edition.findById(req.params.id).populate('book', 'title').populate('publisher').exec(),
+    BookInstance.find({ edition: req.params.id }).exec(),
+  ]);
+
+  if (edition === null) {
+    res.redirect('/catalog/books');
+    return;
+  }
+
+  if (copies.length > 0) {
+    res.render('edition_delete', {
+      title: 'Delete Edition',
+      edition,
+      edition_copies: copies,
+    });
+    return;
+  }
+
+  await trash.softDelete(Edition, req.body.editionid, req.user);
+  res.redirect(edition.book ? edition.book.url : '/catalog/books');
+});
@@ -0,0 +1,22 @@
+const catalogExport = require('../services/catalogExport');
+const asyncHandler = require('express-async-handler');
+
+// Returns the handler for GET /catalog/<list>/export?format=csv|json|marc|marcxml.
+// The rest of the query string filters and sorts the same as the list page,
+// so "export" on a filtered list exports just what is shown (every page of it).
+const exportList = (name) => asyncHandler(async (req, res, next) => {
+  const format = req.query.format || 'csv';
+
+  if (!catalogExport.supports(name, format)) {
+    const err = new Error(`Can't export ${name} as "${format}"`);
+    err.status = 400;
+    return next(err);
+  }
+
+  await catalogExport.streamExport({ name, format, query: req.query, res });
+});
+
+exports.book_export = exportList('books');
+exports.author_export = exportList('authors');
+exports.genre_export = exportList('genres');
+exports.bookinstance_export = exportList('bookinstances');
@@ -0,0 +1,95 @@
+const FineTransaction = require('../models/FineTransaction.js');
+const Loan = require('../models/Loan.js');
+const User = require('../models/User.js');
+const fines = require('../services/fines');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// Display the fines dashboard: the patrons who owe the most and the
+// loans that are overdue.
+exports.fine_dashboard = asyncHandler(async (req, res, next) => {
+  const [offenders, overdueLoans] = await Promise.all([
+    fines.worstOffenders(),
+    Loan.find({ returned_at: null, due_back: { $lt: new Date() } })
+      .populate({ path: 'book_instance', populate: { path: 'book', select: 'title' } })
+      .populate('patron', 'username')
+      .sort({ due_back: 1 })
+      .exec(),
+  ]);
+
+  res.render('fine_dashboard', {
+    title: 'Fines and Overdues',
+    top_balances: offenders,
+    overdue_loans: overdueLoans,
+  });
+});
+
+const renderLedger = async (req, res, next, extra = {}) => {
+  const [patron, entries] = await Promise.all([
+    User.findById(req.params.id).exec(),
+    FineTransaction.find({ patron: req.params.id })
+      .populate('created_by', 'username')
+      .sort({ created_at: -1 })
+      .exec(),
+  ]);
+
+  if (patron === null) {
+    const err = new Error('Patron not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  const balance = entries.reduce((sum, entry) => sum + entry.signed_amount, 0);
+
+  res.render('fine_ledger', {
+    title: `Fines for ${patron.username}`,
+    patron: patron,
+    entries: entries,
+    balance_formatted: FineTransaction.formatAmount(balance),
+    ...extra,
+  });
+};
+
+// Display a patron's fines ledger.
+exports.fine_ledger = asyncHandler(async (req, res, next) => {
+  await renderLedger(req, res, next);
+});
+
+// Handle recording a payment or waiver on POST.
+exports.fine_credit_post = [
+  body('type', 'Choose payment or waiver').isIn(['payment', 'waiver']),
+  body('amount', 'Amount must be a positive number of dollars and cents')
+    .trim()
+    .isFloat({ gt: 0 })
+    .toFloat(),
+  // measured escaped, as it is stored
+  body('note')
+    .optional({ checkFalsy: true })
+    .trim()
+    .escape()
+    .isLength({ max: 200 })
+    .withMessage('Note is too long'),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+
+    if (errors.length === 0) {
+      try {
+        await fines.recordCredit({
+          patronId: req.params.id,
+          type: req.body.type,
+          amount: Math.round(req.body.amount * 100), // dollars to cents
+          note: req.body.note,
+          staffId: req.user._id,
+        });
+        res.redirect(`/catalog/fines/${req.params.id}`);
+        return;
+      } catch (err) {
+        if (err.status !== 409) throw err;
+        errors.push({ msg: err.message });
+      }
+    }
+
+    await renderLedger(req, res, next, { errors });
+  }),
+];
@@ -1,24 +1,38 @@
 const Genre = require("../models/Genre.js");
 const Book = require('../models/Book.js');
+const listings = require('../services/listings');
+const audit = require('../services/audit');
+const trash = require('../services/trash');
+const genres = require('../services/genres');
+const branches = require('../services/branches');
 const asyncHandler = require('express-async-handler');
 const { body, validationResult } = require('express-validator');
 
-// Display list of all Genre.
+// Display list of all Genre, a page at a time.
 exports.genre_list = asyncHandler(async (req, res, next) => {
-  const allGenres = await Genre.find({}).sort({name: 1}).exec();
+  const [{ items, ...listing }, allBranches] = await Promise.all([
+    listings.list('genres', req.query),
+    branches.all(),
+  ]);
 
   res.render('genre_list', {
     title: 'Genre List',
-    genre_list: allGenres,
+    genre_list: items,
+    branches: allBranches,
+    query: req.query,
+    ...listing,
   })
 });
 
-// Display detail page for a specific Genre.
+// Display detail page for a specific Genre. Books in its subgenres are
+// listed too. ?branch= only lists the books with a copy at that branch.
 exports.genre_detail = asyncHandler(async (req, res, next) => {
-  // Get details of genre and associated books in parallel
-  const [genre, booksInGenre] = await Promise.all([
+  // Get details of genre and the genres below it in parallel
+  const [genre, subgenres, descendantIds, { branches: allBranches, branch }] = await Promise.all([
     Genre.findById(req.params.id).exec(),
-    Book.find({genre: req.params.id}, 'title summary').exec(),
+    Genre.find({ parent: req.params.id }).sort({ name: 1 }).exec(),
+    genres.descendantIds(req.params.id),
+    branches.picked(req.query.branch),
   ]);
 
   if (genre === null) {
@@ -28,51 +42,136 @@ exports.genre_detail = asyncHandler(async (req, res, next) => {
     return next(err);
   }
 
+  const bookFilter = { genre: { $in: [genre._id, ...descendantIds] } };
+  if (branch) bookFilter._id = { $in: await branches.bookIdsAt(branch._id) };
+
+  const [ancestors, booksInGenre] = await Promise.all([
+    genres.ancestors(genre),
+    Book.find(bookFilter, 'title summary genre')
+      .populate({ path: 'genre', match: { _id: { $in: descendantIds } }, select: 'name' })
+      .sort({ title: 1 })
+      .exec(),
+  ]);
+
   res.render('genre_detail', {
     title: 'Genre Details',
     genre: genre,
+    ancestors: ancestors,
+    subgenres: subgenres,
+    // each book's genre holds only the subgenres it was found through
     genre_books: booksInGenre,
+    branches: allBranches,
+    branch,
   });
 });
 
-// Display Genre create form on GET.
-// Since this route does not throw any exceptions, 
-// we can skip using asyncHandler() here
-exports.genre_create_get = (req, res, next) => {
+// Render the genre form with the genres that can be its parent: any but the
+// genre itself and those below it.
+const renderForm = async (res, locals) => {
+  const genreId = locals.genre && !locals.genre.isNew ? locals.genre._id : null;
+  const [allGenres, excluded] = await Promise.all([
+    Genre.find({}, 'name').sort({ name: 1 }).exec(),
+    genreId ? genres.descendantIds(genreId) : [],
+  ]);
+
   res.render('genre_form', {
-    title: 'Create Genre',
+    parent_choices: allGenres.filter((genre) => !(genreId && genre._id.equals(genreId)) &&
+      !excluded.some((id) => id.equals(genre._id))),
+    ...locals,
   });
 };
 
-// Handle Genre create on POST.
-exports.genre_create_post = [
-  body('name', 'Genre must be at least 3 characters')
+// Display Genre create form on GET.
+exports.genre_create_get = asyncHandler(async (req, res, next) => {
+  await renderForm(res, { title: 'Create Genre' });
+});
+
+// Genre checks, reused by the update handler and the API controller.
+// Aliases come from the form as one ";" separated field, or from the API as
+// an array.
+const genreValidation = [
+  body('name', 'Genre must be 3 to 100 characters')
     .trim() // remove leading whitespaces
-    .isLength({ min: 3}) // checks if length is at least 3
+    .isLength({ min: 3, max: 100 }) // checks if length is at least 3
     .escape(),// escapes characters to avoid XSS attacks
-  
+  body('parent', 'Unknown parent genre')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isMongoId()
+    .bail()
+    .custom(async (value) => {
+      if (!await Genre.exists({ _id: value })) throw new Error('Parent genre does not exist');
+    })
+    .bail()
+    .custom(async (value, { req }) => {
+      if (!await genres.canBeParent(req.params.id, value)) {
+        throw new Error('A genre cannot be under itself or one of its subgenres');
+      }
+    }),
+  body('aliases').customSanitizer((value) => {
+    const aliases = Array.isArray(value) ? value : String(value || '').split(';');
+    return aliases.map((alias) => String(alias).trim()).filter(Boolean);
+  }),
+  body('aliases.*', 'Each alias must be 3 to 100 characters')
+    .isLength({ min: 3, max: 100 })
+    .escape(),
+];
+
+exports.genre_validation = genreValidation;
+
+// The fields a genre gets from a request that passed genreValidation.
+const genreFields = (req) => ({
+  name: req.body.name,
+  parent: req.body.parent || null,
+  aliases: req.body.aliases,
+});
+
+exports.genre_fields = genreFields;
+
+// Another genre already using one of this genre's names, if any.
+const findClash = (genre) => {
+  const keys = [genre.name, ...genre.aliases].map(Genre.nameKey);
+  return Genre.findOne({ name_keys: { $in: keys }, _id: { $ne: genre._id } }).exec();
+};
+
+exports.find_clash = findClash;
+
+const clashError = (clash) => ({
+  msg: `The name or an alias is already used by the genre <a href="${clash.url}">${clash.name}</a>`,
+});
+
+// Handle Genre create on POST.
+exports.genre_create_post = [
+  ...genreValidation,
+
   asyncHandler(async (req, res, next) => {
     // extract validation errors from request
     const errors = validationResult(req);
 
     // create genre
-    const genre = new Genre({ name: req.body.name });
+    const genre = new Genre(genreFields(req));
 
     if(!errors.isEmpty()) {
       // re-render form with found errors
-      res.render('genre_form', {
+      await renderForm(res, {
         title: 'Create Genre',
         genre,
         errors: errors.array(),
       });
       return;
     } else {
-      const genreExists = await Genre.findOne({ name: req.body.name }).exec();
+      // "Sci-Fi" when there is already a "sci-fi", or a genre with that
+      // alias, is that genre
+      const genreExists = await Genre.findByName(req.body.name).exec();
+      const clash = genreExists ? null : await findClash(genre);
 
       if(genreExists) {
         res.redirect(genreExists.url);
+      } else if (clash) {
+        await renderForm(res, { title: 'Create Genre', genre, errors: [clashError(clash)] });
       } else {
         await genre.save();
+        await audit.record('create', { after: genre, actor: req.user });
 
         res.redirect(genre.url);
       }
@@ -82,9 +181,10 @@ exports.genre_create_post = [
 
 // Display Genre delete form on GET.
 exports.genre_delete_get = asyncHandler(async (req, res, next) => {
-  const [genre, allBooksWithGenre] = await Promise.all([
+  const [genre, allBooksWithGenre, subgenres] = await Promise.all([
     Genre.findById(req.params.id),
-    Book.find({genre: req.params.id})
+    Book.find({genre: req.params.id}),
+    Genre.find({ parent: req.params.id }, 'name'),
   ]);
 
   if (genre === null) {
@@ -96,26 +196,29 @@ exports.genre_delete_get = asyncHandler(async (req, res, next) => {
     title: 'Delete Genre',
     genre: genre,
     genre_books: allBooksWithGenre,
+    subgenres: subgenres,
   });
 });
 
 // Handle Genre delete on POST.
 exports.genre_delete_post = asyncHandler(async (req, res, next) => {
-  const [genre, allBooksWithGenre] = await Promise.all([
+  const [genre, allBooksWithGenre, subgenres] = await Promise.all([
     Genre.findById(req.params.id).exec(),
     Book.find({genre: req.params.id}, 'title summary').exec(),
+    Genre.find({ parent: req.params.id }, 'name').exec(),
   ]);
 
-  if (allBooksWithGenre.length > 0) {
+  if (allBooksWithGenre.length > 0 || subgenres.length > 0) {
     res.render('genre_delete', {
       title: 'Delete Genre',
       genre: genre,
       genre_books: allBooksWithGenre,
+      subgenres: subgenres,
     })
     return;
   } else { 
-    // the genre has no books attached to it.
-    await Genre.findByIdAndRemove(req.body.genreid);
+    // the genre has no books or subgenres attached to it.
+    await trash.softDelete(Genre, req.body.genreid, req.user);
     res.redirect('/catalog/genres');
   }
 });
@@ -130,7 +233,7 @@ exports.genre_update_get = asyncHandler(async (req, res, next) => {
     return next(error);
   } 
 
-  res.render('genre_form', {
+  await renderForm(res, {
     title: 'Update Genre',
     genre,
   });
@@ -138,34 +241,103 @@ exports.genre_update_get = asyncHandler(async (req, res, next) => {
 
 // Handle Genre update on POST.
 exports.genre_update_post = [
-  body('name', 'An updated genre name must be provided')
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
+  ...genreValidation,
 
   asyncHandler(async (req, res, next) => {
-    // we must update all genre references, too. I think?
-    // let's try to update the genre only and see what happens with the other books.
-    const genre = new Genre({
-      name: req.body.name,
-      _id: req.params.id,
-    });
+    // books refer to the genre by id, so only the genre itself changes
+    const genre = await Genre.findById(req.params.id).exec();
 
-    console.log(genre);
+    if (genre === null) {
+      const error = new Error('Genre does not exist.');
+      error.status = 404;
+      return next(error);
+    }
 
-    const errors = validationResult(req);
+    const previous = Genre.hydrate(genre.toObject());
+    genre.set(genreFields(req));
 
-    if( !errors.isEmpty() ) {
-      res.render('genre_form', {
+    const errors = validationResult(req).array();
+    if (errors.length === 0) {
+      const clash = await findClash(genre);
+      if (clash) errors.push(clashError(clash));
+    }
+
+    if( errors.length ) {
+      await renderForm(res, {
         title: 'Update Genre',
         genre: genre,
-        errors: errors.array(),
+        errors: errors,
       });
 
     } else {
-      const updatedGenre = await Genre.findByIdAndUpdate(req.params.id, genre, {}).exec();
-      res.redirect(updatedGenre.url);
+      // saved rather than findByIdAndUpdate(), so name_keys follow the names
+      await genre.save();
+      await audit.record('update', { before: previous, after: genre, actor: req.user });
+      res.redirect(genre.url);
     }
 
   })
-]
\ No newline at end of file
+]
+
+// Display the form to merge a genre into another on GET.
+exports.genre_merge_get = asyncHandler(async (req, res, next) => {
+  const [genre, allGenres, bookCount] = await Promise.all([
+    Genre.findById(req.params.id).exec(),
+    Genre.find({ _id: { $ne: req.params.id } }, 'name').sort({ name: 1 }).exec(),
+    Book.countDocuments({ genre: req.params.id }).exec(),
+  ]);
+
+  if (genre === null) {
+    const err = new Error('Genre Not Found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('genre_merge', {
+    title: 'Merge Genre',
+    genre,
+    genres: allGenres,
+    book_count: bookCount,
+  });
+});
+
+// Handle a merge on POST: the books, subgenres and names of this genre move
+// to the one picked, see services/genres.js.
+exports.genre_merge_post = [
+  body('target', 'Choose the genre to merge into').trim().isMongoId(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+
+    if (errors.length === 0) {
+      try {
+        const target = await genres.merge(req.params.id, req.body.target, req.user);
+        return res.redirect(target.url);
+      } catch (err) {
+        if (err.status !== 409) throw err;
+        errors.push({ msg: err.message });
+      }
+    }
+
+    const [genre, allGenres, bookCount] = await Promise.all([
+      Genre.findById(req.params.id).exec(),
+      Genre.find({ _id: { $ne: req.params.id } }, 'name').sort({ name: 1 }).exec(),
+      Book.countDocuments({ genre: req.params.id }).exec(),
+    ]);
+
+    if (genre === null) {
+      const err = new Error('Genre Not Found');
+      err.status = 404;
+      return next(err);
+    }
+
+    res.render('genre_merge', {
+      title: 'Merge Genre',
+      genre,
+      genres: allGenres,
+      book_count: bookCount,
+      selected_target: req.body.target,
+      errors,
+    });
+  }),
+];
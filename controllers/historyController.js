@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const AuditEntry = require('../models/AuditEntry.js');
+const audit = require('../services/audit');
+const asyncHandler = require('express-async-handler');
+const validator = require('validator');
+
+// URL segment for each kind of audited document.
+const paths = {
+  Book: 'book',
+  Author: 'author',
+  Genre: 'genre',
+  BookInstance: 'bookinstance',
+  Series: 'series',
+  Publisher: 'publisher',
+  Edition: 'edition',
+};
+
+const renderHistory = async (res, next, entityType, id, errors) => {
+  const path = paths[entityType];
+  const [current, entries] = await Promise.all([
+    mongoose.model(entityType).findById(id).exec(),
+    audit.historyFor(entityType, id),
+  ]);
+
+  if (current === null && entries.length === 0) {
+    const err = new Error('No history found.');
+    err.status = 404;
+    return next(err);
+  }
+
+  const changes = await audit.describeChanges(entries.map((entry) => entry.changes));
+
+  res.render('history', {
+    title: `History: ${validator.unescape(audit.labelFor(entityType, current || entries[0].snapshot))}`,
+    entity_url: `/catalog/${path}/${id}`,
+    // a deleted document can only be brought back from its history
+    is_deleted: current === null,
+    entries: entries.map((entry, index) => ({ entry, changes: changes[index] })),
+    errors,
+  });
+};
+
+// Returns the handler for GET /catalog/<path>/:id/history.
+const showHistory = (entityType) => asyncHandler(async (req, res, next) => {
+  await renderHistory(res, next, entityType, req.params.id);
+});
+
+exports.book_history = showHistory('Book');
+exports.author_history = showHistory('Author');
+exports.genre_history = showHistory('Genre');
+exports.bookinstance_history = showHistory('BookInstance');
+exports.series_history = showHistory('Series');
+exports.publisher_history = showHistory('Publisher');
+exports.edition_history = showHistory('Edition');
+
+// Restore the version saved in a history entry on POST.
+exports.history_restore_post = asyncHandler(async (req, res, next) => {
+  const entry = await AuditEntry.findById(req.params.id).exec();
+
+  if (entry === null) {
+    const err = new Error('History entry not found.');
+    err.status = 404;
+    return next(err);
+  }
+
+  let doc;
+  try {
+    doc = await audit.restoreVersion(entry._id, req.user);
+  } catch (err) {
+    if (err.status !== 409) throw err;
+    return renderHistory(res, next, entry.entity_type, entry.entity, [{ msg: err.message }]);
+  }
+
+  res.redirect(doc.url);
+});
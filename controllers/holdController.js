@@ -0,0 +1,48 @@
+const Hold = require('../models/Hold.js');
+const BookInstance = require('../models/BookInstance.js');
+const holds = require('../services/holds');
+const branches = require('../services/branches');
+const asyncHandler = require('express-async-handler');
+
+// Display list of all open holds, the ones ready for pickup first. ?branch=
+// keeps the holds with a copy set aside at that branch, and those waiting
+// for a book it has a copy of.
+exports.hold_list = asyncHandler(async (req, res, next) => {
+  const { branches: allBranches, branch } = await branches.picked(req.query.branch);
+  const filter = { status: { $in: ['ready', 'waiting'] } };
+  if (branch) {
+    const [setAside, books] = await Promise.all([
+      BookInstance.distinct('_id', { current_branch: branch._id, status: 'Reserved' }).exec(),
+      branches.bookIdsAt(branch._id),
+    ]);
+    filter.$or = [
+      { status: 'ready', book_instance: { $in: setAside } },
+      { status: 'waiting', book: { $in: books } },
+    ];
+  }
+
+  const openHolds = await Hold.find(filter)
+    .populate('book', 'title')
+    .populate('patron', 'username')
+    .sort({ status: 1, placed_at: 1 })
+    .exec();
+
+  res.render('hold_list', {
+    title: 'Holds',
+    hold_list: openHolds,
+    branches: allBranches,
+    branch,
+  });
+});
+
+// Handle placing a hold on a book on POST.
+exports.hold_create_post = asyncHandler(async (req, res, next) => {
+  await holds.placeHold({ bookId: req.params.id, patronId: req.user._id });
+  res.redirect(`/catalog/book/${req.params.id}`);
+});
+
+// Handle cancelling a hold on POST.
+exports.hold_cancel_post = asyncHandler(async (req, res, next) => {
+  const hold = await holds.cancelHold({ holdId: req.params.id, user: req.user });
+  res.redirect(`/catalog/book/${hold.book}`);
+});
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const PendingImport = require('../models/PendingImport.js');
+const csvImport = require('../services/csvImport');
+const asyncHandler = require('express-async-handler');
+const multer = require('multer');
+
+const MAX_UPLOAD_SIZE = 2 * 1024 * 1024; // 2 MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+});
+
+const renderForm = (res, errors) => {
+  res.render('import_form', {
+    title: 'Import Books from CSV',
+    errors: errors,
+  });
+};
+
+// The id of the upload waiting in the session. Sessions from before uploads
+// were stored apart hold the file itself, which is no use any more.
+const pendingId = (req) => {
+  const id = req.session.pendingImport;
+  return typeof id === 'string' && mongoose.isValidObjectId(id) ? id : null;
+};
+
+// Display the CSV upload form on GET.
+exports.import_get = (req, res, next) => {
+  renderForm(res);
+};
+
+// Handle a CSV upload on POST: show a dry-run preview of what would be
+// imported. The file is kept until the import is confirmed, with its id in
+// the session.
+exports.import_preview_post = [
+  (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return renderForm(res, [{ msg: err.code === 'LIMIT_FILE_SIZE' ? 'The file is larger than 2 MB' : err.message }]);
+      }
+      next(err);
+    });
+  },
+
+  asyncHandler(async (req, res, next) => {
+    if (!req.file) {
+      return renderForm(res, [{ msg: 'Choose a CSV file to upload' }]);
+    }
+
+    const text = req.file.buffer.toString('utf8');
+
+    let rows;
+    try {
+      rows = csvImport.parseCsv(text);
+    } catch (err) {
+      return renderForm(res, [{ msg: `The file could not be read as CSV: ${err.message}` }]);
+    }
+
+    const plan = await csvImport.planImport(rows);
+
+    if (plan.errors.length) {
+      return renderForm(res, plan.errors.map((msg) => ({ msg })));
+    }
+
+    // an earlier upload that was never confirmed is replaced
+    if (pendingId(req)) await PendingImport.deleteOne({ _id: pendingId(req) }).exec();
+    const pending = await PendingImport.create({ filename: req.file.originalname, text, uploaded_by: req.user._id });
+    req.session.pendingImport = pending._id.toString();
+
+    res.render('import_preview', {
+      title: 'Import Preview',
+      filename: req.file.originalname,
+      plan: plan,
+    });
+  }),
+];
+
+// Handle confirming an import on POST. The plan is worked out again, in case
+// the catalog changed since the preview.
+exports.import_commit_post = asyncHandler(async (req, res, next) => {
+  const pending = pendingId(req)
+    ? await PendingImport.findOne({ _id: pendingId(req), uploaded_by: req.user._id }).exec()
+    : null;
+
+  if (pending === null) {
+    return renderForm(res, [{ msg: 'There is no import waiting to be confirmed, please upload the file again' }]);
+  }
+
+  const plan = await csvImport.planImport(csvImport.parseCsv(pending.text));
+  const created = await csvImport.commitImport(plan, req.user);
+  await PendingImport.deleteOne({ _id: pending._id }).exec();
+  delete req.session.pendingImport;
+
+  res.render('import_result', {
+    title: 'Import Complete',
+    filename: pending.filename,
+    created: created,
+    rejected: plan.rows.filter((row) => row.action === 'reject'),
+  });
+});
@@ -0,0 +1,122 @@
+const Loan = require('../models/Loan.js');
+const BookInstance = require('../models/BookInstance.js');
+const User = require('../models/User.js');
+const circulation = require('../services/circulation');
+const holds = require('../services/holds');
+const branches = require('../services/branches');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// Display list of all loans that are currently out.
+exports.loan_list = asyncHandler(async (req, res, next) => {
+    const allBranches = await branches.all();
+    const branch = allBranches.find((candidate) => candidate._id.toString() === req.query.branch);
+
+    const filter = { returned_at: null };
+    // copies lent from the branch
+    if (branch) filter.book_instance = { $in: await BookInstance.distinct('_id', { current_branch: branch._id }).exec() };
+
+    const activeLoans = await Loan.find(filter)
+        .populate({
+            path: 'book_instance',
+            populate: [{ path: 'book', select: 'title' }, { path: 'edition', populate: { path: 'publisher' } }],
+        })
+        .populate('patron', 'username')
+        .sort({ due_back: 1 })
+        .exec();
+
+    res.render('loan_list', {
+        title: 'Current Loans',
+        loan_list: activeLoans,
+        branches: allBranches,
+        query: req.query,
+    });
+});
+
+// Display the checkout form for a copy on GET.
+exports.checkout_get = asyncHandler(async (req, res, next) => {
+    const [bookInstance, allPatrons, readyHold] = await Promise.all([
+        BookInstance.findById(req.params.id)
+            .populate('book')
+            .populate({ path: 'edition', populate: { path: 'publisher' } })
+            .exec(),
+        User.find({}, 'username').sort({ username: 1 }).exec(),
+        holds.readyHoldForCopy(req.params.id),
+    ]);
+
+    if (bookInstance === null) {
+        const err = new Error('Book copy not found');
+        err.status = 404;
+        return next(err);
+    }
+
+    // the same rule as circulation.checkout: on the shelf, or set aside
+    if (bookInstance.status !== (readyHold ? 'Reserved' : 'Available')) {
+        const err = new Error('This copy is not available for checkout');
+        err.status = 409;
+        return next(err);
+    }
+
+    res.render('checkout_form', {
+        title: 'Check Out Copy',
+        bookinstance: bookInstance,
+        patrons: allPatrons,
+        // a copy set aside for a hold goes to that patron
+        selected_patron: readyHold ? readyHold.patron.toString() : undefined,
+    });
+});
+
+// Handle checkout on POST.
+exports.checkout_post = [
+    body('patron', 'A patron must be selected')
+        .trim()
+        .isMongoId(),
+
+    asyncHandler(async (req, res, next) => {
+        const errors = validationResult(req).array();
+
+        if (errors.length === 0) {
+            try {
+                await circulation.checkout({
+                    bookInstanceId: req.params.id,
+                    patronId: req.body.patron,
+                    staffId: req.user._id,
+                });
+                res.redirect(`/catalog/bookinstance/${req.params.id}`);
+                return;
+            } catch (err) {
+                // anything other than a circulation conflict is a real error
+                if (err.status !== 409) throw err;
+                errors.push({ msg: err.message });
+            }
+        }
+
+        const [bookInstance, allPatrons] = await Promise.all([
+            BookInstance.findById(req.params.id)
+            .populate('book')
+            .populate({ path: 'edition', populate: { path: 'publisher' } })
+            .exec(),
+            User.find({}, 'username').sort({ username: 1 }).exec(),
+        ]);
+
+        res.render('checkout_form', {
+            title: 'Check Out Copy',
+            bookinstance: bookInstance,
+            patrons: allPatrons,
+            selected_patron: req.body.patron,
+            errors: errors,
+        });
+    }),
+];
+
+// Handle a copy being returned on POST.
+exports.checkin_post = asyncHandler(async (req, res, next) => {
+    await circulation.checkin(req.params.id);
+    res.redirect(`/catalog/bookinstance/${req.params.id}`);
+});
+
+// Handle renewing a loan on POST.
+exports.renew_post = asyncHandler(async (req, res, next) => {
+    const loan = await circulation.renew({ loanId: req.params.id, user: req.user });
+    res.redirect(`/catalog/bookinstance/${loan.book_instance}`);
+});
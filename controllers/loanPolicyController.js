@@ -0,0 +1,185 @@
+const LoanPolicy = require('../models/LoanPolicy.js');
+const Genre = require('../models/Genre.js');
+const User = require('../models/User.js');
+const BookInstance = require('../models/BookInstance.js');
+const FineTransaction = require('../models/FineTransaction.js');
+const loanPolicies = require('../services/loanPolicies');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// Display every loan policy, and the defaults used when none matches.
+exports.loanpolicy_list = asyncHandler(async (req, res, next) => {
+  const policies = await LoanPolicy.find()
+    .populate('genre', 'name')
+    .sort({ name: 1 })
+    .exec();
+
+  const defaults = loanPolicies.defaultTerms();
+
+  res.render('loanpolicy_list', {
+    title: 'Loan Policies',
+    policies,
+    defaults: { ...defaults, fine_daily_rate_formatted: FineTransaction.formatAmount(defaults.fine_daily_rate) },
+  });
+});
+
+const renderForm = async (res, locals) => {
+  const allGenres = await Genre.find({}, 'name').sort({ name: 1 }).exec();
+
+  res.render('loanpolicy_form', {
+    genres: allGenres,
+    patron_categories: User.PATRON_CATEGORIES,
+    item_types: BookInstance.ITEM_TYPES,
+    ...locals,
+  });
+};
+
+// Display LoanPolicy create form on GET.
+exports.loanpolicy_create_get = asyncHandler(async (req, res, next) => {
+  await renderForm(res, { title: 'Create Loan Policy' });
+});
+
+const loanPolicyValidation = [
+  body('name', 'Name must be 3 to 100 characters')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .escape(),
+  body('patron_category', 'Unknown patron category')
+    .optional({ checkFalsy: true })
+    .isIn(User.PATRON_CATEGORIES),
+  body('genre', 'Genre does not exist')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .bail()
+    .custom(async (value) => {
+      if (!(await Genre.exists({ _id: value }))) throw new Error('Genre does not exist');
+    }),
+  body('item_type', 'Unknown item type')
+    .optional({ checkFalsy: true })
+    .isIn(BookInstance.ITEM_TYPES),
+  body('loan_period_days', 'Loan period must be 1 to 365 days')
+    .isInt({ min: 1, max: 365 })
+    .toInt(),
+  body('max_renewals', 'Renewals must be a whole number from 0 to 50')
+    .isInt({ min: 0, max: 50 })
+    .toInt(),
+  body('max_loans', 'Loan limit must be a whole number from 1 to 100')
+    .isInt({ min: 1, max: 100 })
+    .toInt(),
+  body('fine_daily_rate', 'Daily fine must be a number of dollars and cents, 0 for none')
+    .trim()
+    .isFloat({ min: 0, max: 1000 })
+    .toFloat(),
+];
+
+// The policy's fields from the validated form, with empty criteria as null.
+const policyFields = (req) => ({
+  name: req.body.name,
+  patron_category: req.body.patron_category || null,
+  genre: req.body.genre || null,
+  item_type: req.body.item_type || null,
+  loan_period_days: req.body.loan_period_days,
+  max_renewals: req.body.max_renewals,
+  max_loans: req.body.max_loans,
+  fine_daily_rate: Math.round(req.body.fine_daily_rate * 100), // dollars to cents
+});
+
+// Each combination of criteria can only have one policy.
+const findClash = (policy) => LoanPolicy.findOne({
+  patron_category: policy.patron_category,
+  genre: policy.genre,
+  item_type: policy.item_type,
+  _id: { $ne: policy._id },
+}).exec();
+
+const clashError = (clash) => ({
+  msg: `The "${clash.name}" policy already has these criteria. Change that one instead.`,
+});
+
+// Handle LoanPolicy create on POST.
+exports.loanpolicy_create_post = [
+  ...loanPolicyValidation,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+    const policy = new LoanPolicy(policyFields(req));
+
+    if (errors.length === 0) {
+      const clash = await findClash(policy);
+      if (clash) errors.push(clashError(clash));
+    }
+
+    if (errors.length) {
+      await renderForm(res, { title: 'Create Loan Policy', policy, errors });
+      return;
+    }
+
+    await policy.save();
+    res.redirect('/catalog/loanpolicies');
+  }),
+];
+
+// Display LoanPolicy update form on GET.
+exports.loanpolicy_update_get = asyncHandler(async (req, res, next) => {
+  const policy = await LoanPolicy.findById(req.params.id).exec();
+
+  if (policy === null) {
+    const err = new Error('Loan policy not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  await renderForm(res, { title: 'Update Loan Policy', policy });
+});
+
+// Handle LoanPolicy update on POST. Loans already out keep the terms they
+// were made on.
+exports.loanpolicy_update_post = [
+  ...loanPolicyValidation,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+    const policy = new LoanPolicy({ ...policyFields(req), _id: req.params.id });
+
+    if (errors.length === 0) {
+      const clash = await findClash(policy);
+      if (clash) errors.push(clashError(clash));
+    }
+
+    if (errors.length) {
+      await renderForm(res, { title: 'Update Loan Policy', policy, errors });
+      return;
+    }
+
+    const updated = await LoanPolicy.findByIdAndUpdate(req.params.id, policyFields(req), { new: true, runValidators: true }).exec();
+
+    if (updated === null) {
+      const err = new Error('Loan policy not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    res.redirect('/catalog/loanpolicies');
+  }),
+];
+
+// Display LoanPolicy delete form on GET.
+exports.loanpolicy_delete_get = asyncHandler(async (req, res, next) => {
+  const policy = await LoanPolicy.findById(req.params.id).populate('genre', 'name').exec();
+
+  if (policy === null) {
+    res.redirect('/catalog/loanpolicies');
+    return;
+  }
+
+  res.render('loanpolicy_delete', {
+    title: 'Delete Loan Policy',
+    policy,
+  });
+});
+
+// Handle LoanPolicy delete on POST. Loans made under it keep their terms.
+exports.loanpolicy_delete_post = asyncHandler(async (req, res, next) => {
+  await LoanPolicy.findByIdAndDelete(req.params.id).exec();
+  res.redirect('/catalog/loanpolicies');
+});
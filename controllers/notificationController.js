@@ -0,0 +1,59 @@
+const Notification = require('../models/Notification.js');
+const notifications = require('../services/notifications');
+const asyncHandler = require('express-async-handler');
+
+const LOG_SIZE = 100;
+
+// Display the send log: the latest emails, optionally only those with
+// ?status= and/or ?type=.
+exports.notification_list = asyncHandler(async (req, res, next) => {
+  const status = Notification.STATUSES.includes(req.query.status) ? req.query.status : '';
+  const type = Notification.TYPES.includes(req.query.type) ? req.query.type : '';
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+
+  const [entries, counts] = await Promise.all([
+    Notification.find(filter, '-html -text')
+      .populate('user', 'username')
+      .sort({ created_at: -1 })
+      .limit(LOG_SIZE)
+      .exec(),
+    Notification.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+  ]);
+
+  res.render('notification_list', {
+    title: 'Email Log',
+    entries,
+    counts: Object.fromEntries(counts.map((row) => [row._id, row.count])),
+    statuses: Notification.STATUSES,
+    types: Notification.TYPES,
+    filter: { status, type },
+    limit: LOG_SIZE,
+    smtp_configured: notifications.isConfigured(),
+  });
+});
+
+// Display one email as it was sent.
+exports.notification_detail = asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findById(req.params.id).populate('user', 'username').exec();
+
+  if (notification === null) {
+    const err = new Error('Email not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('notification_detail', {
+    title: 'Email',
+    notification,
+  });
+});
+
+// Handle sending a failed email again on POST. The send job picks it up on
+// its next run.
+exports.notification_retry_post = asyncHandler(async (req, res, next) => {
+  await notifications.retry(req.params.id);
+  res.redirect(`/catalog/notification/${req.params.id}`);
+});
@@ -0,0 +1,187 @@
+const Publisher = require('../models/Publisher.js');
+const Edition = require('../models/Edition.js');
+const listings = require('../services/listings');
+const branches = require('../services/branches');
+const audit = require('../services/audit');
+const trash = require('../services/trash');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// The publisher's editions, newest first, with the book each is of. Only
+// those with a copy at `branch`, if given.
+const editionsOf = async (publisherId, branch) => {
+  const filter = { publisher: publisherId };
+  if (branch) filter._id = { $in: await branches.editionIdsAt(branch._id) };
+  return Edition.find(filter)
+    .populate('book', 'title')
+    .sort({ year: -1 })
+    .exec();
+};
+
+// Display list of all publishers, a page at a time.
+exports.publisher_list = asyncHandler(async (req, res, next) => {
+  const [{ items, ...listing }, allBranches] = await Promise.all([
+    listings.list('publishers', req.query),
+    branches.all(),
+  ]);
+
+  res.render('publisher_list', {
+    title: 'Publisher List',
+    publisher_list: items,
+    branches: allBranches,
+    query: req.query,
+    ...listing,
+  });
+});
+
+// Display detail page for a publisher and the editions it published.
+// ?branch= only lists the editions with a copy at that branch.
+exports.publisher_detail = asyncHandler(async (req, res, next) => {
+  const { branches: allBranches, branch } = await branches.picked(req.query.branch);
+  const [publisher, editions] = await Promise.all([
+    Publisher.findById(req.params.id).exec(),
+    editionsOf(req.params.id, branch),
+  ]);
+
+  if (publisher === null) {
+    const err = new Error('Publisher not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('publisher_detail', {
+    title: 'Publisher Details',
+    publisher,
+    publisher_editions: editions,
+    branches: allBranches,
+    branch,
+  });
+});
+
+// Display Publisher create form on GET.
+exports.publisher_create_get = (req, res, next) => {
+  res.render('publisher_form', {
+    title: 'Create Publisher',
+  });
+};
+
+// Publisher name checks, shared by create and update.
+const publisherValidation = [
+  body('name', 'Publisher name must not be empty')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .escape(),
+];
+
+// Handle Publisher create on POST.
+exports.publisher_create_post = [
+  ...publisherValidation,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    const publisher = new Publisher({ name: req.body.name });
+
+    if (!errors.isEmpty()) {
+      res.render('publisher_form', {
+        title: 'Create Publisher',
+        publisher,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    await publisher.save();
+    await audit.record('create', { after: publisher, actor: req.user });
+    res.redirect(publisher.url);
+  }),
+];
+
+// Display Publisher delete form on GET.
+exports.publisher_delete_get = asyncHandler(async (req, res, next) => {
+  const [publisher, editions] = await Promise.all([
+    Publisher.findById(req.params.id).exec(),
+    editionsOf(req.params.id),
+  ]);
+
+  if (publisher === null) {
+    res.redirect('/catalog/publishers');
+    return;
+  }
+
+  res.render('publisher_delete', {
+    title: 'Delete Publisher',
+    publisher,
+    publisher_editions: editions,
+  });
+});
+
+// Handle Publisher delete on POST. Its editions have to go first.
+exports.publisher_delete_post = asyncHandler(async (req, res, next) => {
+  const [publisher, editions] = await Promise.all([
+    Publisher.findById(req.params.id).exec(),
+    editionsOf(req.params.id),
+  ]);
+
+  if (publisher === null) {
+    res.redirect('/catalog/publishers');
+    return;
+  }
+
+  if (editions.length > 0) {
+    res.render('publisher_delete', {
+      title: 'Delete Publisher',
+      publisher,
+      publisher_editions: editions,
+    });
+    return;
+  }
+
+  await trash.softDelete(Publisher, req.body.publisherid, req.user);
+  res.redirect('/catalog/publishers');
+});
+
+// Display Publisher update form on GET.
+exports.publisher_update_get = asyncHandler(async (req, res, next) => {
+  const publisher = await Publisher.findById(req.params.id).exec();
+
+  if (publisher === null) {
+    const error = new Error('Publisher not found.');
+    error.status = 404;
+    return next(error);
+  }
+
+  res.render('publisher_form', {
+    title: 'Update Publisher',
+    publisher,
+  });
+});
+
+// Handle Publisher update on POST.
+exports.publisher_update_post = [
+  ...publisherValidation,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    const publisher = new Publisher({ name: req.body.name, _id: req.params.id });
+
+    if (!errors.isEmpty()) {
+      res.render('publisher_form', {
+        title: 'Update Publisher',
+        publisher,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    const previous = await Publisher.findById(req.params.id).exec();
+    const updatedPublisher = await Publisher.findByIdAndUpdate(
+      req.params.id,
+      { name: publisher.name },
+      { new: true }
+    ).exec();
+    await audit.record('update', { before: previous, after: updatedPublisher, actor: req.user });
+    res.redirect(updatedPublisher.url);
+  }),
+];
@@ -0,0 +1,44 @@
+const Author = require('../models/Author.js');
+const Genre = require('../models/Genre.js');
+const search = require('../services/search');
+const asyncHandler = require('express-async-handler');
+const { query, validationResult } = require('express-validator');
+
+// Query string checks, shared with the search API.
+const searchValidation = [
+  // ?q=a&q=b comes in as an array
+  query('q').optional().isString().withMessage('Search for one thing at a time').bail()
+    .trim().isLength({ max: 200 }).withMessage('Search is too long'),
+  query('genre').optional({ checkFalsy: true }).isMongoId().withMessage('Unknown genre'),
+  query('author').optional({ checkFalsy: true }).isMongoId().withMessage('Unknown author'),
+  query('available').optional({ checkFalsy: true }).isBoolean().toBoolean(),
+];
+
+exports.search_validation = searchValidation;
+
+// Display the search form and its results.
+exports.search = [
+  ...searchValidation,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    const [allAuthors, allGenres, results] = await Promise.all([
+      Author.find().sort({ family_name: 1 }).exec(),
+      Genre.find().sort({ name: 1 }).exec(),
+      errors.isEmpty() ? search.searchCatalog(req.query) : [],
+    ]);
+
+    res.render('search', {
+      title: 'Search',
+      q: typeof req.query.q === 'string' ? req.query.q : '',
+      selected_genre: req.query.genre,
+      selected_author: req.query.author,
+      available: req.query.available === true,
+      authors: allAuthors,
+      genres: allGenres,
+      results: results,
+      errors: errors.isEmpty() ? undefined : errors.array(),
+    });
+  }),
+];
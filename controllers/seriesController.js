@@ -0,0 +1,183 @@
+const Series = require('../models/Series.js');
+const Book = require('../models/Book.js');
+const listings = require('../services/listings');
+const branches = require('../services/branches');
+const audit = require('../services/audit');
+const trash = require('../services/trash');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// Display list of all series, a page at a time.
+exports.series_list = asyncHandler(async (req, res, next) => {
+  const [{ items, ...listing }, allBranches] = await Promise.all([
+    listings.list('series', req.query),
+    branches.all(),
+  ]);
+
+  res.render('series_list', {
+    title: 'Series List',
+    series_list: items,
+    branches: allBranches,
+    query: req.query,
+    ...listing,
+  });
+});
+
+// Display detail page for a series, with its books in volume order. ?branch=
+// only lists the books with a copy at that branch.
+exports.series_detail = asyncHandler(async (req, res, next) => {
+  const { branches: allBranches, branch } = await branches.picked(req.query.branch);
+  const bookFilter = { series: req.params.id };
+  if (branch) bookFilter._id = { $in: await branches.bookIdsAt(branch._id) };
+
+  const [series, seriesBooks] = await Promise.all([
+    Series.findById(req.params.id).exec(),
+    Book.find(bookFilter, 'title summary series_number').sort({ series_number: 1 }).exec(),
+  ]);
+
+  if (series === null) {
+    const err = new Error('Series not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('series_detail', {
+    title: 'Series Details',
+    series: series,
+    series_books: seriesBooks,
+    branches: allBranches,
+    branch,
+  });
+});
+
+// Display Series create form on GET.
+exports.series_create_get = (req, res, next) => {
+  res.render('series_form', {
+    title: 'Create Series',
+  });
+};
+
+const seriesValidation = [
+  body('name', 'Series name must not be empty')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .escape(),
+  body('summary').optional({ checkFalsy: true }).trim().escape(),
+];
+
+// Handle Series create on POST.
+exports.series_create_post = [
+  ...seriesValidation,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    const series = new Series({ name: req.body.name, summary: req.body.summary });
+
+    if (!errors.isEmpty()) {
+      res.render('series_form', {
+        title: 'Create Series',
+        series,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    await series.save();
+    await audit.record('create', { after: series, actor: req.user });
+    res.redirect(series.url);
+  }),
+];
+
+// Display Series delete form on GET.
+exports.series_delete_get = asyncHandler(async (req, res, next) => {
+  const [series, seriesBooks] = await Promise.all([
+    Series.findById(req.params.id).exec(),
+    Book.find({ series: req.params.id }, 'title summary series_number').sort({ series_number: 1 }).exec(),
+  ]);
+
+  if (series === null) {
+    res.redirect('/catalog/series');
+    return;
+  }
+
+  res.render('series_delete', {
+    title: 'Delete Series',
+    series,
+    series_books: seriesBooks,
+  });
+});
+
+// Handle Series delete on POST. Only a series without books can go.
+exports.series_delete_post = asyncHandler(async (req, res, next) => {
+  const [series, seriesBooks] = await Promise.all([
+    Series.findById(req.params.id).exec(),
+    Book.find({ series: req.params.id }, 'title summary series_number').sort({ series_number: 1 }).exec(),
+  ]);
+
+  if (series === null) {
+    res.redirect('/catalog/series');
+    return;
+  }
+
+  if (seriesBooks.length > 0) {
+    res.render('series_delete', {
+      title: 'Delete Series',
+      series,
+      series_books: seriesBooks,
+    });
+    return;
+  }
+
+  await trash.softDelete(Series, req.body.seriesid, req.user);
+  res.redirect('/catalog/series');
+});
+
+// Display Series update form on GET.
+exports.series_update_get = asyncHandler(async (req, res, next) => {
+  const series = await Series.findById(req.params.id).exec();
+
+  if (series === null) {
+    const error = new Error('Series not found.');
+    error.status = 404;
+    return next(error);
+  }
+
+  res.render('series_form', {
+    title: 'Update Series',
+    series,
+  });
+});
+
+// Handle Series update on POST.
+exports.series_update_post = [
+  ...seriesValidation,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    const series = new Series({
+      name: req.body.name,
+      summary: req.body.summary,
+      _id: req.params.id,
+    });
+
+    if (!errors.isEmpty()) {
+      res.render('series_form', {
+        title: 'Update Series',
+        series,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    const previous = await Series.findById(req.params.id).exec();
+    const updatedSeries = await Series.findByIdAndUpdate(
+      req.params.id,
+      { name: series.name, summary: series.summary },
+      { new: true }
+    ).exec();
+    await audit.record('update', { before: previous, after: updatedSeries, actor: req.user });
+    res.redirect(updatedSeries.url);
+  }),
+];
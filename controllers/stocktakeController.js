@@ -0,0 +1,227 @@
+const Stocktake = require('../models/Stocktake.js');
+const StocktakeScan = require('../models/StocktakeScan.js');
+const StocktakeFinding = require('../models/StocktakeFinding.js');
+const Genre = require('../models/Genre.js');
+const BookInstance = require('../models/BookInstance.js');
+const Branch = require('../models/Branch.js');
+const branches = require('../services/branches');
+const stocktakes = require('../services/stocktake');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// codes per submit of the scan form
+const MAX_CODES = 500;
+// scans listed on an open stocktake's page
+const RECENT_SCANS = 20;
+
+// Display every stocktake, open ones first.
+exports.stocktake_list = asyncHandler(async (req, res, next) => {
+  const allStocktakes = await Stocktake.find()
+    .populate('branch', 'name')
+    .populate('genre', 'name')
+    .populate('started_by', 'username')
+    .sort({ status: -1, started_at: -1 })
+    .exec();
+
+  res.render('stocktake_list', {
+    title: 'Stocktakes',
+    stocktakes: allStocktakes,
+  });
+});
+
+const renderForm = async (res, locals) => {
+  const [allGenres, allBranches] = await Promise.all([
+    Genre.find({}, 'name').sort({ name: 1 }).exec(),
+    branches.all(),
+  ]);
+  res.render('stocktake_form', { title: 'Start Stocktake', genres: allGenres, branches: allBranches, ...locals });
+};
+
+// Display Stocktake create form on GET.
+exports.stocktake_create_get = asyncHandler(async (req, res, next) => {
+  await renderForm(res, {});
+});
+
+// Handle Stocktake create on POST.
+exports.stocktake_create_post = [
+  body('name', 'Name must be 3 to 100 characters')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .escape(),
+  body('genre', 'Genre does not exist')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .bail()
+    .custom(async (value) => {
+      if (!(await Genre.exists({ _id: value }))) throw new Error('Genre does not exist');
+    }),
+  body('branch', 'Branch does not exist')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .bail()
+    .custom(async (value) => {
+      if (!(await Branch.exists({ _id: value }))) throw new Error('Branch does not exist');
+    }),
+  body('shelf_location')
+    .optional({ checkFalsy: true })
+    .trim()
+    .escape()
+    .custom(async (value, { req }) => {
+      const branch = req.body.branch ? await Branch.findById(req.body.branch, 'name shelf_locations').exec() : null;
+      if (branch === null) throw new Error('Pick the branch the shelf is in');
+      if (!branch.shelf_locations.includes(value)) throw new Error(`${branch.name} has no shelf called "${value}"`);
+    }),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    const stocktake = new Stocktake({
+      name: req.body.name,
+      branch: req.body.branch || null,
+      shelf_location: req.body.shelf_location || '',
+      genre: req.body.genre || null,
+      started_by: req.user._id,
+    });
+
+    if (!errors.isEmpty()) {
+      await renderForm(res, { stocktake, errors: errors.array() });
+      return;
+    }
+
+    await stocktake.save();
+    res.redirect(stocktake.url);
+  }),
+];
+
+// The findings of a closed stocktake by kind, with their copies and books.
+const findingsByKind = async (stocktake) => {
+  const findings = await StocktakeFinding.find({ stocktake: stocktake._id })
+    .populate({
+      path: 'book_instance',
+      select: 'book barcode status',
+      populate: { path: 'book', select: 'title' },
+    })
+    .sort({ _id: 1 })
+    .exec();
+  const byKind = Object.fromEntries(StocktakeFinding.FINDING_KINDS.map((kind) => [kind, []]));
+  for (const finding of findings) {
+    byKind[finding.kind].push({ finding, correction: stocktakes.correctionFor(finding) });
+  }
+  return byKind;
+};
+
+const renderStocktake = async (res, stocktakeId, locals = {}) => {
+  const stocktake = await Stocktake.findById(stocktakeId)
+    .populate('branch', 'name')
+    .populate('genre', 'name')
+    .populate('started_by', 'username')
+    .populate('closed_by', 'username')
+    .exec();
+
+  if (stocktake === null) return false;
+
+  let recentScans = [];
+  let findings = null;
+  if (stocktake.is_open) {
+    const scans = await StocktakeScan.find({ stocktake: stocktake._id })
+      .sort({ scanned_at: -1, _id: -1 })
+      .limit(RECENT_SCANS)
+      .exec();
+    const copies = await BookInstance.find({ _id: { $in: scans.map((scan) => scan.book_instance).filter(Boolean) } }, 'book barcode')
+      .setOptions({ withDeleted: true })
+      .populate('book', 'title')
+      .exec();
+    const copiesById = new Map(copies.map((copy) => [copy._id.toString(), copy]));
+    recentScans = scans.map((scan) => ({
+      scan,
+      copy: scan.book_instance ? copiesById.get(scan.book_instance.toString()) : null,
+    }));
+  } else {
+    findings = await findingsByKind(stocktake);
+  }
+
+  res.render('stocktake_detail', {
+    title: `Stocktake: ${stocktake.name}`,
+    stocktake,
+    scan_count: await StocktakeScan.countDocuments({ stocktake: stocktake._id }).exec(),
+    recent_scans: recentScans,
+    findings,
+    max_codes: MAX_CODES,
+    ...locals,
+  });
+  return true;
+};
+
+const notFound = (next) => {
+  const err = new Error('Stocktake not found');
+  err.status = 404;
+  return next(err);
+};
+
+// Display a stocktake: the scan form while it is open, the report once it is
+// closed.
+exports.stocktake_detail = asyncHandler(async (req, res, next) => {
+  if (!(await renderStocktake(res, req.params.id))) return notFound(next);
+});
+
+// Handle scanned or typed codes on POST, one per line. A barcode scanner that
+// ends each scan with Enter fills the box a line at a time.
+exports.stocktake_scan_post = [
+  body('codes')
+    .customSanitizer((value) => String(value || '').split(/\s+/).filter(Boolean))
+    .custom((codes) => codes.length > 0)
+    .withMessage('Scan or type at least one code')
+    .custom((codes) => codes.length <= MAX_CODES)
+    .withMessage(`At most ${MAX_CODES} codes can be added at once`),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (!(await renderStocktake(res, req.params.id, { errors: errors.array() }))) return notFound(next);
+      return;
+    }
+
+    let result;
+    try {
+      result = await stocktakes.addScans({ stocktakeId: req.params.id, codes: req.body.codes, user: req.user });
+    } catch (err) {
+      if (err.status !== 409) throw err;
+      await renderStocktake(res, req.params.id, { errors: [{ msg: err.message }] });
+      return;
+    }
+
+    await renderStocktake(res, req.params.id, { scan_result: result });
+  }),
+];
+
+// Handle closing a stocktake on POST.
+exports.stocktake_close_post = asyncHandler(async (req, res, next) => {
+  try {
+    await stocktakes.close({ stocktakeId: req.params.id, user: req.user });
+  } catch (err) {
+    if (err.status !== 409) throw err;
+  }
+  res.redirect(`/catalog/stocktake/${req.params.id}`);
+});
+
+// Handle applying the corrections ticked on a stocktake's report on POST.
+exports.stocktake_correct_post = [
+  body('finding').toArray(),
+  body('finding.*').isMongoId(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    const findingIds = errors.isEmpty() ? req.body.finding : [];
+
+    let result;
+    try {
+      result = await stocktakes.applyCorrections({ stocktakeId: req.params.id, findingIds, user: req.user });
+    } catch (err) {
+      if (err.status !== 409) throw err;
+      await renderStocktake(res, req.params.id, { errors: [{ msg: err.message }] });
+      return;
+    }
+
+    await renderStocktake(res, req.params.id, { correction_result: result });
+  }),
+];
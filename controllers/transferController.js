@@ -0,0 +1,69 @@
+const Transfer = require('../models/Transfer.js');
+const transfers = require('../services/transfers');
+const branches = require('../services/branches');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+const copyPopulate = { path: 'book_instance', select: 'book barcode', populate: { path: 'book', select: 'title' } };
+
+// Display the transfers in transit, or only those to or from ?branch=.
+exports.transfer_list = asyncHandler(async (req, res, next) => {
+  const allBranches = await branches.all();
+  const branch = allBranches.find((candidate) => candidate._id.toString() === req.query.branch);
+
+  const filter = { status: 'in_transit' };
+  if (branch) filter.$or = [{ from_branch: branch._id }, { to_branch: branch._id }];
+
+  const inTransit = await Transfer.find(filter)
+    .populate(copyPopulate)
+    .populate('from_branch', 'name')
+    .populate('to_branch', 'name')
+    .populate('sent_by', 'username')
+    .sort({ sent_at: 1 })
+    .exec();
+
+  res.render('transfer_list', {
+    title: 'Transfers in Transit',
+    transfers: inTransit,
+    branches: allBranches,
+    query: req.query,
+  });
+});
+
+// Handle sending a copy to another branch on POST.
+exports.transfer_send_post = [
+  body('to_branch', 'Pick the branch to send the copy to').isMongoId(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const err = new Error(errors.array()[0].msg);
+      err.status = 400;
+      return next(err);
+    }
+
+    await transfers.send({ bookInstanceId: req.params.id, toBranchId: req.body.to_branch, user: req.user });
+    res.redirect(`/catalog/bookinstance/${req.params.id}`);
+  }),
+];
+
+// Handle a copy arriving at the branch it was sent to on POST, optionally
+// with the shelf it goes on.
+exports.transfer_receive_post = [
+  body('shelf_location').optional({ checkFalsy: true }).trim().escape(),
+
+  asyncHandler(async (req, res, next) => {
+    const transfer = await transfers.receive({
+      transferId: req.params.id,
+      shelfLocation: req.body.shelf_location || '',
+      user: req.user,
+    });
+    res.redirect(`/catalog/bookinstance/${transfer.book_instance}`);
+  }),
+];
+
+// Handle calling off a transfer on POST.
+exports.transfer_cancel_post = asyncHandler(async (req, res, next) => {
+  const transfer = await transfers.cancel({ transferId: req.params.id, user: req.user });
+  res.redirect(`/catalog/bookinstance/${transfer.book_instance}`);
+});
@@ -0,0 +1,41 @@
+const trash = require('../services/trash');
+const config = require('../config/trash');
+const asyncHandler = require('express-async-handler');
+const { DateTime } = require('luxon');
+
+const renderTrash = async (res, errors) => {
+  const contents = await trash.contents();
+
+  res.render('trash', {
+    title: 'Trash',
+    contents,
+    retention_days: config.retentionDays,
+    purge_date: (doc) => DateTime.fromJSDate(trash.purgeDate(doc.deleted_at)).toLocaleString(DateTime.DATE_MED),
+    errors,
+  });
+};
+
+// Display everything in the trash.
+exports.trash_list = asyncHandler(async (req, res, next) => {
+  await renderTrash(res);
+});
+
+// Restore a document from the trash on POST. When something it refers to is
+// gone, the trash is shown again with the reason.
+exports.trash_restore_post = asyncHandler(async (req, res, next) => {
+  let doc;
+  try {
+    doc = await trash.restore(req.params.type, req.params.id, req.user);
+  } catch (err) {
+    if (err.status !== 409) throw err;
+    return renderTrash(res, [{ msg: err.message }]);
+  }
+
+  res.redirect(doc.url);
+});
+
+// Purge a document from the trash right away on POST.
+exports.trash_purge_post = asyncHandler(async (req, res, next) => {
+  await trash.purge(req.params.type, req.params.id, req.user);
+  res.redirect('/catalog/trash');
+});
@@ -0,0 +1,205 @@
+const User = require('../models/User.js');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// Only allow redirects back into this site after logging in.
+const safeNext = (next) => {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//')
+    ? next
+    : '/catalog';
+};
+
+// Store the user in a fresh session, so an old session id can't be reused.
+const startSession = (req, user) => new Promise((resolve, reject) => {
+  req.session.regenerate((err) => {
+    if (err) return reject(err);
+    req.session.userId = user._id.toString();
+    resolve();
+  });
+});
+
+// Display signup form on GET.
+exports.signup_get = (req, res, next) => {
+  res.render('signup_form', { title: 'Sign Up' });
+};
+
+// Handle signup on POST.
+exports.signup_post = [
+  body('username', 'Username must be between 3 and 50 characters')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .escape(),
+  body('email', 'A valid email address is required')
+    .trim()
+    .isEmail()
+    .normalizeEmail(),
+  body('password', 'Password must be at least 8 characters')
+    .isLength({ min: 8 }),
+  body('password_confirm', 'Passwords do not match')
+    .custom((value, { req }) => value === req.body.password),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    const user = new User({
+      username: req.body.username,
+      email: req.body.email,
+    });
+
+    if (!errors.isEmpty()) {
+      res.render('signup_form', {
+        title: 'Sign Up',
+        user,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    const userExists = await User.findOne({ username: user.username }).exec();
+
+    if (userExists) {
+      res.render('signup_form', {
+        title: 'Sign Up',
+        user,
+        errors: [{ msg: 'That username is already taken' }],
+      });
+      return;
+    }
+
+    // The very first account becomes the admin, so a new install can be
+    // bootstrapped without touching the database. Everyone else is a patron
+    // until an admin promotes them.
+    const numUsers = await User.countDocuments({}).exec();
+    user.role = numUsers === 0 ? 'admin' : 'patron';
+
+    await user.setPassword(req.body.password);
+    await user.save();
+    await startSession(req, user);
+
+    res.redirect('/catalog');
+  }),
+];
+
+// Display login form on GET.
+exports.login_get = (req, res, next) => {
+  res.render('login_form', { title: 'Log In', next: req.query.next });
+};
+
+// Handle login on POST.
+exports.login_post = [
+  body('username', 'Username must not be empty')
+    .trim()
+    .isLength({ min: 1 })
+    .escape(),
+  body('password', 'Password must not be empty')
+    .isLength({ min: 1 }),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+      res.render('login_form', {
+        title: 'Log In',
+        username: req.body.username,
+        next: req.body.next,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    const user = await User.findOne({ username: req.body.username.toLowerCase() }).exec();
+
+    if (user === null || !(await user.validatePassword(req.body.password))) {
+      // Same message either way, so the form doesn't reveal which usernames exist
+      res.render('login_form', {
+        title: 'Log In',
+        username: req.body.username,
+        next: req.body.next,
+        errors: [{ msg: 'Incorrect username or password' }],
+      });
+      return;
+    }
+
+    await startSession(req, user);
+    res.redirect(safeNext(req.body.next));
+  }),
+];
+
+// Handle logout on POST.
+exports.logout_post = (req, res, next) => {
+  req.session.destroy((err) => {
+    if (err) return next(err);
+    res.clearCookie('connect.sid');
+    res.redirect('/catalog');
+  });
+};
+
+// Display list of all users with their roles and patron categories. Only
+// admins can change roles.
+exports.user_list = asyncHandler(async (req, res, next) => {
+  const allUsers = await User.find({}).sort({ username: 1 }).exec();
+
+  res.render('user_list', {
+    title: 'Users',
+    user_list: allUsers,
+    roles: User.ROLES,
+    patron_categories: User.PATRON_CATEGORIES,
+  });
+});
+
+// Handle a role change on POST (admins only).
+exports.user_role_post = [
+  body('role', 'Invalid role').isIn(User.ROLES),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+      const err = new Error('Invalid role');
+      err.status = 422;
+      return next(err);
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      // stop the last admin from locking everyone out
+      const err = new Error('You cannot change your own role.');
+      err.status = 403;
+      return next(err);
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { role: req.body.role }).exec();
+
+    if (user === null) {
+      const err = new Error('User not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    res.redirect('/users');
+  }),
+];
+
+// Handle a patron category change on POST (staff only).
+exports.user_category_post = [
+  body('category', 'Invalid patron category').isIn(User.PATRON_CATEGORIES),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+      const err = new Error('Invalid patron category');
+      err.status = 422;
+      return next(err);
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { category: req.body.category }).exec();
+
+    if (user === null) {
+      const err = new Error('User not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    res.redirect('/users');
+  }),
+];
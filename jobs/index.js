@@ -0,0 +1,39 @@
+const debug = require('debug')('library-tutorial:jobs');
+const holds = require('../services/holds');
+const fines = require('../services/fines');
+const trash = require('../services/trash');
+const dashboard = require('../services/dashboard');
+const notifications = require('../services/notifications');
+
+const MINUTE = 60 * 1000; // in ms
+const HOUR = 60 * MINUTE;
+
+// Background jobs run by the web process. Each one runs once at startup and
+// then every `every` ms. A failing run is logged and retried next time.
+const jobs = [
+  { name: 'expire holds', every: HOUR, run: holds.expireHolds },
+  // safe to run often, fines are only ever charged up to what is owed
+  { name: 'accrue overdue fines', every: HOUR, run: fines.accrueOverdueFines },
+  { name: 'purge expired trash', every: HOUR, run: () => trash.purgeExpired() },
+  // the last run of each day is the count that is kept for that day
+  { name: 'count copies by status', every: HOUR, run: dashboard.recordCopyStatusCounts },
+  // each email is only queued once, see Notification.key
+  { name: 'queue notifications', every: 15 * MINUTE, run: notifications.queueNotifications },
+  { name: 'send queued email', every: 5 * MINUTE, run: notifications.sendQueued },
+];
+
+const runJob = async (job) => {
+  try {
+    debug(`Running job: ${job.name}`);
+    await job.run();
+  } catch (err) {
+    console.log(`Job "${job.name}" failed: ${err}`);
+  }
+};
+
+exports.start = () => {
+  for (const job of jobs) {
+    runJob(job);
+    setInterval(() => runJob(job), job.every);
+  }
+};
@@ -0,0 +1,58 @@
+const User = require('../models/User.js');
+const asyncHandler = require('express-async-handler');
+
+// Look up the user stored in the session (if any) and expose it to the
+// handlers as req.user and to the views as currentUser.
+exports.loadUser = asyncHandler(async (req, res, next) => {
+  req.user = null;
+  res.locals.currentUser = null;
+
+  if (req.session && req.session.userId) {
+    const user = await User.findById(req.session.userId).exec();
+
+    if (user === null) {
+      // the account was removed while the session was still alive
+      delete req.session.userId;
+    } else {
+      req.user = user;
+      res.locals.currentUser = user;
+    }
+  }
+  next();
+});
+
+// Requests to the JSON API get a 401 instead of being sent to the login form.
+const isApiRequest = (req) => req.originalUrl.startsWith('/api/');
+
+// Only let signed in users through.
+exports.requireLogin = (req, res, next) => {
+  if (req.user) {
+    return next();
+  }
+
+  if (isApiRequest(req)) {
+    const err = new Error('You must be logged in.');
+    err.status = 401;
+    return next(err);
+  }
+
+  res.redirect(`/users/login?next=${encodeURIComponent(req.originalUrl)}`);
+};
+
+// Only let signed in users with one of the given roles through, e.g.
+// requireRole('librarian', 'admin').
+exports.requireRole = (...roles) => [
+  exports.requireLogin,
+  (req, res, next) => {
+    if (roles.includes(req.user.role)) {
+      return next();
+    }
+
+    const err = new Error('You do not have permission to do that.');
+    err.status = 403;
+    next(err);
+  },
+];
+
+// Shorthand for the routes that change the catalog.
+exports.requireStaff = exports.requireRole('librarian', 'admin');
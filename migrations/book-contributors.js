@@ -0,0 +1,44 @@
+#! /usr/bin/env node
+
+// Gives every book without contributors its current author as a contributor
+// with the "author" role, then builds the contributors index. Books in the
+// trash are migrated too. Safe to run more than once.
+//
+// Usage: node migrations/book-contributors.js [mongodb uri]
+// (defaults to MONGO_URI from .env)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+
+const mongoDB = process.argv[2] || process.env.MONGO_URI;
+
+main().catch((err) => {
+  console.log(err);
+  process.exitCode = 1;
+}).finally(() => mongoose.connection.close());
+
+async function main() {
+  await mongoose.connect(mongoDB);
+
+  // straight to the collection, so the soft-delete filter doesn't skip
+  // anything and every book keeps the author it has now
+  const result = await Book.collection.updateMany(
+    {
+      author: { $ne: null },
+      $or: [{ contributors: { $exists: false } }, { contributors: { $size: 0 } }],
+    },
+    [{ $set: { contributors: [{ author: '$author', role: 'author' }] } }]
+  );
+
+  console.log(`Added contributors to ${result.modifiedCount} books`);
+
+  const missing = await Book.collection.countDocuments({ author: null });
+  if (missing) {
+    console.log(`${missing} books have no author at all and were left alone; give them a contributor by hand.`);
+    process.exitCode = 1;
+  }
+
+  await Book.createIndexes();
+  console.log('Contributors index is in place');
+}
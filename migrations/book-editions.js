@@ -0,0 +1,86 @@
+#! /usr/bin/env node
+
+// Turns the free-text imprint of every copy into a Publisher and an Edition
+// of the copy's book ("London Gollancz, 2014." becomes publisher "London
+// Gollancz", year 2014), points the copy at that edition and drops the
+// imprint. Copies of the same book with the same imprint share one edition.
+// Copies in the trash are migrated too. Safe to run more than once.
+//
+// Usage: node migrations/book-editions.js [mongodb uri]
+// (defaults to MONGO_URI from .env)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const BookInstance = require('../models/BookInstance');
+const Edition = require('../models/Edition');
+const Publisher = require('../models/Publisher');
+const { parseImprint } = require('../utils/imprint');
+const { escapeRegExp } = require('../utils/regexp');
+
+const mongoDB = process.argv[2] || process.env.MONGO_URI;
+
+main().catch((err) => {
+  console.log(err);
+  process.exitCode = 1;
+}).finally(() => mongoose.connection.close());
+
+async function main() {
+  await mongoose.connect(mongoDB);
+
+  const publishers = new Map();
+  const editions = new Map();
+  const created = { publishers: 0, editions: 0 };
+
+  const findOrCreatePublisher = async (name) => {
+    const key = name.toLowerCase();
+    if (!publishers.has(key)) {
+      let publisher = await Publisher.findOne({ name: new RegExp(`^${escapeRegExp(name)}$`, 'i') })
+        .setOptions({ withDeleted: true })
+        .exec();
+      if (publisher === null) {
+        publisher = await Publisher.create({ name });
+        created.publishers++;
+      }
+      publishers.set(key, publisher);
+    }
+    return publishers.get(key);
+  };
+
+  const findOrCreateEdition = async (book, publisher, year) => {
+    const key = `${book} ${publisher._id} ${year}`;
+    if (!editions.has(key)) {
+      let edition = await Edition.findOne({ book, publisher: publisher._id, year })
+        .setOptions({ withDeleted: true })
+        .exec();
+      if (edition === null) {
+        edition = await Edition.create({ book, publisher: publisher._id, year });
+        created.editions++;
+      }
+      editions.set(key, edition);
+    }
+    return editions.get(key);
+  };
+
+  // straight to the collection: the imprint field is no longer in the schema
+  const copies = BookInstance.collection.find({ edition: { $exists: false } });
+  let migrated = 0;
+
+  for await (const copy of copies) {
+    const { publisher, year } = parseImprint(copy.imprint);
+    const edition = await findOrCreateEdition(
+      copy.book,
+      await findOrCreatePublisher(publisher || 'Unknown publisher'),
+      year
+    );
+    await BookInstance.collection.updateOne(
+      { _id: copy._id },
+      { $set: { edition: edition._id }, $unset: { imprint: '' } }
+    );
+    migrated++;
+  }
+
+  console.log(`Moved ${migrated} copies to editions, creating ${created.publishers} publishers and ${created.editions} editions`);
+
+  await Promise.all([Edition.createIndexes(), BookInstance.createIndexes()]);
+  console.log('Edition indexes are in place');
+}
@@ -0,0 +1,40 @@
+#! /usr/bin/env node
+
+// Gives every copy that has no barcode yet the next one, oldest copies
+// first, then builds the unique barcode index. Copies in the trash get one
+// too. Safe to run more than once.
+//
+// Usage: node migrations/bookinstance-barcodes.js [mongodb uri]
+// (defaults to MONGO_URI from .env)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const BookInstance = require('../models/BookInstance');
+const Counter = require('../models/Counter');
+
+const mongoDB = process.argv[2] || process.env.MONGO_URI;
+
+main().catch((err) => {
+  console.log(err);
+  process.exitCode = 1;
+}).finally(() => mongoose.connection.close());
+
+async function main() {
+  await mongoose.connect(mongoDB);
+
+  // the raw collection, so copies in the trash are included
+  const copies = BookInstance.collection.find(
+    { $or: [{ barcode: { $exists: false } }, { barcode: null }, { barcode: '' }] },
+    { projection: { _id: 1 } }
+  ).sort({ _id: 1 });
+
+  let updated = 0;
+  for await (const copy of copies) {
+    const barcode = BookInstance.formatBarcode(await Counter.next('barcode'));
+    await BookInstance.collection.updateOne({ _id: copy._id }, { $set: { barcode } });
+    updated++;
+  }
+
+  await BookInstance.createIndexes();
+  console.log(`Gave ${updated} copies a barcode`);
+}
@@ -0,0 +1,88 @@
+#! /usr/bin/env node
+
+// Prepares the genres for the genre tree and case-insensitive names:
+//
+// - gives every genre its name_keys (and an empty parent and aliases),
+// - merges genres whose names differ only in case or spacing ("Fantasy" and
+//   "fantasy ") into the one with the most books, keeping the other names as
+//   aliases,
+// - swaps the old name-only text index for one that covers aliases, and
+//   builds the unique name index.
+//
+// Genres that are the same but spelled differently ("Sci-Fi" and "Science
+// Fiction") are left for a librarian to merge from the genre page. Genres in
+// the trash are given name_keys but never merged. Safe to run more than once.
+//
+// Usage: node migrations/genre-hierarchy.js [mongodb uri]
+// (defaults to MONGO_URI from .env)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Genre = require('../models/Genre');
+const Book = require('../models/Book');
+const genres = require('../services/genres');
+
+const mongoDB = process.argv[2] || process.env.MONGO_URI;
+
+main().catch((err) => {
+  console.log(err);
+  process.exitCode = 1;
+}).finally(() => mongoose.connection.close());
+
+async function main() {
+  await mongoose.connect(mongoDB);
+
+  // straight to the collection, so genres in the trash are included too
+  const updates = [];
+  for await (const genre of Genre.collection.find({})) {
+    const aliases = genre.aliases || [];
+    updates.push({
+      updateOne: {
+        filter: { _id: genre._id },
+        update: {
+          $set: {
+            parent: genre.parent || null,
+            aliases,
+            name_keys: [...new Set([genre.name, ...aliases].map(Genre.nameKey))],
+            // the unique name index only covers documents where this is null,
+            // not missing
+            deleted_at: genre.deleted_at || null,
+          },
+        },
+      },
+    });
+  }
+  if (updates.length) await Genre.collection.bulkWrite(updates);
+  console.log(`Set name keys on ${updates.length} genres`);
+
+  // live genres sharing a name, grouped by it
+  const byKey = new Map();
+  for (const genre of await Genre.find().exec()) {
+    const key = genre.name_keys[0];
+    byKey.set(key, (byKey.get(key) || []).concat(genre));
+  }
+
+  for (const group of byKey.values()) {
+    if (group.length < 2) continue;
+    const counts = await Promise.all(group.map((genre) => Book.countDocuments({ genre: genre._id }).exec()));
+    const [target, ...sources] = group
+      .map((genre, i) => ({ genre, books: counts[i] }))
+      .sort((a, b) => b.books - a.books || a.genre._id.toString().localeCompare(b.genre._id.toString()))
+      .map(({ genre }) => genre);
+
+    for (const source of sources) {
+      await genres.merge(source._id, target._id, null);
+      console.log(`Merged "${source.name}" into "${target.name}"`);
+    }
+  }
+
+  // a collection can only have one text index
+  const indexes = await Genre.collection.indexes();
+  if (indexes.some((index) => index.name === 'GenreTextIndex')) {
+    await Genre.collection.dropIndex('GenreTextIndex');
+    console.log('Dropped the old genre text index');
+  }
+
+  await Genre.createIndexes();
+  console.log('Genre indexes are in place');
+}
@@ -0,0 +1,72 @@
+#! /usr/bin/env node
+
+// Rewrites every Book.isbn as a bare ISBN-13 and then builds the unique ISBN
+// index. Books whose ISBN is invalid, or that end up sharing an ISBN, are
+// listed and left alone so a librarian can fix them by hand first; run the
+// script again afterwards.
+//
+// Usage: node migrations/normalize-isbns.js [mongodb uri]
+// (defaults to MONGO_URI from .env)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Book = require('../models/Book');
+const { normalizeIsbn } = require('../utils/isbn');
+
+const mongoDB = process.argv[2] || process.env.MONGO_URI;
+
+main().catch((err) => {
+  console.log(err);
+  process.exitCode = 1;
+}).finally(() => mongoose.connection.close());
+
+async function main() {
+  await mongoose.connect(mongoDB);
+
+  // lean() so the raw stored value is read, not the schema setter's output
+  const books = await Book.find({}, 'title isbn').lean().exec();
+  const byIsbn = new Map();
+  const invalid = [];
+
+  for (const book of books) {
+    const isbn = normalizeIsbn(book.isbn);
+    if (isbn === null) {
+      invalid.push(book);
+      continue;
+    }
+    if (!byIsbn.has(isbn)) byIsbn.set(isbn, []);
+    byIsbn.get(isbn).push(book);
+  }
+
+  let updated = 0;
+  const duplicates = [];
+  for (const [isbn, sameIsbn] of byIsbn) {
+    if (sameIsbn.length > 1) {
+      duplicates.push([isbn, sameIsbn]);
+      continue;
+    }
+    if (sameIsbn[0].isbn !== isbn) {
+      await Book.updateOne({ _id: sameIsbn[0]._id }, { isbn: isbn }).exec();
+      updated++;
+    }
+  }
+
+  console.log(`Normalized ${updated} of ${books.length} ISBNs`);
+
+  for (const book of invalid) {
+    console.log(`Invalid ISBN "${book.isbn}": ${book.title} (${book._id})`);
+  }
+  for (const [isbn, sameIsbn] of duplicates) {
+    console.log(`Duplicate ISBN ${isbn}:`);
+    for (const book of sameIsbn) console.log(`  ${book.title} (${book._id})`);
+  }
+
+  if (invalid.length || duplicates.length) {
+    console.log('Fix the books above and run this again to create the unique index.');
+    process.exitCode = 1;
+    return;
+  }
+
+  await Book.syncIndexes();
+  console.log('Unique ISBN index is in place');
+}
@@ -0,0 +1,62 @@
+#! /usr/bin/env node
+
+// Moves the scans and findings of stocktakes out of the stocktake documents
+// into collections of their own, where a big stocktake can't outgrow the
+// document size limit. Findings keep their ids, so nothing else changes.
+// Safe to run more than once.
+//
+// Usage: node migrations/stocktake-scans.js [mongodb uri]
+// (defaults to MONGO_URI from .env)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Stocktake = require('../models/Stocktake');
+const StocktakeScan = require('../models/StocktakeScan');
+const StocktakeFinding = require('../models/StocktakeFinding');
+
+const mongoDB = process.argv[2] || process.env.MONGO_URI;
+
+main().catch((err) => {
+  console.log(err);
+  process.exitCode = 1;
+}).finally(() => mongoose.connection.close());
+
+async function main() {
+  await mongoose.connect(mongoDB);
+  await StocktakeScan.createIndexes();
+  await StocktakeFinding.createIndexes();
+
+  // the raw collection, the model no longer has these fields
+  const stocktakes = Stocktake.collection.find(
+    { $or: [{ scans: { $exists: true } }, { findings: { $exists: true } }] },
+    { projection: { scans: 1, findings: 1 } }
+  );
+
+  let moved = 0;
+  for await (const stocktake of stocktakes) {
+    const scans = (stocktake.scans || []).map((scan) => {
+      const key = scan.book_instance ? scan.book_instance.toString() : scan.code.toUpperCase();
+      return {
+        updateOne: {
+          filter: { stocktake: stocktake._id, key },
+          update: { $setOnInsert: { ...scan, stocktake: stocktake._id, key } },
+          upsert: true,
+        },
+      };
+    });
+    const findings = (stocktake.findings || []).map((finding) => ({
+      updateOne: {
+        filter: { _id: finding._id },
+        update: { $setOnInsert: { ...finding, stocktake: stocktake._id } },
+        upsert: true,
+      },
+    }));
+
+    if (scans.length) await StocktakeScan.collection.bulkWrite(scans);
+    if (findings.length) await StocktakeFinding.collection.bulkWrite(findings);
+    await Stocktake.collection.updateOne({ _id: stocktake._id }, { $unset: { scans: '', findings: '' } });
+    moved++;
+  }
+
+  console.log(`Moved the scans and findings of ${moved} stocktakes`);
+}
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { DateTime } = require('luxon');
+
+// One row per create, update, delete, restore or purge of a catalog document.
+// The collection is append-only: entries are never changed or removed.
+const AuditEntrySchema = new Schema({
+    entity_type: { type: String, required: true, enum: ['Book', 'Author', 'Genre', 'BookInstance', 'Series', 'Publisher', 'Edition'] },
+    entity: { type: Schema.Types.ObjectId, required: true, refPath: 'entity_type' },
+    action: { type: String, required: true, enum: ['create', 'update', 'delete', 'restore', 'purge'] },
+    actor: { type: Schema.Types.ObjectId, ref: 'User', default: null }, // null for scripts
+    at: { type: Date, required: true, default: Date.now },
+    // field-level diff, only the fields that changed
+    changes: [{
+        _id: false,
+        field: { type: String, required: true },
+        before: Schema.Types.Mixed,
+        after: Schema.Types.Mixed,
+    }],
+    // the whole document after the change (before it, for a delete), which
+    // is what "restore this version" puts back
+    snapshot: { type: Schema.Types.Mixed, required: true },
+    restored_from: { type: Schema.Types.ObjectId, ref: 'AuditEntry' },
+});
+
+AuditEntrySchema.index({ entity_type: 1, entity: 1, at: -1 });
+
+const appendOnly = function() {
+    throw new Error('Audit entries cannot be changed or removed');
+};
+
+AuditEntrySchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+     'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+    appendOnly
+);
+
+AuditEntrySchema.pre('save', function() {
+    if (!this.isNew) appendOnly();
+});
+
+AuditEntrySchema.virtual('restore_url').get(function(){
+    return `/catalog/history/${this._id}/restore`;
+});
+
+AuditEntrySchema.virtual('at_formatted').get(function(){
+    return DateTime.fromJSDate(this.at).toLocaleString(DateTime.DATETIME_MED);
+});
+
+module.exports = mongoose.model('AuditEntry', AuditEntrySchema);
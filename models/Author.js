@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 const { DateTime } = require('luxon');
+const softDelete = require('./plugins/softDelete');
+const versioned = require('./plugins/versioned');
 
 const AuthorSchema = new Schema({
     first_name: { type: String, required: true, maxLength: 100 },
@@ -9,6 +11,9 @@ const AuthorSchema = new Schema({
     date_of_death: { type: Date },
 });
 
+// Full-text index so the catalog search can find books by author name
+AuthorSchema.index({ first_name: 'text', family_name: 'text' }, { name: 'AuthorTextIndex' });
+
 // virtual for author's full name
 AuthorSchema.virtual('name').get(function(){
     // To avoid errors in cases where an author does not have either a family name or first name
@@ -53,4 +58,9 @@ AuthorSchema.virtual('lifespan').get(function(){
     return `${this.formatted_date_of_birth} - ${this.formatted_date_of_death}`;
 })
 
+// deleting moves to the trash, see services/trash.js
+AuthorSchema.plugin(softDelete);
+// edits are checked against the version they started from, see models/plugins/versioned.js
+AuthorSchema.plugin(versioned);
+
 module.exports = mongoose.model('Author', AuthorSchema);
\ No newline at end of file
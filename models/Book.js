@@ -1,19 +1,137 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { normalizeIsbn, isValidIsbn13 } = require('../utils/isbn');
+const softDelete = require('./plugins/softDelete');
+const versioned = require('./plugins/versioned');
+
+// What someone did for a book. A book can have any number of contributors,
+// including several authors.
+const CONTRIBUTOR_ROLES = ['author', 'editor', 'translator', 'illustrator'];
+
+const ContributorSchema = new Schema({
+    author: { type: Schema.Types.ObjectId, ref: 'Author', required: true },
+    role: { type: String, required: true, enum: CONTRIBUTOR_ROLES, default: 'author' },
+}, { _id: false });
+
+// Uploaded files live in the storage adapter (services/storage); the book
+// only keeps their keys.
+const CoverSchema = new Schema({
+    key: { type: String, required: true },
+    thumbnail_key: { type: String, required: true },
+    content_type: { type: String, required: true },
+    width: Number,
+    height: Number,
+}, { _id: false });
+
+const AttachmentSchema = new Schema({
+    key: { type: String, required: true },
+    filename: { type: String, required: true }, // as uploaded, used for downloads
+    content_type: { type: String, required: true },
+    size: { type: Number, required: true },
+    uploaded_at: { type: Date, default: Date.now },
+});
+
+AttachmentSchema.virtual('url').get(function(){
+    return `/catalog/book/${this.parent()._id}/attachments/${this._id}`;
+});
 
 const BookSchema = new Schema({
     title: { type: String, required: true },
+    contributors: {
+        type: [ContributorSchema],
+        validate: [(contributors) => contributors.length > 0, 'A book needs at least one contributor'],
+    },
+    // The first contributor. It is kept in step with `contributors` by the
+    // hooks below, so lists can still show and sort by a single name.
     author: { type: Schema.Types.ObjectId, ref: 'Author', required: true },
     summary: { type: String, required: true },
-    isbn: { type: String, required: true },
+    isbn: {
+        type: String,
+        required: true,
+        unique: true,
+        // store every ISBN the same way, so duplicates can't hide behind hyphens
+        set: (value) => normalizeIsbn(value) || value,
+        validate: {
+            validator: isValidIsbn13,
+            message: 'ISBN must be a valid ISBN-10 or ISBN-13',
+        },
+    },
     genre: [{ type: Schema.Types.ObjectId, ref: 'Genre' }],
+    // volume number within the series, e.g. 2 for "Book 2 of The Expanse"
+    series: { type: Schema.Types.ObjectId, ref: 'Series', default: null },
+    series_number: {
+        type: Number,
+        min: 1,
+        required: [function() { return Boolean(this.series); }, 'A book in a series needs its number in the series'],
+    },
+    cover: { type: CoverSchema, default: null },
+    attachments: [AttachmentSchema],
+});
+
+// Full-text index used by the catalog search. Titles and ISBNs count for more
+// than a word somewhere in the summary.
+BookSchema.index(
+    { title: 'text', isbn: 'text', summary: 'text' },
+    { weights: { title: 10, isbn: 10, summary: 2 }, name: 'BookTextIndex' }
+);
+
+BookSchema.index({ 'contributors.author': 1 });
+// /files only serves covers a book still uses, see controllers/bookFilesController.js
+BookSchema.index({ 'cover.key': 1 }, { sparse: true });
+BookSchema.index({ 'cover.thumbnail_key': 1 }, { sparse: true });
+BookSchema.index({ series: 1, series_number: 1 });
+
+// Books saved with only an author (the CSV import, populatedb.js, old API
+// clients) get that author as their contributor, and the other way round.
+BookSchema.pre('validate', function() {
+    if (this.contributors.length === 0 && this.author) {
+        this.contributors = [{ author: this.author, role: 'author' }];
+    } else if (this.contributors.length > 0) {
+        this.author = this.contributors[0].author;
+    }
+});
+
+// The same for findByIdAndUpdate(), which skips the document hooks.
+BookSchema.pre('findOneAndUpdate', function() {
+    const update = this.getUpdate();
+    const set = update.$set || update;
+    if (Array.isArray(set.contributors) && set.contributors.length > 0) {
+        set.author = set.contributors[0].author;
+    }
 });
 
+BookSchema.statics.CONTRIBUTOR_ROLES = CONTRIBUTOR_ROLES;
+
 // virtual for book's URL
 BookSchema.virtual('url').get(function(){
     // we don't use an arrow function because we need the this object.
     return `/catalog/book/${this._id}`;
 });
 
+// Populated contributors grouped by role, in the order of CONTRIBUTOR_ROLES:
+// [{ role, label, authors }], e.g. label "Authors" for two authors.
+BookSchema.virtual('contributors_by_role').get(function(){
+    return CONTRIBUTOR_ROLES.map((role) => {
+        const authors = this.contributors
+            .filter((contributor) => contributor.role === role && contributor.author && contributor.author.name)
+            .map((contributor) => contributor.author);
+        const label = role.charAt(0).toUpperCase() + role.slice(1) + (authors.length > 1 ? 's' : '');
+        return { role, label, authors };
+    }).filter((group) => group.authors.length > 0);
+});
+
+BookSchema.virtual('cover_url').get(function(){
+    return this.cover ? `/files/${this.cover.key}` : null;
+});
+
+BookSchema.virtual('thumbnail_url').get(function(){
+    return this.cover ? `/files/${this.cover.thumbnail_key}` : null;
+});
+
+// deleting moves to the trash, see services/trash.js
+BookSchema.plugin(softDelete);
+// edits are checked against the version they started from, see models/plugins/versioned.js
+BookSchema.plugin(versioned);
+
 module.exports = mongoose.model('Book', BookSchema);
 
@@ -1,23 +1,104 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 const { DateTime} = require('luxon');
+const softDelete = require('./plugins/softDelete');
+const versioned = require('./plugins/versioned');
+const Counter = require('./Counter');
+const config = require('../config/labels');
+
+// Kinds of copy that loan policies can treat differently, see models/LoanPolicy.js
+const ITEM_TYPES = ['standard', 'reference', 'short loan', 'media'];
+
+// The statuses a copy can move to from each status. Loaned, Reserved and
+// In Transit come and go with checkouts, holds and transfers (a copy only
+// leaves Loaned by hand when its patron lost it), the rest are set by staff.
+// Every change is kept, see services/copyStatus.js.
+const STATUS_TRANSITIONS = {
+    'Available': ['Loaned', 'Reserved', 'In Transit', 'Maintenance', 'Damaged', 'Lost', 'Withdrawn'],
+    'Maintenance': ['Available', 'In Transit', 'Damaged', 'Lost', 'Withdrawn'],
+    'Loaned': ['Available', 'Lost'],
+    'Reserved': ['Loaned', 'Available'],
+    'Lost': ['Available', 'Maintenance', 'Withdrawn'],
+    'In Transit': ['Available', 'Maintenance', 'Lost'],
+    'Damaged': ['Maintenance', 'Available', 'Withdrawn'],
+    'Withdrawn': ['Maintenance'],
+    'On Order': ['Maintenance', 'Available', 'Withdrawn'],
+};
+// what only checkouts, returns, holds and transfers change, never the form
+const MANAGED_STATUSES = ['Loaned', 'Reserved', 'In Transit'];
+// what a new copy can start as
+const INITIAL_STATUSES = ['Maintenance', 'Available', 'On Order'];
+// moving to these needs a reason
+const REASON_REQUIRED = ['Lost', 'Damaged', 'Withdrawn'];
 
 const BookInstanceSchema = new Schema({
     book: { type: Schema.Types.ObjectId, ref: 'Book', required: true }, // reference to associated book
-    imprint: { type: String, required: true },
+    edition: { type: Schema.Types.ObjectId, ref: 'Edition', required: true }, // which edition of the book this is a copy of
     status: {
         type: String,
         required: true,
-        enum: ['Available', 'Maintenance', 'Loaned', 'Reserved'],
+        enum: Object.keys(STATUS_TRANSITIONS),
         default: 'Maintenance',
     },
     due_back: { type: Date, default: Date.now },
+    item_type: { type: String, required: true, enum: ITEM_TYPES, default: 'standard' },
+    // printed on the copy's label, given out once and never reused
+    barcode: { type: String, required: true, uppercase: true, trim: true },
+    // the branch the copy belongs to, and where it is now. Only transfers
+    // move a copy to another branch, see services/transfers.js.
+    home_branch: { type: Schema.Types.ObjectId, ref: 'Branch', default: null },
+    current_branch: { type: Schema.Types.ObjectId, ref: 'Branch', default: null },
+    shelf_location: { type: String, default: '' }, // one of the current branch's shelf_locations
 });
 
+BookInstanceSchema.index({ current_branch: 1, status: 1 });
+
+// copies in the trash keep their barcode, so it stays unique across them too.
+// Copies from before barcodes get theirs from migrations/bookinstance-barcodes.js.
+BookInstanceSchema.index({ barcode: 1 }, { unique: true, partialFilterExpression: { barcode: { $type: 'string' } } });
+
+BookInstanceSchema.statics.formatBarcode = function(number) {
+    return config.barcodePrefix + String(number).padStart(config.barcodeDigits, '0');
+};
+
+// The query for the copy a scanned or typed code stands for: its barcode, its
+// id, or its address (what a label's QR code holds).
+BookInstanceSchema.statics.codeFilter = function(code) {
+    const fromUrl = code.match(/\/bookinstance\/([0-9a-f]{24})\b/i);
+    if (fromUrl) return { _id: fromUrl[1] };
+    if (/^[0-9a-f]{24}$/i.test(code)) return { _id: code };
+    return { barcode: code.toUpperCase() };
+};
+
+// new copies get the next barcode
+BookInstanceSchema.pre('validate', async function() {
+    if (!this.barcode) {
+        this.barcode = this.constructor.formatBarcode(await Counter.next('barcode'));
+    }
+});
+
+BookInstanceSchema.statics.ITEM_TYPES = ITEM_TYPES;
+BookInstanceSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+BookInstanceSchema.statics.MANAGED_STATUSES = MANAGED_STATUSES;
+BookInstanceSchema.statics.INITIAL_STATUSES = INITIAL_STATUSES;
+BookInstanceSchema.statics.REASON_REQUIRED = REASON_REQUIRED;
+
+// Whether a copy can go from one status to another. A new copy has no status
+// to come from.
+BookInstanceSchema.statics.canChangeStatus = function(from, to) {
+    if (from === null || from === undefined) return INITIAL_STATUSES.includes(to);
+    return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
 BookInstanceSchema.virtual('url').get(function(){
     return `/catalog/bookinstance/${this._id}`;
 });
 
+// A copy is overdue when it is out on loan past its due date
+BookInstanceSchema.virtual('is_overdue').get(function(){
+    return this.status === 'Loaned' && this.due_back < new Date();
+});
+
 BookInstanceSchema.virtual('due_back_iso').get(function(){
     return DateTime.fromJSDate(this.due_back).toISODate();
 })
@@ -26,4 +107,9 @@ BookInstanceSchema.virtual('due_back_formatted').get(function(){
     return DateTime.fromJSDate(this.due_back).toLocaleString(DateTime.DATE_MED);
 })
 
+// deleting moves to the trash, see services/trash.js
+BookInstanceSchema.plugin(softDelete);
+// edits are checked against the version they started from, see models/plugins/versioned.js
+BookInstanceSchema.plugin(versioned);
+
 module.exports = mongoose.model('BookInstance', BookInstanceSchema);
\ No newline at end of file
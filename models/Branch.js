@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One of the library's buildings. Each copy has a home branch it belongs to
+// and a current branch where it is now, see models/BookInstance.js; copies
+// move between branches with transfers, see services/transfers.js.
+const BranchSchema = new Schema({
+    name: { type: String, required: true, minLength: 2, maxLength: 100 },
+    address: { type: String, default: '' },
+    // the branch's shelves, e.g. "Fiction A-F", "Children's corner"
+    shelf_locations: [{ type: String, maxLength: 100 }],
+});
+
+BranchSchema.index({ name: 1 }, { unique: true });
+
+BranchSchema.virtual('url').get(function(){
+    return `/catalog/branch/${this._id}`;
+});
+
+module.exports = mongoose.model('Branch', BranchSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { DateTime } = require('luxon');
+
+// One change of a copy's status, from staff editing it or from a checkout,
+// hold, transfer or stocktake. The legal changes are in models/BookInstance.js.
+const CopyStatusChangeSchema = new Schema({
+    book_instance: { type: Schema.Types.ObjectId, ref: 'BookInstance', required: true },
+    from: { type: String, default: null }, // null when the copy was created
+    to: { type: String, required: true },
+    reason: { type: String, default: '' },
+    changed_by: { type: Schema.Types.ObjectId, ref: 'User', default: null }, // null for jobs and returns
+    changed_at: { type: Date, required: true, default: Date.now },
+});
+
+CopyStatusChangeSchema.index({ book_instance: 1, changed_at: -1 });
+
+CopyStatusChangeSchema.virtual('changed_at_formatted').get(function(){
+    return DateTime.fromJSDate(this.changed_at).toLocaleString(DateTime.DATETIME_MED);
+});
+
+module.exports = mongoose.model('CopyStatusChange', CopyStatusChangeSchema);
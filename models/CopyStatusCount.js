@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// How many copies had each status on a day, for the dashboard's "copies by
+// status over time" chart. A job keeps today's row up to date, so the last
+// count of each day is the one that stays.
+const CopyStatusCountSchema = new Schema({
+    day: { type: Date, required: true, unique: true }, // midnight, server time
+    counts: { type: Map, of: Number, default: {} }, // status -> number of copies
+});
+
+module.exports = mongoose.model('CopyStatusCount', CopyStatusCountSchema);
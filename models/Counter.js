@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Named sequences, e.g. the number in each copy's barcode.
+const CounterSchema = new Schema({
+    _id: { type: String, required: true }, // the sequence's name
+    seq: { type: Number, required: true, default: 0 },
+});
+
+// The next number in a sequence, starting at 1. Safe to call from several
+// requests at once, each gets its own number.
+CounterSchema.statics.next = async function(name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    ).exec();
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
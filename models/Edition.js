@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { Schema } = mongoose;
+
+const FORMATS = ['Hardcover', 'Paperback', 'Ebook', 'Audiobook', 'Other'];
+
+// One published edition of a book: who published it, when, and in what
+// form. The Book is the work; every copy (BookInstance) is of an edition.
+const EditionSchema = new Schema({
+    book: { type: Schema.Types.ObjectId, ref: 'Book', required: true },
+    publisher: { type: Schema.Types.ObjectId, ref: 'Publisher', required: true },
+    year: { type: Number, min: 1000, max: 9999 },
+    format: { type: String, enum: FORMATS, default: 'Other' },
+    pages: { type: Number, min: 1 },
+});
+
+EditionSchema.index({ book: 1 });
+EditionSchema.index({ publisher: 1 });
+
+EditionSchema.statics.FORMATS = FORMATS;
+
+EditionSchema.virtual('url').get(function(){
+    return `/catalog/edition/${this._id}`;
+});
+
+// e.g. "Gollancz, 2014, Paperback, 320 pages". The publisher's name is only
+// there when it has been populated.
+EditionSchema.virtual('name').get(function(){
+    const parts = [];
+    if (this.publisher && this.publisher.name) parts.push(this.publisher.name);
+    if (this.year) parts.push(this.year);
+    if (this.format && this.format !== 'Other') parts.push(this.format);
+    if (this.pages) parts.push(`${this.pages} pages`);
+    return parts.length ? parts.join(', ') : 'Unknown edition';
+});
+
+// deleting moves to the trash, see services/trash.js
+EditionSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Edition', EditionSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { DateTime } = require('luxon');
+
+// One entry in a patron's fines ledger. Amounts are always positive and in
+// cents; the type says which way the money goes. Entries are never edited,
+// mistakes are corrected with a waiver.
+const FineTransactionSchema = new Schema({
+    patron: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, required: true, enum: ['charge', 'payment', 'waiver'] },
+    amount: { type: Number, required: true, min: 1 },
+    loan: { type: Schema.Types.ObjectId, ref: 'Loan' }, // the loan an overdue charge is for
+    note: { type: String, maxLength: 200 },
+    created_by: { type: Schema.Types.ObjectId, ref: 'User' }, // staff member, empty for the overdue job
+    created_at: { type: Date, required: true, default: Date.now },
+});
+
+FineTransactionSchema.index({ patron: 1, created_at: -1 });
+
+FineTransactionSchema.statics.formatAmount = function(cents) {
+    return `$${(cents / 100).toFixed(2)}`;
+};
+
+// How much the entry changes the balance owed by: charges add, the rest subtract
+FineTransactionSchema.virtual('signed_amount').get(function(){
+    return this.type === 'charge' ? this.amount : -this.amount;
+});
+
+FineTransactionSchema.virtual('amount_formatted').get(function(){
+    return this.constructor.formatAmount(this.amount);
+});
+
+FineTransactionSchema.virtual('created_at_formatted').get(function(){
+    return DateTime.fromJSDate(this.created_at).toLocaleString(DateTime.DATETIME_MED);
+});
+
+module.exports = mongoose.model('FineTransaction', FineTransactionSchema);
@@ -1,12 +1,53 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 const { Schema } = mongoose;
 
+// How a genre name is compared: "Science  Fiction" and "science fiction"
+// are the same genre.
+const nameKey = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
 const GenreSchema = new Schema({
-    name: {type: String, required: true, minLength: 3, maxLength: 100}
+    name: {type: String, required: true, minLength: 3, maxLength: 100},
+    // genres form a tree, e.g. Fiction > Science Fiction > Space Opera
+    parent: { type: Schema.Types.ObjectId, ref: 'Genre', default: null },
+    // other names for the genre, such as the names of genres merged into it
+    aliases: [{ type: String, minLength: 3, maxLength: 100 }],
+    // nameKey() of the name and every alias, kept up to date on save. The
+    // unique index on it means no two genres in the catalog share a name or
+    // alias, whatever the case.
+    name_keys: [String],
 });
 
+// Full-text index so the catalog search can find books by genre name or alias
+GenreSchema.index({ name: 'text', aliases: 'text' }, { name: 'GenreNameTextIndex' });
+
+GenreSchema.index({ parent: 1 });
+
+// genres in the trash don't count, see services/trash.js for restoring one
+GenreSchema.index(
+    { name_keys: 1 },
+    { unique: true, partialFilterExpression: { deleted_at: { $type: 'null' } } }
+);
+
+GenreSchema.pre('validate', function() {
+    this.name_keys = [...new Set([this.name, ...this.aliases].filter(Boolean).map(nameKey))];
+});
+
+GenreSchema.statics.nameKey = nameKey;
+
+// The genre called `name`, or with `name` as an alias, if there is one.
+// Pass exceptId to leave a genre being updated out.
+GenreSchema.statics.findByName = function(name, exceptId) {
+    const filter = { name_keys: nameKey(name) };
+    if (exceptId) filter._id = { $ne: exceptId };
+    return this.findOne(filter);
+};
+
 GenreSchema.virtual('url').get(function(){
     return `/catalog/genre/${this._id}`;
 });
 
-module.exports = mongoose.model('Genre', GenreSchema);
\ No newline at end of file
+// deleting moves to the trash, see services/trash.js
+GenreSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Genre', GenreSchema);
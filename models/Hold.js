@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { DateTime } = require('luxon');
+
+// A patron's place in the queue for a Book (any copy of it). Holds are served
+// first come, first served by placed_at.
+//
+//   waiting   -> in the queue
+//   ready     -> a copy has been set aside, collect it before pickup_by
+//   fulfilled -> the patron checked the copy out
+//   cancelled -> withdrawn by the patron or staff
+//   expired   -> not collected in time
+const HoldSchema = new Schema({
+    book: { type: Schema.Types.ObjectId, ref: 'Book', required: true },
+    patron: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    placed_at: { type: Date, required: true, default: Date.now },
+    status: {
+        type: String,
+        required: true,
+        enum: ['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'],
+        default: 'waiting',
+    },
+    book_instance: { type: Schema.Types.ObjectId, ref: 'BookInstance' }, // copy set aside once ready
+    ready_at: { type: Date },
+    pickup_by: { type: Date },
+    closed_at: { type: Date },
+});
+
+HoldSchema.index({ book: 1, status: 1, placed_at: 1 });
+HoldSchema.index({ patron: 1, status: 1 });
+
+HoldSchema.virtual('is_open').get(function(){
+    return this.status === 'waiting' || this.status === 'ready';
+});
+
+HoldSchema.virtual('placed_at_formatted').get(function(){
+    return DateTime.fromJSDate(this.placed_at).toLocaleString(DateTime.DATE_MED);
+});
+
+HoldSchema.virtual('pickup_by_formatted').get(function(){
+    return this.pickup_by ?
+        DateTime.fromJSDate(this.pickup_by).toLocaleString(DateTime.DATE_MED) :
+        '';
+});
+
+module.exports = mongoose.model('Hold', HoldSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { DateTime } = require('luxon');
+const FineTransaction = require('./FineTransaction.js');
+
+// One row per time a copy leaves the library. Loans are never deleted, so the
+// loans for a BookInstance are its full circulation history.
+const LoanSchema = new Schema({
+    book_instance: { type: Schema.Types.ObjectId, ref: 'BookInstance', required: true },
+    patron: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    checked_out_by: { type: Schema.Types.ObjectId, ref: 'User' }, // staff member at the desk
+    checked_out_at: { type: Date, required: true, default: Date.now },
+    due_back: { type: Date, required: true },
+    renewals: { type: Number, required: true, default: 0, min: 0 },
+    returned_at: { type: Date, default: null },
+    lost: { type: Boolean, default: false }, // closed because the patron lost the copy, not returned
+    overdue: { type: Boolean, default: false }, // set by the overdue job
+    fine_accrued: { type: Number, default: 0, min: 0 }, // in cents, charged to the ledger so far
+    // The loan policy in force at checkout, copied so that editing the policy
+    // later doesn't change loans that are already out. Loans from before
+    // policies existed have none and use config/circulation.js.
+    terms: {
+        type: new Schema({
+            policy: { type: Schema.Types.ObjectId, ref: 'LoanPolicy', default: null }, // null for the defaults
+            policy_name: { type: String },
+            loan_period_days: { type: Number, required: true, min: 1 },
+            max_renewals: { type: Number, required: true, min: 0 },
+            fine_daily_rate: { type: Number, required: true, min: 0 }, // in cents
+        }, { _id: false }),
+        default: null,
+    },
+});
+
+LoanSchema.index({ book_instance: 1, checked_out_at: -1 });
+LoanSchema.index({ patron: 1, returned_at: 1 });
+
+LoanSchema.virtual('is_active').get(function(){
+    return this.returned_at === null || this.returned_at === undefined;
+});
+
+LoanSchema.virtual('checked_out_at_formatted').get(function(){
+    return DateTime.fromJSDate(this.checked_out_at).toLocaleString(DateTime.DATE_MED);
+});
+
+LoanSchema.virtual('due_back_formatted').get(function(){
+    return DateTime.fromJSDate(this.due_back).toLocaleString(DateTime.DATE_MED);
+});
+
+LoanSchema.virtual('returned_at_formatted').get(function(){
+    return this.returned_at ?
+        DateTime.fromJSDate(this.returned_at).toLocaleString(DateTime.DATE_MED) :
+        '';
+});
+
+LoanSchema.virtual('fine_accrued_formatted').get(function(){
+    return FineTransaction.formatAmount(this.fine_accrued);
+});
+
+module.exports = mongoose.model('Loan', LoanSchema);
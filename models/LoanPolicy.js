@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const User = require('./User.js');
+const BookInstance = require('./BookInstance.js');
+const FineTransaction = require('./FineTransaction.js');
+
+// A rule for lending: who (patron category), what (genre, item type) and on
+// which terms. Each criterion left empty matches anything. When several
+// policies match a checkout the most specific one wins, see
+// services/loanPolicies.js.
+const LoanPolicySchema = new Schema({
+    name: { type: String, required: true, minLength: 3, maxLength: 100 },
+    patron_category: { type: String, enum: [...User.PATRON_CATEGORIES, null], default: null },
+    genre: { type: Schema.Types.ObjectId, ref: 'Genre', default: null }, // matches its subgenres too
+    item_type: { type: String, enum: [...BookInstance.ITEM_TYPES, null], default: null },
+    loan_period_days: { type: Number, required: true, min: 1, max: 365 },
+    max_renewals: { type: Number, required: true, min: 0, max: 50 },
+    max_loans: { type: Number, required: true, min: 1, max: 100 },
+    fine_daily_rate: { type: Number, required: true, min: 0 }, // in cents
+});
+
+// two policies with the same criteria could never be told apart
+LoanPolicySchema.index({ patron_category: 1, genre: 1, item_type: 1 }, { unique: true });
+
+LoanPolicySchema.virtual('fine_daily_rate_formatted').get(function(){
+    return FineTransaction.formatAmount(this.fine_daily_rate);
+});
+
+module.exports = mongoose.model('LoanPolicy', LoanPolicySchema);
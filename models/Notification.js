@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { DateTime } = require('luxon');
+
+// One email, from the moment it is queued until it is sent or given up on.
+// Sent and failed entries are kept, they are the send log.
+//
+//   queued  -> waiting to go out at next_attempt_at
+//   sending -> picked up by the send job
+//   sent    -> handed to the SMTP server
+//   failed  -> every attempt failed, see last_error
+const TYPES = ['due_soon', 'overdue', 'hold_ready', 'digest'];
+const STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+const NotificationSchema = new Schema({
+    type: { type: String, required: true, enum: TYPES },
+    // what the email is about, so it is only ever queued once, e.g.
+    // "due_soon:<loan id>:2026-10-21"
+    key: { type: String, required: true, unique: true },
+    user: { type: Schema.Types.ObjectId, ref: 'User' },
+    to: { type: String, required: true },
+    subject: { type: String, required: true },
+    html: { type: String, required: true },
+    text: { type: String, required: true },
+    status: { type: String, required: true, enum: STATUSES, default: 'queued' },
+    attempts: { type: Number, required: true, default: 0 },
+    next_attempt_at: { type: Date, required: true, default: Date.now },
+    claimed_at: { type: Date }, // when the send job picked it up
+    last_error: { type: String },
+    created_at: { type: Date, required: true, default: Date.now },
+    sent_at: { type: Date },
+});
+
+NotificationSchema.index({ status: 1, next_attempt_at: 1 });
+NotificationSchema.index({ created_at: -1 });
+
+NotificationSchema.statics.TYPES = TYPES;
+NotificationSchema.statics.STATUSES = STATUSES;
+
+NotificationSchema.virtual('created_at_formatted').get(function(){
+    return DateTime.fromJSDate(this.created_at).toLocaleString(DateTime.DATETIME_MED);
+});
+
+NotificationSchema.virtual('sent_at_formatted').get(function(){
+    return this.sent_at ? DateTime.fromJSDate(this.sent_at).toLocaleString(DateTime.DATETIME_MED) : '';
+});
+
+module.exports = mongoose.model('Notification', NotificationSchema);
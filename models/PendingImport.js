@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// An uploaded CSV file waiting for staff to confirm its import, see
+// controllers/importController.js. Only its id goes in the session. Uploads
+// that are never confirmed are dropped by MongoDB after a day.
+const PendingImportSchema = new Schema({
+    filename: { type: String, required: true },
+    text: { type: String, required: true },
+    uploaded_by: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    uploaded_at: { type: Date, required: true, default: Date.now, expires: 24 * 60 * 60 },
+});
+
+module.exports = mongoose.model('PendingImport', PendingImportSchema);
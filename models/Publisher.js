@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { Schema } = mongoose;
+
+const PublisherSchema = new Schema({
+    name: { type: String, required: true, maxLength: 200 },
+});
+
+PublisherSchema.virtual('url').get(function(){
+    return `/catalog/publisher/${this._id}`;
+});
+
+// deleting moves to the trash, see services/trash.js
+PublisherSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Publisher', PublisherSchema);
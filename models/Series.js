@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { Schema } = mongoose;
+
+// A series of books, e.g. "The Wheel of Time". Books say which series they
+// belong to and their volume number in it (Book.series, Book.series_number).
+const SeriesSchema = new Schema({
+    name: { type: String, required: true, maxLength: 200 },
+    summary: { type: String },
+});
+
+SeriesSchema.virtual('url').get(function(){
+    return `/catalog/series/${this._id}`;
+});
+
+// deleting moves to the trash, see services/trash.js
+SeriesSchema.plugin(softDelete);
+
+module.exports = mongoose.model('Series', SeriesSchema);
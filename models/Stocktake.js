@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { DateTime } = require('luxon');
+
+// A stocktake: checking the shelves against the catalog. While it is open
+// staff scan every copy they find; closing it compares the scans with what
+// the catalog says should be there and keeps the differences as findings,
+// see services/stocktake.js. A stocktake of a big library has too many of
+// either for one document, so they are kept in models/StocktakeScan.js and
+// models/StocktakeFinding.js.
+const StocktakeSchema = new Schema({
+    name: { type: String, required: true, minLength: 3, maxLength: 100 },
+    // the scope: copies at the branch (on the one shelf, if given) and of
+    // books in the genre or its subgenres. Left empty, the whole library.
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch', default: null },
+    shelf_location: { type: String, default: '' },
+    genre: { type: Schema.Types.ObjectId, ref: 'Genre', default: null },
+    status: { type: String, required: true, enum: ['open', 'closed'], default: 'open' },
+    started_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    started_at: { type: Date, required: true, default: Date.now },
+    closed_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    closed_at: { type: Date, default: null },
+    expected_count: { type: Number, default: 0 }, // copies that should have been on the shelves
+});
+
+StocktakeSchema.index({ status: 1, started_at: -1 });
+
+StocktakeSchema.virtual('url').get(function(){
+    return `/catalog/stocktake/${this._id}`;
+});
+
+StocktakeSchema.virtual('is_open').get(function(){
+    return this.status === 'open';
+});
+
+StocktakeSchema.virtual('started_at_formatted').get(function(){
+    return DateTime.fromJSDate(this.started_at).toLocaleString(DateTime.DATETIME_MED);
+});
+
+StocktakeSchema.virtual('closed_at_formatted').get(function(){
+    return this.closed_at ? DateTime.fromJSDate(this.closed_at).toLocaleString(DateTime.DATETIME_MED) : '';
+});
+
+module.exports = mongoose.model('Stocktake', StocktakeSchema);
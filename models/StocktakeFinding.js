@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A difference between the shelves and the catalog, found when a stocktake
+// closed.
+//
+//   missing      -> the catalog says it's on the shelf, nobody scanned it
+//   unexpected   -> scanned, but outside the stocktake's scope, in the trash,
+//                   or a code no copy has
+//   wrong_status -> scanned, but the catalog says it's out (e.g. Loaned)
+const FINDING_KINDS = ['missing', 'unexpected', 'wrong_status'];
+
+const StocktakeFindingSchema = new Schema({
+    stocktake: { type: Schema.Types.ObjectId, ref: 'Stocktake', required: true },
+    kind: { type: String, required: true, enum: FINDING_KINDS },
+    book_instance: { type: Schema.Types.ObjectId, ref: 'BookInstance', default: null },
+    code: { type: String }, // the copy's barcode, or the code as scanned when no copy has it
+    status: { type: String }, // the copy's status when the stocktake closed
+    note: { type: String },
+    corrected_to: { type: String, default: null }, // the status it was corrected to
+    corrected_at: { type: Date, default: null },
+    corrected_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+});
+
+StocktakeFindingSchema.index({ stocktake: 1, kind: 1 });
+
+StocktakeFindingSchema.statics.FINDING_KINDS = FINDING_KINDS;
+
+module.exports = mongoose.model('StocktakeFinding', StocktakeFindingSchema);
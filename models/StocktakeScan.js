@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One code scanned in an open stocktake. A copy scanned twice is only kept
+// once: key is the copy's id, or the upper-cased code when no copy has it.
+const StocktakeScanSchema = new Schema({
+    stocktake: { type: Schema.Types.ObjectId, ref: 'Stocktake', required: true },
+    key: { type: String, required: true },
+    code: { type: String, required: true }, // as scanned or typed
+    book_instance: { type: Schema.Types.ObjectId, ref: 'BookInstance', default: null }, // null when no copy has the code
+    scanned_at: { type: Date, required: true, default: Date.now },
+    scanned_by: { type: Schema.Types.ObjectId, ref: 'User' },
+});
+
+StocktakeScanSchema.index({ stocktake: 1, key: 1 }, { unique: true });
+StocktakeScanSchema.index({ stocktake: 1, scanned_at: -1 });
+
+module.exports = mongoose.model('StocktakeScan', StocktakeScanSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { DateTime } = require('luxon');
+
+// A copy on its way from one branch to another. While the transfer is in
+// transit the copy's status is In Transit; receiving it puts the copy on the
+// new branch's shelves, cancelling leaves it where it was.
+//
+//   in_transit -> sent, not yet at to_branch
+//   received   -> arrived, the copy's current branch is to_branch
+//   cancelled  -> never left, or was sent back
+const TransferSchema = new Schema({
+    book_instance: { type: Schema.Types.ObjectId, ref: 'BookInstance', required: true },
+    from_branch: { type: Schema.Types.ObjectId, ref: 'Branch', default: null }, // null for copies that had no branch
+    to_branch: { type: Schema.Types.ObjectId, ref: 'Branch', required: true },
+    status: { type: String, required: true, enum: ['in_transit', 'received', 'cancelled'], default: 'in_transit' },
+    copy_status: { type: String, required: true }, // the copy's status before it was sent, given back on arrival
+    sent_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    sent_at: { type: Date, required: true, default: Date.now },
+    closed_by: { type: Schema.Types.ObjectId, ref: 'User' }, // who received or cancelled it
+    closed_at: { type: Date, default: null },
+});
+
+TransferSchema.index({ book_instance: 1, sent_at: -1 });
+TransferSchema.index({ status: 1, to_branch: 1 });
+
+TransferSchema.virtual('sent_at_formatted').get(function(){
+    return DateTime.fromJSDate(this.sent_at).toLocaleString(DateTime.DATETIME_MED);
+});
+
+TransferSchema.virtual('closed_at_formatted').get(function(){
+    return this.closed_at ? DateTime.fromJSDate(this.closed_at).toLocaleString(DateTime.DATETIME_MED) : '';
+});
+
+module.exports = mongoose.model('Transfer', TransferSchema);
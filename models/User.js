@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 10;
+
+const ROLES = ['patron', 'librarian', 'admin'];
+
+// Kinds of borrower that loan policies can treat differently, see models/LoanPolicy.js
+const PATRON_CATEGORIES = ['adult', 'child', 'student', 'staff'];
+
+const UserSchema = new Schema({
+    username: { type: String, required: true, unique: true, lowercase: true, trim: true, maxLength: 50 },
+    email: { type: String, required: true, lowercase: true, trim: true, maxLength: 254 },
+    password_hash: { type: String, required: true },
+    role: { type: String, required: true, enum: ROLES, default: 'patron' },
+    category: { type: String, required: true, enum: PATRON_CATEGORIES, default: 'adult' },
+    // contact details, edited by the patron on their account page
+    phone: { type: String, trim: true, maxLength: 30 },
+    address: { type: String, trim: true }, // stored escaped, so no length limit here
+    // which emails the patron wants
+    notify: {
+        due_soon: { type: Boolean, default: true },
+        overdue: { type: Boolean, default: true },
+        hold_ready: { type: Boolean, default: true },
+    },
+}, { timestamps: true });
+
+// Hash and store a plain text password. The plain text is never saved.
+UserSchema.methods.setPassword = async function(password) {
+    this.password_hash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+UserSchema.methods.validatePassword = function(password) {
+    return bcrypt.compare(password, this.password_hash);
+};
+
+// Librarians and admins are allowed to change the catalog
+UserSchema.virtual('is_staff').get(function(){
+    return this.role === 'librarian' || this.role === 'admin';
+});
+
+UserSchema.virtual('is_admin').get(function(){
+    return this.role === 'admin';
+});
+
+UserSchema.statics.ROLES = ROLES;
+UserSchema.statics.PATRON_CATEGORIES = PATRON_CATEGORIES;
+
+module.exports = mongoose.model('User', UserSchema);
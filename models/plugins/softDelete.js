@@ -0,0 +1,51 @@
+const { Schema } = require('mongoose');
+const { DateTime } = require('luxon');
+
+// Soft deletion for the catalog models. Deleting sets deleted_at instead of
+// removing the document, and every query, count and aggregation leaves
+// deleted documents out unless it asks for them:
+//
+//   Book.find({ deleted_at: { $ne: null } })         // filters on deleted_at itself
+//   Book.findById(id).setOptions({ withDeleted: true })
+//   Book.aggregate(pipeline).option({ withDeleted: true })
+//
+// Populating a reference to a deleted document gives null, like a dangling
+// reference would.
+
+const QUERIES = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'findOneAndUpdate', 'updateOne', 'updateMany',
+  'findOneAndDelete', 'findOneAndRemove', 'deleteOne', 'deleteMany',
+];
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    deleted_at: { type: Date, default: null },
+    deleted_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  });
+  schema.index({ deleted_at: 1 });
+
+  schema.pre(QUERIES, function() {
+    if (this.getOptions().withDeleted || 'deleted_at' in this.getFilter()) return;
+    this.where({ deleted_at: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    const pipeline = this.pipeline();
+    // $text has to stay in the first stage, so join an existing $match
+    if (pipeline.length && pipeline[0].$match) {
+      pipeline[0] = { $match: { ...pipeline[0].$match, deleted_at: null } };
+    } else {
+      pipeline.unshift({ $match: { deleted_at: null } });
+    }
+  });
+
+  schema.virtual('is_deleted').get(function() {
+    return Boolean(this.deleted_at);
+  });
+
+  schema.virtual('deleted_at_formatted').get(function() {
+    return this.deleted_at ? DateTime.fromJSDate(this.deleted_at).toLocaleString(DateTime.DATE_MED) : '';
+  });
+};
@@ -0,0 +1,30 @@
+// Optimistic concurrency for the models with edit forms. Every save and
+// update moves the document's version (__v) on, so an edit can be made
+// conditional on the version the form was loaded with:
+//
+//   Book.findOneAndUpdate(Book.atVersion(id, version), changes)   // null when stale
+//
+// Saves of a loaded document check the version too, see Mongoose's
+// optimisticConcurrency option.
+
+const UPDATES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+module.exports = function versioned(schema) {
+  schema.set('optimisticConcurrency', true);
+
+  schema.pre(UPDATES, function() {
+    const update = this.getUpdate();
+    if (!update || Array.isArray(update)) return;
+    // a whole document passed as the update brings its own version along
+    delete update.__v;
+    if (update.$set) delete update.$set.__v;
+    update.$inc = { ...update.$inc, __v: 1 };
+    this.setUpdate(update);
+  });
+
+  // The filter for the document at a version. A missing or mangled version
+  // (e.g. from a form opened before versions were sent) matches nothing.
+  schema.statics.atVersion = function(id, version) {
+    return { _id: id, __v: Number.isInteger(version) ? version : -1 };
+  };
+};
@@ -11,11 +11,18 @@ console.log(
   const Author = require("./models/Author");
   const Genre = require("./models/Genre");
   const BookInstance = require("./models/BookInstance");
+  const Series = require("./models/Series");
+  const Publisher = require("./models/Publisher");
+  const Edition = require("./models/Edition");
+  const { parseImprint } = require("./utils/imprint");
   
   const genres = [];
   const authors = [];
   const books = [];
   const bookinstances = [];
+  // the copies are created in parallel, so these hold promises, keyed by name
+  const publishers = {};
+  const editions = {};
   
   const mongoose = require("mongoose");
   mongoose.set("strictQuery", false); // Prepare for Mongoose 7
@@ -31,6 +38,7 @@ console.log(
     await createGenres();
     await createAuthors();
     await createBooks();
+    await createSeries();
     await createBookInstances();
     console.log("Debug: Closing mongoose");
     mongoose.connection.close();
@@ -70,10 +78,20 @@ console.log(
     console.log(`Added book: ${title}`);
   }
   
+  async function editionFor(book, imprint) {
+    const { publisher, year } = parseImprint(imprint);
+    publishers[publisher] ??= Publisher.create({ name: publisher });
+    const editionKey = `${book._id} ${publisher} ${year}`;
+    editions[editionKey] ??= publishers[publisher].then((doc) =>
+      Edition.create({ book: book, publisher: doc, year: year })
+    );
+    return editions[editionKey];
+  }
+
   async function bookInstanceCreate(book, imprint, due_back, status) {
     bookinstancedetail = {
       book: book,
-      imprint: imprint,
+      edition: await editionFor(book, imprint),
     };
     if (due_back != false) bookinstancedetail.due_back = due_back;
     if (status != false) bookinstancedetail.status = status;
@@ -145,20 +163,29 @@ console.log(
       bookCreate(
         "Test Book 1",
         "Summary of test book 1",
-        "ISBN111111",
+        "9780000000002",
         authors[4],
         [genres[0], genres[1]]
       ),
       bookCreate(
         "Test Book 2",
         "Summary of test book 2",
-        "ISBN222222",
+        "9780000000019",
         authors[4],
         false
       ),
     ]);
   }
   
+  async function createSeries() {
+    console.log("Adding series");
+    const series = await Series.create({ name: "The Kingkiller Chronicle" });
+    await Promise.all([
+      Book.findByIdAndUpdate(books[0]._id, { series: series, series_number: 1 }),
+      Book.findByIdAndUpdate(books[1]._id, { series: series, series_number: 2 }),
+    ]);
+  }
+
   async function createBookInstances() {
     console.log("Adding authors");
     await Promise.all([
@@ -0,0 +1,17 @@
+// Book form: "Add another contributor" copies the last picker row. Without
+// JavaScript the form still works, it just offers one empty row at a time.
+document.addEventListener('DOMContentLoaded', function () {
+  var button = document.getElementById('add-contributor');
+  if (!button) return;
+
+  button.hidden = false;
+  button.addEventListener('click', function () {
+    var rows = document.querySelectorAll('.contributor-row');
+    var last = rows[rows.length - 1];
+    var row = last.cloneNode(true);
+    row.querySelectorAll('select').forEach(function (select) {
+      select.selectedIndex = 0;
+    });
+    last.parentNode.insertBefore(row, last.nextSibling);
+  });
+});
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+
+// require API controller modules
+const book_controller = require('../controllers/api/bookController');
+const author_controller = require('../controllers/api/authorController');
+const genre_controller = require('../controllers/api/genreController');
+const book_instance_controller = require('../controllers/api/bookInstanceController');
+const search_controller = require('../controllers/api/searchController');
+
+// writes need a librarian or admin session, same as the HTML forms
+const { requireStaff } = require('../middleware/auth');
+
+// The API shares its validation chains and delete checks with the HTML
+// controllers, so it refuses what the forms refuse: a copy needs an edition
+// and can only be deleted while Available, genre names are 3 to 100
+// characters, and authors, genres and books still in use can't be deleted
+// (409).
+
+/// SEARCH ///
+
+router.get('/search', search_controller.search);
+
+/// BOOK ROUTES ///
+
+router.get('/books', book_controller.book_list);
+router.post('/books', requireStaff, book_controller.book_create);
+router.get('/books/:id', book_controller.book_detail);
+router.put('/books/:id', requireStaff, book_controller.book_update);
+router.delete('/books/:id', requireStaff, book_controller.book_delete);
+
+/// AUTHOR ROUTES ///
+
+router.get('/authors', author_controller.author_list);
+router.post('/authors', requireStaff, author_controller.author_create);
+router.get('/authors/:id', author_controller.author_detail);
+router.put('/authors/:id', requireStaff, author_controller.author_update);
+router.delete('/authors/:id', requireStaff, author_controller.author_delete);
+
+/// GENRE ROUTES ///
+
+router.get('/genres', genre_controller.genre_list);
+router.post('/genres', requireStaff, genre_controller.genre_create);
+router.get('/genres/:id', genre_controller.genre_detail);
+router.put('/genres/:id', requireStaff, genre_controller.genre_update);
+router.delete('/genres/:id', requireStaff, genre_controller.genre_delete);
+router.post('/genres/:id/merge', requireStaff, genre_controller.genre_merge);
+
+/// BOOKINSTANCE ROUTES ///
+
+router.get('/bookinstances', book_instance_controller.bookinstance_list);
+router.post('/bookinstances', requireStaff, book_instance_controller.bookinstance_create);
+router.get('/bookinstances/:id', book_instance_controller.bookinstance_detail);
+router.put('/bookinstances/:id', requireStaff, book_instance_controller.bookinstance_update);
+router.delete('/bookinstances/:id', requireStaff, book_instance_controller.bookinstance_delete);
+
+// Anything else under /api/v1 is a JSON 404 rather than the HTML error page.
+router.use((req, res, next) => {
+  res.status(404).json({ message: 'Not found' });
+});
+
+// JSON error handler for the API. Mongoose errors are mapped to the status
+// codes a client can act on; everything else falls back to err.status or 500.
+router.use((err, req, res, next) => {
+  if (err.name === 'CastError' && err.path === '_id') {
+    // malformed ObjectId in the URL, so the document can't exist
+    return res.status(404).json({ message: 'Not found' });
+  }
+
+  if (err.name === 'CastError') {
+    return res.status(422).json({
+      errors: [{ field: err.path, location: 'body', message: err.message, value: err.value }],
+    });
+  }
+
+  if (err.name === 'ValidationError') {
+    return res.status(422).json({
+      errors: Object.values(err.errors).map((error) => ({
+        field: error.path,
+        location: 'body',
+        message: error.message,
+        value: error.value,
+      })),
+    });
+  }
+
+  if (err.code === 11000) {
+    // duplicate key from a unique index
+    return res.status(409).json({ message: 'Duplicate value', fields: err.keyValue });
+  }
+
+  const status = err.status || 500;
+  res.status(status).json({
+    message: err.message,
+    error: req.app.get('env') === 'development' ? err.stack : undefined,
+  });
+});
+
+module.exports = router;
@@ -6,30 +6,71 @@ const book_controller = require('../controllers/bookController');
 const author_controller = require('../controllers/authorController');
 const genre_controller = require('../controllers/genreController');
 const book_instance_controller = require('../controllers/bookInstanceController');
+const loan_controller = require('../controllers/loanController');
+const hold_controller = require('../controllers/holdController');
+const fine_controller = require('../controllers/fineController');
+const search_controller = require('../controllers/searchController');
+const import_controller = require('../controllers/importController');
+const export_controller = require('../controllers/exportController');
+const history_controller = require('../controllers/historyController');
+const trash_controller = require('../controllers/trashController');
+const book_files_controller = require('../controllers/bookFilesController');
+const series_controller = require('../controllers/seriesController');
+const publisher_controller = require('../controllers/publisherController');
+const edition_controller = require('../controllers/editionController');
+const dashboard_controller = require('../controllers/dashboardController');
+const loan_policy_controller = require('../controllers/loanPolicyController');
+const notification_controller = require('../controllers/notificationController');
+const stocktake_controller = require('../controllers/stocktakeController');
+const branch_controller = require('../controllers/branchController');
+const transfer_controller = require('../controllers/transferController');
+
+// only librarians and admins may create, update or delete catalog entries
+const { requireLogin, requireStaff, requireRole } = require('../middleware/auth');
 
 // BOOK ROUTES
 
 router.get('/', book_controller.index);
 
+// GET request for searching the catalog.
+router.get('/search', search_controller.search);
+
 // GET request for creating a book. It must come before all other get requests
 // because subsequent requests will think the /books directory is the id parameter,
 // which is wrong.
-router.get('/book/create', book_controller.book_create_get);
+router.get('/book/create', requireStaff, book_controller.book_create_get);
 
 // POST request for creating book
-router.post('/book/create', book_controller.book_create_post);
+router.post('/book/create', requireStaff, book_controller.book_create_post);
 
 // GET request for deleting book
-router.get('/book/:id/delete', book_controller.book_delete_get);
+router.get('/book/:id/delete', requireStaff, book_controller.book_delete_get);
 
 // POST request for deleting book
-router.post('/book/:id/delete', book_controller.book_delete_post);
+router.post('/book/:id/delete', requireStaff, book_controller.book_delete_post);
 
 // GET request for updating book
-router.get('/book/:id/update', book_controller.book_update_get);
+router.get('/book/:id/update', requireStaff, book_controller.book_update_get);
 
 // POST request for updating book
-router.post('/book/:id/update', book_controller.book_update_post);
+router.post('/book/:id/update', requireStaff, book_controller.book_update_post);
+
+// GET request for the cover and attachments page of a book.
+router.get('/book/:id/files', requireStaff, book_files_controller.book_files_get);
+
+// POST request to upload a new cover, or remove the cover.
+router.post('/book/:id/cover', requireStaff, book_files_controller.cover_post);
+router.post('/book/:id/cover/delete', requireStaff, book_files_controller.cover_delete_post);
+
+// POST request to upload an attachment, or remove one.
+router.post('/book/:id/attachments', requireStaff, book_files_controller.attachment_post);
+router.post('/book/:id/attachments/:attachmentId/delete', requireStaff, book_files_controller.attachment_delete_post);
+
+// GET request to download an attachment.
+router.get('/book/:id/attachments/:attachmentId', book_files_controller.attachment_get);
+
+// GET request for the change history of one book.
+router.get('/book/:id/history', requireStaff, history_controller.book_history);
 
 // GET request for one book
 router.get('/book/:id', book_controller.book_detail);
@@ -37,25 +78,31 @@ router.get('/book/:id', book_controller.book_detail);
 // GET request to get all books
 router.get('/books', book_controller.book_list);
 
+// GET request to export the (filtered) book list as CSV, JSON or MARC.
+router.get('/books/export', export_controller.book_export);
+
 // AUTHOR ROUTES ///
 
 // GET request for creating Author. NOTE This must come before route for id (i.e. display author).
-router.get("/author/create", author_controller.author_create_get);
+router.get("/author/create", requireStaff, author_controller.author_create_get);
 
 // POST request for creating Author.
-router.post("/author/create", author_controller.author_create_post);
+router.post("/author/create", requireStaff, author_controller.author_create_post);
 
 // GET request to delete Author.
-router.get("/author/:id/delete", author_controller.author_delete_get);
+router.get("/author/:id/delete", requireStaff, author_controller.author_delete_get);
 
 // POST request to delete Author.
-router.post("/author/:id/delete", author_controller.author_delete_post);
+router.post("/author/:id/delete", requireStaff, author_controller.author_delete_post);
 
 // GET request to update Author.
-router.get("/author/:id/update", author_controller.author_update_get);
+router.get("/author/:id/update", requireStaff, author_controller.author_update_get);
 
 // POST request to update Author.
-router.post("/author/:id/update", author_controller.author_update_post);
+router.post("/author/:id/update", requireStaff, author_controller.author_update_post);
+
+// GET request for the change history of one author.
+router.get("/author/:id/history", requireStaff, history_controller.author_history);
 
 // GET request for one Author.
 router.get("/author/:id", author_controller.author_detail);
@@ -63,25 +110,37 @@ router.get("/author/:id", author_controller.author_detail);
 // GET request for list of all Authors.
 router.get("/authors", author_controller.author_list);
 
+// GET request to export the (filtered) list as CSV or JSON.
+router.get("/authors/export", export_controller.author_export);
+
 /// GENRE ROUTES ///
 
 // GET request for creating a Genre. NOTE This must come before route that displays Genre (uses id).
-router.get("/genre/create", genre_controller.genre_create_get);
+router.get("/genre/create", requireStaff, genre_controller.genre_create_get);
 
 //POST request for creating Genre.
-router.post("/genre/create", genre_controller.genre_create_post);
+router.post("/genre/create", requireStaff, genre_controller.genre_create_post);
 
 // GET request to delete Genre.
-router.get("/genre/:id/delete", genre_controller.genre_delete_get);
+router.get("/genre/:id/delete", requireStaff, genre_controller.genre_delete_get);
 
 // POST request to delete Genre.
-router.post("/genre/:id/delete", genre_controller.genre_delete_post);
+router.post("/genre/:id/delete", requireStaff, genre_controller.genre_delete_post);
 
 // GET request to update Genre.
-router.get("/genre/:id/update", genre_controller.genre_update_get);
+router.get("/genre/:id/update", requireStaff, genre_controller.genre_update_get);
 
 // POST request to update Genre.
-router.post("/genre/:id/update", genre_controller.genre_update_post);
+router.post("/genre/:id/update", requireStaff, genre_controller.genre_update_post);
+
+// GET request to merge Genre into another.
+router.get("/genre/:id/merge", requireStaff, genre_controller.genre_merge_get);
+
+// POST request to merge Genre into another.
+router.post("/genre/:id/merge", requireStaff, genre_controller.genre_merge_post);
+
+// GET request for the change history of one genre.
+router.get("/genre/:id/history", requireStaff, history_controller.genre_history);
 
 // GET request for one Genre.
 router.get("/genre/:id", genre_controller.genre_detail);
@@ -89,50 +148,333 @@ router.get("/genre/:id", genre_controller.genre_detail);
 // GET request for list of all Genre.
 router.get("/genres", genre_controller.genre_list);
 
+// GET request to export the (filtered) list as CSV or JSON.
+router.get("/genres/export", export_controller.genre_export);
+
+/// SERIES ROUTES ///
+
+// GET request for creating a Series. NOTE This must come before route that displays Series (uses id).
+router.get("/series/create", requireStaff, series_controller.series_create_get);
+
+// POST request for creating Series.
+router.post("/series/create", requireStaff, series_controller.series_create_post);
+
+// GET request to delete Series.
+router.get("/series/:id/delete", requireStaff, series_controller.series_delete_get);
+
+// POST request to delete Series.
+router.post("/series/:id/delete", requireStaff, series_controller.series_delete_post);
+
+// GET request to update Series.
+router.get("/series/:id/update", requireStaff, series_controller.series_update_get);
+
+// POST request to update Series.
+router.post("/series/:id/update", requireStaff, series_controller.series_update_post);
+
+// GET request for the change history of one series.
+router.get("/series/:id/history", requireStaff, history_controller.series_history);
+
+// GET request for one Series.
+router.get("/series/:id", series_controller.series_detail);
+
+// GET request for list of all Series.
+router.get("/series", series_controller.series_list);
+
+/// PUBLISHER ROUTES ///
+
+// GET request for creating a Publisher. NOTE This must come before route that displays Publisher (uses id).
+router.get("/publisher/create", requireStaff, publisher_controller.publisher_create_get);
+
+// POST request for creating Publisher.
+router.post("/publisher/create", requireStaff, publisher_controller.publisher_create_post);
+
+// GET request to delete Publisher.
+router.get("/publisher/:id/delete", requireStaff, publisher_controller.publisher_delete_get);
+
+// POST request to delete Publisher.
+router.post("/publisher/:id/delete", requireStaff, publisher_controller.publisher_delete_post);
+
+// GET request to update Publisher.
+router.get("/publisher/:id/update", requireStaff, publisher_controller.publisher_update_get);
+
+// POST request to update Publisher.
+router.post("/publisher/:id/update", requireStaff, publisher_controller.publisher_update_post);
+
+// GET request for the change history of one publisher.
+router.get("/publisher/:id/history", requireStaff, history_controller.publisher_history);
+
+// GET request for one Publisher.
+router.get("/publisher/:id", publisher_controller.publisher_detail);
+
+// GET request for list of all Publishers.
+router.get("/publishers", publisher_controller.publisher_list);
+
+/// EDITION ROUTES ///
+
+// GET request for adding an edition to a Book.
+router.get("/book/:id/edition/create", requireStaff, edition_controller.edition_create_get);
+
+// POST request for adding an edition to a Book.
+router.post("/book/:id/edition/create", requireStaff, edition_controller.edition_create_post);
+
+// GET request to delete Edition.
+router.get("/edition/:id/delete", requireStaff, edition_controller.edition_delete_get);
+
+// POST request to delete Edition.
+router.post("/edition/:id/delete", requireStaff, edition_controller.edition_delete_post);
+
+// GET request to update Edition.
+router.get("/edition/:id/update", requireStaff, edition_controller.edition_update_get);
+
+// POST request to update Edition.
+router.post("/edition/:id/update", requireStaff, edition_controller.edition_update_post);
+
+// GET request for the change history of one edition.
+router.get("/edition/:id/history", requireStaff, history_controller.edition_history);
+
+// GET request for one Edition.
+router.get("/edition/:id", edition_controller.edition_detail);
+
 /// BOOKINSTANCE ROUTES ///
 
 // GET request for creating a BookInstance. NOTE This must come before route that displays BookInstance (uses id).
 router.get(
-  "/bookinstance/create",
+  "/bookinstance/create", requireStaff,
   book_instance_controller.bookinstance_create_get
 );
 
 // POST request for creating BookInstance.
 router.post(
-  "/bookinstance/create",
+  "/bookinstance/create", requireStaff,
   book_instance_controller.bookinstance_create_post
 );
 
 // GET request to delete BookInstance.
 router.get(
-  "/bookinstance/:id/delete",
+  "/bookinstance/:id/delete", requireStaff,
   book_instance_controller.bookinstance_delete_get
 );
 
 // POST request to delete BookInstance.
 router.post(
-  "/bookinstance/:id/delete",
+  "/bookinstance/:id/delete", requireStaff,
   book_instance_controller.bookinstance_delete_post
 );
 
 // GET request to update BookInstance.
 router.get(
-  "/bookinstance/:id/update",
+  "/bookinstance/:id/update", requireStaff,
   book_instance_controller.bookinstance_update_get
 );
 
 // POST request to update BookInstance.
 router.post(
-  "/bookinstance/:id/update",
+  "/bookinstance/:id/update", requireStaff,
   book_instance_controller.bookinstance_update_post
 );
 
+// GET request for the change history of one bookinstance.
+router.get("/bookinstance/:id/history", requireStaff, history_controller.bookinstance_history);
+
 // GET request for one BookInstance.
 router.get("/bookinstance/:id", book_instance_controller.bookinstance_detail);
 
 // GET request for list of all BookInstance.
 router.get("/bookinstances", book_instance_controller.bookinstance_list);
 
+// GET request to export the (filtered) list as CSV or JSON.
+router.get("/bookinstances/export", export_controller.bookinstance_export);
+
+// GET request for a PDF of labels for the picked (or filtered) copies.
+router.get("/bookinstances/labels", requireStaff, book_instance_controller.bookinstance_labels);
+
+// GET request to find a copy by its scanned barcode.
+router.get("/scan", requireStaff, book_instance_controller.bookinstance_scan);
+
+/// LOAN ROUTES ///
+
+// GET request for the checkout form of a BookInstance.
+router.get(
+  "/bookinstance/:id/checkout",
+  requireStaff,
+  loan_controller.checkout_get
+);
+
+// POST request to lend a BookInstance to a patron.
+router.post(
+  "/bookinstance/:id/checkout",
+  requireStaff,
+  loan_controller.checkout_post
+);
+
+// POST request to return a BookInstance.
+router.post(
+  "/bookinstance/:id/return",
+  requireStaff,
+  loan_controller.checkin_post
+);
+
+// POST request to renew a Loan.
+router.post("/loan/:id/renew", requireStaff, loan_controller.renew_post);
+
+// GET request for list of all current Loans.
+router.get("/loans", requireStaff, loan_controller.loan_list);
+
+/// HOLD ROUTES ///
+
+// POST request to place a hold on a Book.
+router.post("/book/:id/hold", requireLogin, hold_controller.hold_create_post);
+
+// POST request to cancel a Hold.
+router.post("/hold/:id/cancel", requireLogin, hold_controller.hold_cancel_post);
+
+// GET request for list of all open Holds.
+router.get("/holds", requireStaff, hold_controller.hold_list);
+
+/// LOAN POLICY ROUTES ///
+
+// GET request for the list of loan policies.
+router.get("/loanpolicies", requireStaff, loan_policy_controller.loanpolicy_list);
+
+// GET request for creating a loan policy.
+router.get("/loanpolicy/create", requireStaff, loan_policy_controller.loanpolicy_create_get);
+
+// POST request for creating a loan policy.
+router.post("/loanpolicy/create", requireStaff, loan_policy_controller.loanpolicy_create_post);
+
+// GET request to delete a loan policy.
+router.get("/loanpolicy/:id/delete", requireStaff, loan_policy_controller.loanpolicy_delete_get);
+
+// POST request to delete a loan policy.
+router.post("/loanpolicy/:id/delete", requireStaff, loan_policy_controller.loanpolicy_delete_post);
+
+// GET request to update a loan policy.
+router.get("/loanpolicy/:id/update", requireStaff, loan_policy_controller.loanpolicy_update_get);
+
+// POST request to update a loan policy.
+router.post("/loanpolicy/:id/update", requireStaff, loan_policy_controller.loanpolicy_update_post);
+
+/// FINE ROUTES ///
+
+// GET request for the fines and overdues dashboard.
+router.get("/fines", requireStaff, fine_controller.fine_dashboard);
+
+// GET request for one patron's fines ledger.
+router.get("/fines/:id", requireStaff, fine_controller.fine_ledger);
+
+// POST request to record a payment or waiver for a patron.
+router.post("/fines/:id", requireStaff, fine_controller.fine_credit_post);
+
+/// DASHBOARD ROUTES ///
+
+// GET request for the library dashboard, for the range in ?from=&to=.
+router.get("/dashboard", requireStaff, dashboard_controller.dashboard_get);
+
+// GET request to download one dashboard widget as CSV.
+router.get("/dashboard/:widget/export", requireStaff, dashboard_controller.dashboard_export);
+
+/// BRANCH ROUTES ///
+
+// GET request for the list of branches.
+router.get("/branches", branch_controller.branch_list);
+
+// GET request for creating a branch. NOTE This must come before route for id (i.e. display branch).
+router.get("/branch/create", requireStaff, branch_controller.branch_create_get);
+
+// POST request for creating a branch.
+router.post("/branch/create", requireStaff, branch_controller.branch_create_post);
+
+// GET request to delete a branch.
+router.get("/branch/:id/delete", requireStaff, branch_controller.branch_delete_get);
+
+// POST request to delete a branch.
+router.post("/branch/:id/delete", requireStaff, branch_controller.branch_delete_post);
+
+// GET request to update a branch.
+router.get("/branch/:id/update", requireStaff, branch_controller.branch_update_get);
+
+// POST request to update a branch.
+router.post("/branch/:id/update", requireStaff, branch_controller.branch_update_post);
+
+// GET request for one branch.
+router.get("/branch/:id", branch_controller.branch_detail);
+
+/// TRANSFER ROUTES ///
+
+// GET request for the transfers in transit.
+router.get("/transfers", requireStaff, transfer_controller.transfer_list);
+
+// POST request to send a copy to another branch.
+router.post("/bookinstance/:id/transfer", requireStaff, transfer_controller.transfer_send_post);
+
+// POST request to receive a transfer at its branch.
+router.post("/transfer/:id/receive", requireStaff, transfer_controller.transfer_receive_post);
+
+// POST request to cancel a transfer.
+router.post("/transfer/:id/cancel", requireStaff, transfer_controller.transfer_cancel_post);
+
+/// STOCKTAKE ROUTES ///
+
+// GET request for the list of stocktakes.
+router.get("/stocktakes", requireStaff, stocktake_controller.stocktake_list);
+
+// GET request for starting a stocktake. NOTE This must come before route for id (i.e. display stocktake).
+router.get("/stocktake/create", requireStaff, stocktake_controller.stocktake_create_get);
+
+// POST request for starting a stocktake.
+router.post("/stocktake/create", requireStaff, stocktake_controller.stocktake_create_post);
+
+// GET request for one stocktake, its scans or its report.
+router.get("/stocktake/:id", requireStaff, stocktake_controller.stocktake_detail);
+
+// POST request to add scanned codes to a stocktake.
+router.post("/stocktake/:id/scan", requireStaff, stocktake_controller.stocktake_scan_post);
+
+// POST request to close a stocktake.
+router.post("/stocktake/:id/close", requireStaff, stocktake_controller.stocktake_close_post);
+
+// POST request to apply corrections from a stocktake's report.
+router.post("/stocktake/:id/correct", requireStaff, stocktake_controller.stocktake_correct_post);
+
+/// EMAIL ROUTES ///
+
+// GET request for the email send log.
+router.get("/notifications", requireStaff, notification_controller.notification_list);
+
+// GET request for one email.
+router.get("/notification/:id", requireStaff, notification_controller.notification_detail);
+
+// POST request to send a failed email again.
+router.post("/notification/:id/retry", requireStaff, notification_controller.notification_retry_post);
+
+/// IMPORT ROUTES ///
+
+// GET request for the CSV import form.
+router.get("/import", requireStaff, import_controller.import_get);
+
+// POST request to upload a CSV file and preview the import.
+router.post("/import", requireStaff, import_controller.import_preview_post);
+
+// POST request to confirm the previewed import.
+router.post("/import/commit", requireStaff, import_controller.import_commit_post);
+
+/// HISTORY ROUTES ///
+
+// POST request to restore the version saved in a history entry.
+router.post("/history/:id/restore", requireStaff, history_controller.history_restore_post);
+
+/// TRASH ROUTES ///
+
+// GET request for everything in the trash.
+router.get("/trash", requireStaff, trash_controller.trash_list);
+
+// POST request to restore a book, author, genre, copy, series, publisher or
+// edition from the trash.
+router.post("/trash/:type/:id/restore", requireStaff, trash_controller.trash_restore_post);
+
+// POST request to purge one item from the trash without waiting. Admins only.
+router.post("/trash/:type/:id/purge", requireRole('admin'), trash_controller.trash_purge_post);
+
 // Finally, export the router
 module.exports = router;
 
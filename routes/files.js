@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+
+const book_files_controller = require('../controllers/bookFilesController');
+
+// GET request for a stored cover image or thumbnail.
+router.get('/:folder/:name', book_files_controller.file_get);
+
+module.exports = router;
@@ -1,13 +1,52 @@
 var express = require('express');
 var router = express.Router();
 
-/* GET users listing. */
-router.get('/', function(req, res, next) {
-  res.send('respond with a resource');
-});
-
-router.get('/cool', (req, res, next) => {
-  res.render('cool', {title: 'Cool'});
-})
+const user_controller = require('../controllers/userController');
+const account_controller = require('../controllers/accountController');
+const { requireLogin, requireRole, requireStaff } = require('../middleware/auth');
+
+/* GET users listing (staff only). */
+router.get('/', requireStaff, user_controller.user_list);
+
+// POST request to change a user's role (admins only).
+router.post('/:id/role', requireRole('admin'), user_controller.user_role_post);
+
+// POST request to change a patron's category, which picks their loan policy.
+router.post('/:id/category', requireStaff, user_controller.user_category_post);
+
+// GET request for the signup form
+router.get('/signup', user_controller.signup_get);
+
+// POST request for creating an account
+router.post('/signup', user_controller.signup_post);
+
+// GET request for the login form
+router.get('/login', user_controller.login_get);
+
+// POST request for logging in
+router.post('/login', user_controller.login_post);
+
+// POST request for logging out
+router.post('/logout', user_controller.logout_post);
+
+/// MY ACCOUNT ///
+
+// GET request for the signed in patron's loans, holds and fines.
+router.get('/account', requireLogin, account_controller.account_get);
+
+// GET request for the signed in patron's past loans.
+router.get('/account/history', requireLogin, account_controller.account_history);
+
+// POST request to renew one of the patron's loans.
+router.post('/account/loans/:id/renew', requireLogin, account_controller.account_renew_post);
+
+// POST request to cancel one of the patron's holds.
+router.post('/account/holds/:id/cancel', requireLogin, account_controller.account_hold_cancel_post);
+
+// GET request for the contact details and notifications form.
+router.get('/account/update', requireLogin, account_controller.account_update_get);
+
+// POST request to save contact details and notification settings.
+router.post('/account/update', requireLogin, account_controller.account_update_post);
 
 module.exports = router;
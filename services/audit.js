@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const AuditEntry = require('../models/AuditEntry.js');
+const validator = require('validator');
+const { DateTime } = require('luxon');
+const { serviceError } = require('./errors');
+const storage = require('./storage');
+const debug = require('debug')('Audit');
+
+// Change history for the catalog. The controllers call record() after every
+// create, update and delete, passing the document as it was before and as it
+// is after (either can be null). Each entry keeps a diff for display and a
+// full snapshot, so any version can be restored later.
+
+// Fields a copy gets from circulation and transfers, not from editing.
+// Restoring an old version of a copy never touches them.
+const CIRCULATION_FIELDS = ['status', 'due_back', 'current_branch'];
+
+const snapshotOf = (doc) => doc.toObject({ depopulate: true, virtuals: false, versionKey: false });
+
+// ObjectIds and Dates compare by their JSON form
+const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// The fields that differ between two snapshots.
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete('_id');
+
+  const changes = [];
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (!same(from, to)) changes.push({ field, before: from, after: to });
+  }
+  return changes;
+};
+
+exports.diff = diff;
+
+// Add an entry for a change to a catalog document. Updates and restores that
+// didn't change anything aren't recorded.
+exports.record = async (action, { before = null, after = null, actor = null, restoredFrom } = {}) => {
+  const doc = after || before;
+  if (!doc) return null;
+  const beforeSnapshot = before ? snapshotOf(before) : null;
+  const afterSnapshot = after ? snapshotOf(after) : null;
+  const changes = diff(beforeSnapshot, afterSnapshot);
+
+  if (['update', 'restore'].includes(action) && changes.length === 0) return null;
+
+  const entry = await AuditEntry.create({
+    entity_type: doc.constructor.modelName,
+    entity: doc._id,
+    action,
+    actor: actor ? actor._id : null,
+    changes,
+    snapshot: afterSnapshot || beforeSnapshot,
+    restored_from: restoredFrom,
+  });
+
+  debug(`${action} ${entry.entity_type} ${entry.entity}`);
+  return entry;
+};
+
+// The name of each kind of audited document. Works on a document or on a
+// plain snapshot of one.
+const labels = {
+  Book: (doc) => doc.title,
+  Author: (doc) => `${doc.family_name}, ${doc.first_name}`,
+  Genre: (doc) => doc.name,
+  // older snapshots still have the free-text imprint
+  BookInstance: (doc) => {
+    if (doc.barcode) return `Copy ${doc.barcode}`;
+    return doc.imprint ? `${doc.imprint} (${doc._id})` : `Copy ${doc._id}`;
+  },
+  Series: (doc) => doc.name,
+  Publisher: (doc) => doc.name,
+  Edition: (doc) => `${[doc.year, doc.format, 'edition'].filter(Boolean).join(' ')} (${doc._id})`,
+};
+
+exports.labelFor = (entityType, doc) => labels[entityType](doc);
+
+// Fields holding references, and what they refer to. Book.contributors holds
+// { author, role } pairs.
+const references = {
+  author: 'Author',
+  contributors: 'Author',
+  genre: 'Genre',
+  book: 'Book',
+  series: 'Series',
+  publisher: 'Publisher',
+  edition: 'Edition',
+};
+
+const referencedId = (value) => (value && value.author ? value.author : value);
+
+// Names for every referenced id in the changes, so they show
+// "Tolkien, J. R. R." instead of an ObjectId.
+const referenceLabels = async (changes) => {
+  const idsByModel = {};
+  for (const change of changes) {
+    const model = references[change.field];
+    if (!model) continue;
+    const ids = [].concat(change.before || [], change.after || []).map(referencedId);
+    idsByModel[model] = (idsByModel[model] || []).concat(ids);
+  }
+
+  const names = new Map();
+  for (const [model, ids] of Object.entries(idsByModel)) {
+    const docs = await mongoose.model(model).find({ _id: { $in: ids } }).setOptions({ withDeleted: true }).exec();
+    for (const doc of docs) names.set(doc._id.toString(), labels[model](doc));
+  }
+  return names;
+};
+
+// A stored value as text for a diff table. Text is stored escaped, the
+// views escape it again, so it is unescaped here.
+const display = (value, names) => {
+  if (value === undefined || value === null || value === '') return '(none)';
+  if (Array.isArray(value)) return value.length ? value.map((v) => display(v, names)).join('; ') : '(none)';
+  if (value instanceof Date) return DateTime.fromJSDate(value).toISODate();
+  if (value instanceof mongoose.Types.ObjectId) {
+    return validator.unescape(names.get(value.toString()) || value.toString());
+  }
+  if (typeof value === 'object') {
+    // contributors, attachments and covers
+    if (value.author) return `${display(value.author, names)} (${value.role})`;
+    return validator.unescape(String(value.filename || value.key || JSON.stringify(value)));
+  }
+  return validator.unescape(String(value));
+};
+
+// Lists of changes (from diff() or entries) as text: [{ field, before, after }]
+// for each list.
+exports.describeChanges = async (changeLists) => {
+  const names = await referenceLabels(changeLists.flat());
+  return changeLists.map((changes) => changes.map((change) => ({
+    field: change.field,
+    before: display(change.before, names),
+    after: display(change.after, names),
+  })));
+};
+
+// What to show when an edit was made against an older version of a document
+// (see models/plugins/versioned.js): the fields where the saved version
+// differs from the edit, as text with before = saved and after = the edit,
+// and the entry for the last save.
+exports.conflictWith = async (current, edited, fields) => {
+  const pick = (doc) => {
+    const snapshot = snapshotOf(doc);
+    return Object.fromEntries(fields.map((field) => [field, snapshot[field]]));
+  };
+  const [[changes], lastChange] = await Promise.all([
+    exports.describeChanges([diff(pick(current), pick(edited))]),
+    AuditEntry.findOne({ entity_type: current.constructor.modelName, entity: current._id })
+      .sort({ at: -1, _id: -1 })
+      .populate('actor', 'username')
+      .exec(),
+  ]);
+  return { changes, last_change: lastChange };
+};
+
+// Every entry for one document, newest first.
+exports.historyFor = (entityType, id) => {
+  return AuditEntry.find({ entity_type: entityType, entity: id })
+    .sort({ at: -1, _id: -1 })
+    .populate('actor', 'username')
+    .exec();
+};
+
+// The model a schema path refers to, if any: a plain reference or an array
+// of them.
+const refOf = (schemaType) => schemaType.options.ref ||
+  (schemaType.caster && schemaType.caster.options && schemaType.caster.options.ref);
+
+// Every reference in a snapshot as [{ field, ref, ids }], including those
+// inside arrays of subdocuments such as Book.contributors.
+const referencesIn = (schema, snapshot) => {
+  const references = [];
+
+  for (const [field, schemaType] of Object.entries(schema.paths)) {
+    const value = snapshot[field];
+    if (field === 'deleted_by' || value === undefined || value === null) continue;
+
+    if (schemaType.schema && Array.isArray(value)) {
+      for (const [subField, subType] of Object.entries(schemaType.schema.paths)) {
+        const ref = refOf(subType);
+        const ids = value.map((item) => item[subField]).filter(Boolean);
+        if (ref && ids.length) references.push({ field: subField, ref, ids });
+      }
+    } else if (refOf(schemaType)) {
+      references.push({ field, ref: refOf(schemaType), ids: [].concat(value) });
+    }
+  }
+  return references;
+};
+
+// References in a snapshot that point at documents which are in the trash or
+// gone for good, as [{ field, model, id, trashed }].
+const missingReferences = async (model, snapshot) => {
+  const missing = [];
+
+  for (const { field, ref, ids } of referencesIn(model.schema, snapshot)) {
+    const found = await mongoose.model(ref)
+      .find({ _id: { $in: ids } }, 'deleted_at')
+      .setOptions({ withDeleted: true })
+      .exec();
+    const byId = new Map(found.map((doc) => [doc._id.toString(), doc]));
+
+    for (const id of ids) {
+      const doc = byId.get(id.toString());
+      // a book's main author is also one of its contributors, say it once
+      const listed = missing.some((entry) => entry.model === ref && entry.id.toString() === id.toString());
+      if ((!doc || doc.deleted_at) && !listed) missing.push({ field, model: ref, id, trashed: Boolean(doc) });
+    }
+  }
+  return missing;
+};
+
+exports.missingReferences = missingReferences;
+
+// Say what has to be restored first, with links. Something that was purged
+// can still come back from its history.
+const explainMissing = (missing) => {
+  return missing.map(({ field, model, id, trashed }) => {
+    const history = `/catalog/${model.toLowerCase()}/${id}/history`;
+    return trashed
+      ? `Its ${field} (${model} ${id}) is in the <a href="/catalog/trash">trash</a>. Restore it first.`
+      : `Its ${field} (${model} ${id}) was purged permanently. ` +
+        `Restore an earlier version of it from its <a href="${history}">history</a> first.`;
+  }).join(' ');
+};
+
+exports.explainMissing = explainMissing;
+
+// Put a document back the way it was in an entry's snapshot: an update for a
+// document that still exists, a re-create for one that was purged. The
+// restore is recorded as an entry of its own.
+exports.restoreVersion = async (entryId, actor) => {
+  const entry = await AuditEntry.findById(entryId).exec();
+  if (entry === null) throw serviceError(404, 'History entry not found');
+
+  const model = mongoose.model(entry.entity_type);
+  const snapshot = { ...entry.snapshot };
+  // whatever version is picked, it comes back live
+  delete snapshot.deleted_at;
+  delete snapshot.deleted_by;
+
+  const missing = await missingReferences(model, snapshot);
+  if (missing.length) {
+    throw serviceError(409, `This version can't be restored. ${explainMissing(missing)}`);
+  }
+
+  // a purged book's files went with it, so it comes back without them
+  if (entry.entity_type === 'Book') {
+    if (snapshot.cover && (await storage.stat(snapshot.cover.key)) === null) snapshot.cover = null;
+    const attachments = [];
+    for (const attachment of snapshot.attachments || []) {
+      if ((await storage.stat(attachment.key)) !== null) attachments.push(attachment);
+    }
+    snapshot.attachments = attachments;
+  }
+
+  // a document in the trash is updated in place, which also takes it out
+  const current = await model.findById(entry.entity).setOptions({ withDeleted: true }).exec();
+  const before = current ? model.hydrate(current.toObject()) : null;
+
+  let doc = current;
+  if (doc === null) {
+    if (entry.entity_type === 'BookInstance') {
+      // a deleted copy comes back out of circulation until someone checks it
+      for (const field of CIRCULATION_FIELDS) delete snapshot[field];
+    }
+    doc = new model(snapshot);
+  } else {
+    for (const field of Object.keys(model.schema.paths)) {
+      if (field === '_id' || field === '__v') continue;
+      if (entry.entity_type === 'BookInstance' && CIRCULATION_FIELDS.includes(field)) continue;
+      // the barcode is on the copy's label, an old version can't change it
+      if (entry.entity_type === 'BookInstance' && field === 'barcode') continue;
+      doc.set(field, snapshot[field]);
+    }
+  }
+
+  try {
+    await doc.save();
+  } catch (err) {
+    if (err.code === 11000) {
+      throw serviceError(409, 'This version clashes with another record (for example the same ISBN), so it cannot be restored.');
+    }
+    if (err.name === 'ValidationError') {
+      // versions saved before a field became required, e.g. copies from
+      // before editions
+      throw serviceError(409, `This version is missing details the catalog now needs, so it cannot be restored: ${Object.keys(err.errors).join(', ')}.`);
+    }
+    throw err;
+  }
+
+  await exports.record('restore', { before, after: doc, actor, restoredFrom: entry._id });
+  return doc;
+};
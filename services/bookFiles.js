@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const Book = require('../models/Book.js');
+const AuditEntry = require('../models/AuditEntry.js');
+const storage = require('./storage');
+const config = require('../config/storage');
+const audit = require('./audit');
+const { serviceError } = require('./errors');
+
+// Cover images and attachments for books. The files go to the storage
+// adapter under fresh keys and the book records the keys. Replaced or removed
+// files are left in storage, so older versions in a book's history still
+// point at real files, but they are only served while a book uses them.
+// Purging a book from the trash deletes all its files.
+
+// cover formats we accept, by sharp's name for them
+const COVER_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' },
+};
+
+// attachment types we accept, recognised by their first bytes rather than
+// by what the browser claims
+const ATTACHMENT_TYPES = [
+  { contentType: 'application/pdf', extension: 'pdf', magic: Buffer.from('%PDF-') },
+  { contentType: 'application/epub+zip', extension: 'epub', magic: Buffer.from('PK\x03\x04') },
+];
+
+exports.CONTENT_TYPES = {
+  ...Object.fromEntries(Object.values(COVER_FORMATS).map((type) => [type.extension, type.contentType])),
+  ...Object.fromEntries(ATTACHMENT_TYPES.map((type) => [type.extension, type.contentType])),
+};
+
+const newKey = (folder, extension) => `${folder}/${crypto.randomUUID()}.${extension}`;
+
+// keep something readable for the download name, without paths or
+// characters that would break a header
+const cleanFilename = (name) => path.basename(name || 'attachment')
+  .replace(/[\x00-\x1f\x7f"\\]/g, '')
+  .slice(-200) || 'attachment';
+
+const saveWithHistory = async (book, change, actor) => {
+  const before = Book.hydrate(book.toObject());
+  change();
+  await book.save();
+  await audit.record('update', { before, after: book, actor });
+  return book;
+};
+
+// Store an uploaded image as the book's cover, with a thumbnail for lists.
+exports.setCover = async (book, buffer, actor) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    metadata = {};
+  }
+
+  const format = COVER_FORMATS[metadata.format];
+  if (!format) throw serviceError(422, 'The cover must be a JPEG, PNG or WebP image');
+
+  const thumbnail = await sharp(buffer)
+    .rotate() // follow the EXIF orientation of phone photos
+    .resize({ width: config.thumbnailWidth, withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+
+  const key = newKey('covers', format.extension);
+  const thumbnailKey = newKey('thumbnails', 'jpg');
+  await storage.put(key, buffer);
+  await storage.put(thumbnailKey, thumbnail);
+
+  return saveWithHistory(book, () => {
+    book.cover = {
+      key,
+      thumbnail_key: thumbnailKey,
+      content_type: format.contentType,
+      width: metadata.width,
+      height: metadata.height,
+    };
+  }, actor);
+};
+
+exports.removeCover = (book, actor) => saveWithHistory(book, () => {
+  book.cover = null;
+}, actor);
+
+// Store an uploaded file as an attachment of the book.
+exports.addAttachment = async (book, { buffer, originalname }, actor) => {
+  const type = ATTACHMENT_TYPES.find((candidate) => buffer.subarray(0, candidate.magic.length).equals(candidate.magic));
+  if (!type) throw serviceError(422, 'Attachments must be PDF or EPUB files');
+
+  const key = newKey('attachments', type.extension);
+  await storage.put(key, buffer);
+
+  return saveWithHistory(book, () => {
+    book.attachments.push({
+      key,
+      filename: cleanFilename(originalname),
+      content_type: type.contentType,
+      size: buffer.length,
+    });
+  }, actor);
+};
+
+exports.removeAttachment = async (book, attachmentId, actor) => {
+  if (!book.attachments.id(attachmentId)) throw serviceError(404, 'Attachment not found');
+
+  return saveWithHistory(book, () => {
+    book.attachments.pull(attachmentId);
+  }, actor);
+};
+
+// The storage keys a book, or a snapshot of one, refers to.
+const keysOf = (book) => [
+  ...(book.cover ? [book.cover.key, book.cover.thumbnail_key] : []),
+  ...(book.attachments || []).map((attachment) => attachment.key),
+];
+
+// Delete the files of a book that is being purged, along with those only
+// older versions of it refer to.
+exports.removeFilesOf = async (book) => {
+  const entries = await AuditEntry.find(
+    { entity_type: 'Book', entity: book._id },
+    'snapshot.cover snapshot.attachments'
+  ).lean().exec();
+
+  const keys = new Set([book, ...entries.map((entry) => entry.snapshot)].flatMap(keysOf));
+  for (const key of keys) {
+    await storage.remove(key);
+  }
+  return keys.size;
+};
+
+// Whether a live book uses a cover or thumbnail.
+exports.isCoverInUse = (key) => {
+  return Book.exists({ $or: [{ 'cover.key': key }, { 'cover.thumbnail_key': key }] });
+};
+
+// Send a stored file with headers that let browsers and proxies cache it.
+// Keys are never reused, so covers can be cached for good; attachments are
+// only cached for a day, as they are served under the attachment's URL.
+exports.sendFile = async (req, res, next, key, { contentType, filename, immutable }) => {
+  const stats = await storage.stat(key);
+  if (stats === null) {
+    const err = new Error('File not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  const etag = `"${path.basename(key)}"`;
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': immutable ? 'public, max-age=31536000, immutable' : 'public, max-age=86400',
+    ETag: etag,
+    'Last-Modified': stats.modified.toUTCString(),
+  });
+  if (filename) res.attachment(filename);
+
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  res.set('Content-Length', stats.size);
+  storage.createReadStream(key).on('error', next).pipe(res);
+};
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch.js');
+const BookInstance = require('../models/BookInstance.js');
+
+// Where copies are, branch by branch.
+
+// How many copies each branch has now, by status, for the copies matching
+// `match`: { branchId: { Available: 3, Loaned: 1 } }. Copies with no branch
+// are under "null". The match goes to aggregate() as is, so ids in it must
+// be ObjectIds.
+exports.copyCounts = async (match = {}) => {
+  const rows = await BookInstance.aggregate([
+    { $match: match },
+    { $group: { _id: { branch: '$current_branch', status: '$status' }, copies: { $sum: 1 } } },
+  ]);
+  const counts = {};
+  for (const row of rows) {
+    const branch = String(row._id.branch);
+    counts[branch] = counts[branch] || {};
+    counts[branch][row._id.status] = row.copies;
+  }
+  return counts;
+};
+
+// A book's copies branch by branch, for its page: [{ branch, available,
+// total }] for each branch with a copy, then copies with no branch.
+exports.availabilityFor = async (bookId) => {
+  // aggregate() doesn't cast, so make sure this is an ObjectId
+  const book = new mongoose.Types.ObjectId(bookId);
+
+  const [counts, branches] = await Promise.all([
+    exports.copyCounts({ book: book }),
+    Branch.find({}, 'name').sort({ name: 1 }).exec(),
+  ]);
+
+  const row = (branch, byStatus) => ({
+    branch,
+    available: byStatus.Available || 0,
+    total: Object.values(byStatus).reduce((sum, n) => sum + n, 0),
+  });
+
+  const rows = branches
+    .filter((branch) => counts[branch._id.toString()])
+    .map((branch) => row(branch, counts[branch._id.toString()]));
+  if (counts.null) rows.push(row(null, counts.null));
+  return rows;
+};
+
+// Every branch, for the branch pickers.
+exports.all = () => Branch.find({}, 'name shelf_locations').sort({ name: 1 }).exec();
+
+// Every branch, and the one picked with ?branch= (undefined when none is, or
+// it doesn't exist), for pages with a branch filter.
+exports.picked = async (branchId) => {
+  const allBranches = await exports.all();
+  return {
+    branches: allBranches,
+    branch: allBranches.find((branch) => branch._id.toString() === branchId),
+  };
+};
+
+// The books and editions with a copy at a branch now.
+exports.bookIdsAt = (branchId) => BookInstance.distinct('book', { current_branch: branchId }).exec();
+exports.editionIdsAt = (branchId) => BookInstance.distinct('edition', { current_branch: branchId }).exec();
@@ -0,0 +1,230 @@
+const { once } = require('events');
+const { stringify } = require('csv-stringify/sync');
+const validator = require('validator');
+const { DateTime } = require('luxon');
+const listings = require('./listings');
+const marc = require('../utils/marc');
+
+// Streaming exports of the list pages. Every format walks a cursor over the
+// list's filtered documents and writes as it goes, so even the full catalog
+// is never held in memory.
+
+// Text is stored HTML-escaped; exports hand out the original text.
+const text = (value) => (value ? validator.unescape(value) : '');
+
+const isoDate = (date) => (date ? DateTime.fromJSDate(date).toISODate() : '');
+
+// contributors that are still in the catalog, with populated authors
+const contributorsOf = (book) => book.contributors.filter((contributor) => contributor.author);
+
+// Columns and cursor options for each list. Book columns match the CSV
+// import (services/csvImport.js), so an export can be imported elsewhere;
+// the import reads the main author and ignores the full contributors list.
+const exporters = {
+  books: {
+    populate: ['author', 'contributors.author', 'genre', 'series'],
+    columns: ['id', 'title', 'summary', 'isbn', 'author_first_name', 'author_family_name', 'contributors', 'genres'],
+    row: (book) => ({
+      id: book._id.toString(),
+      title: text(book.title),
+      summary: text(book.summary),
+      isbn: book.isbn,
+      author_first_name: book.author ? text(book.author.first_name) : '',
+      author_family_name: book.author ? text(book.author.family_name) : '',
+      // "Family, First (role)" separated by ";"
+      contributors: contributorsOf(book)
+        .map((contributor) => `${text(contributor.author.name)} (${contributor.role})`)
+        .join(';'),
+      genres: book.genre.map((genre) => text(genre.name)).join(';'),
+    }),
+  },
+  authors: {
+    columns: ['id', 'first_name', 'family_name', 'date_of_birth', 'date_of_death'],
+    row: (author) => ({
+      id: author._id.toString(),
+      first_name: text(author.first_name),
+      family_name: text(author.family_name),
+      date_of_birth: isoDate(author.date_of_birth),
+      date_of_death: isoDate(author.date_of_death),
+    }),
+  },
+  genres: {
+    columns: ['id', 'name', 'parent_id', 'aliases'],
+    row: (genre) => ({
+      id: genre._id.toString(),
+      name: text(genre.name),
+      parent_id: genre.parent ? genre.parent._id.toString() : '',
+      aliases: genre.aliases.map(text).join(';'),
+    }),
+  },
+  bookinstances: {
+    populate: [
+      { path: 'book', select: 'title isbn' },
+      { path: 'edition', populate: { path: 'publisher' } },
+      { path: 'home_branch', select: 'name' },
+      { path: 'current_branch', select: 'name' },
+    ],
+    columns: ['id', 'barcode', 'book_id', 'book_title', 'isbn', 'edition_id', 'publisher', 'year', 'format', 'item_type', 'status', 'due_back', 'home_branch', 'current_branch', 'shelf_location'],
+    row: (copy) => ({
+      id: copy._id.toString(),
+      barcode: copy.barcode,
+      book_id: copy.book ? copy.book._id.toString() : '',
+      book_title: copy.book ? text(copy.book.title) : '',
+      isbn: copy.book ? copy.book.isbn : '',
+      edition_id: copy.edition ? copy.edition._id.toString() : '',
+      publisher: copy.edition && copy.edition.publisher ? text(copy.edition.publisher.name) : '',
+      year: copy.edition && copy.edition.year ? copy.edition.year : '',
+      format: copy.edition ? copy.edition.format : '',
+      item_type: copy.item_type,
+      status: copy.status,
+      due_back: isoDate(copy.due_back),
+      home_branch: copy.home_branch ? text(copy.home_branch.name) : '',
+      current_branch: copy.current_branch ? text(copy.current_branch.name) : '',
+      shelf_location: text(copy.shelf_location),
+    }),
+  },
+};
+
+// Personal name subfields for an author: name and, if known, dates.
+const nameSubfields = (author) => {
+  const subfields = [['a', `${text(author.family_name)}, ${text(author.first_name)}`]];
+  const born = author.date_of_birth ? author.date_of_birth.getUTCFullYear() : '';
+  const died = author.date_of_death ? author.date_of_death.getUTCFullYear() : '';
+  if (born || died) subfields.push(['d', `${born}-${died}`]);
+  return subfields;
+};
+
+// Build the MARC21 record for a book: ISBN (020), main author (100),
+// title (245), series statement (490), summary (520), one subject heading per
+// genre (650) and an added entry (700) with relator term for each other
+// contributor.
+const bookToMarc = (book) => {
+  const now = DateTime.now();
+  // 008: date entered, unknown dates, unknown place, undetermined language
+  const fixedData = `${now.toFormat('yyMMdd')}nuuuuuuuuxx ${' '.repeat(17)}und d`;
+
+  const dataFields = [{ tag: '020', ind1: ' ', ind2: ' ', subfields: [['a', book.isbn]] }];
+
+  if (book.author) {
+    dataFields.push({ tag: '100', ind1: '1', ind2: ' ', subfields: nameSubfields(book.author) });
+  }
+
+  dataFields.push({ tag: '245', ind1: book.author ? '1' : '0', ind2: '0', subfields: [['a', text(book.title)]] });
+  if (book.series) {
+    dataFields.push({
+      tag: '490',
+      ind1: '0',
+      ind2: ' ',
+      subfields: [['a', text(book.series.name)], ['v', String(book.series_number)]],
+    });
+  }
+  dataFields.push({ tag: '520', ind1: ' ', ind2: ' ', subfields: [['a', text(book.summary)]] });
+
+  for (const genre of book.genre) {
+    dataFields.push({ tag: '650', ind1: ' ', ind2: '4', subfields: [['a', text(genre.name)]] });
+  }
+
+  // the first contributor is the main author, already in 100
+  for (const contributor of book.contributors.slice(1).filter((contributor) => contributor.author)) {
+    dataFields.push({
+      tag: '700',
+      ind1: '1',
+      ind2: ' ',
+      subfields: [...nameSubfields(contributor.author), ['e', contributor.role]],
+    });
+  }
+
+  return {
+    leader: marc.DEFAULT_LEADER,
+    controlFields: [['001', book._id.toString()], ['005', now.toFormat('yyyyMMddHHmmss.S')], ['008', fixedData]],
+    dataFields,
+  };
+};
+
+// Content type, file extension and writer for each format. Each writer gets
+// `header`, `record(doc)` and `footer` chunks.
+const formats = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    writer: (exporter) => ({
+      header: stringify([exporter.columns]),
+      record: (doc) => stringify([exporter.row(doc)], { columns: exporter.columns }),
+      footer: '',
+    }),
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    writer: (exporter) => {
+      let first = true;
+      return {
+        header: '[\n',
+        record: (doc) => {
+          const chunk = (first ? '' : ',\n') + JSON.stringify(exporter.row(doc));
+          first = false;
+          return chunk;
+        },
+        footer: '\n]\n',
+      };
+    },
+  },
+  marc: {
+    booksOnly: true,
+    contentType: 'application/marc',
+    extension: 'mrc',
+    writer: () => ({ header: '', record: (book) => marc.toIso2709(bookToMarc(book)), footer: '' }),
+  },
+  marcxml: {
+    booksOnly: true,
+    contentType: 'application/marcxml+xml; charset=utf-8',
+    extension: 'xml',
+    writer: () => ({
+      header: marc.MARCXML_HEADER,
+      record: (book) => marc.toMarcXml(bookToMarc(book)),
+      footer: marc.MARCXML_FOOTER,
+    }),
+  },
+};
+
+// Whether a list can be exported in a format.
+exports.supports = (name, format) => {
+  return Boolean(exporters[name] && formats[format]) && (!formats[format].booksOnly || name === 'books');
+};
+
+exports.FORMATS = Object.keys(formats);
+
+// Stream a list, filtered by the same query string as its page, to res.
+exports.streamExport = async ({ name, format, query, res }) => {
+  const exporter = exporters[name];
+  const { contentType, extension, writer } = formats[format];
+  const output = writer(exporter);
+
+  res.set('Content-Type', contentType);
+  res.attachment(`${name}-${DateTime.now().toISODate()}.${extension}`);
+
+  // wait for the client to catch up instead of buffering the whole export,
+  // unless it goes away meanwhile: a closed response never drains
+  const write = async (chunk) => {
+    if (!chunk.length || res.write(chunk)) return;
+    const waiting = new AbortController();
+    try {
+      await Promise.race([
+        once(res, 'drain', { signal: waiting.signal }),
+        once(res, 'close', { signal: waiting.signal }),
+      ]);
+    } finally {
+      waiting.abort(); // drop the listener that lost
+    }
+  };
+
+  await write(output.header);
+  // returning from the loop closes the cursor, see listings.cursor
+  for await (const doc of listings.cursor(name, query, { populate: exporter.populate })) {
+    if (res.destroyed) return; // client went away
+    await write(output.record(doc));
+  }
+  if (res.destroyed) return;
+  await write(output.footer);
+  res.end();
+};
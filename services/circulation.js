@@ -0,0 +1,189 @@
+const BookInstance = require('../models/BookInstance.js');
+const Loan = require('../models/Loan.js');
+const User = require('../models/User.js');
+const holds = require('./holds');
+const fines = require('./fines');
+const copyStatus = require('./copyStatus');
+const loanPolicies = require('./loanPolicies');
+const { DateTime } = require('luxon');
+const debug = require('debug')('Circulation');
+const { serviceError } = require('./errors');
+
+const dueDateFrom = (date, terms) => {
+  return DateTime.fromJSDate(date).plus({ days: terms.loan_period_days }).toJSDate();
+};
+
+// Lend a copy to a patron, on the terms of the loan policy that matches them
+// (see services/loanPolicies.js). The copy's status is flipped to Loaned in a
+// single update, so two desks can't lend the same copy at once. A Reserved
+// copy can only go to the patron whose hold it was set aside for.
+exports.checkout = async ({ bookInstanceId, patronId, staffId }) => {
+  const [patron, copy, readyHold] = await Promise.all([
+    User.findById(patronId).exec(),
+    BookInstance.findById(bookInstanceId, 'book item_type').exec(),
+    holds.readyHoldForCopy(bookInstanceId),
+  ]);
+
+  if (patron === null) {
+    throw serviceError(404, 'Patron not found');
+  }
+
+  if (copy === null) {
+    throw serviceError(404, 'Book copy not found');
+  }
+
+  if (readyHold && readyHold.patron.toString() !== patron._id.toString()) {
+    throw serviceError(409, "This copy is set aside for another patron's hold");
+  }
+
+  const { max_loans, ...terms } = await loanPolicies.termsFor({ patron, copy });
+
+  const activeLoans = await Loan.countDocuments({ patron: patron._id, returned_at: null }).exec();
+  if (activeLoans >= max_loans) {
+    throw serviceError(409, `${patron.username} already has ${activeLoans} copies out, the limit is ${max_loans} (${terms.policy_name} loan policy)`);
+  }
+
+  const now = new Date();
+  const due = dueDateFrom(now, terms);
+
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: bookInstanceId, status: readyHold ? 'Reserved' : 'Available' },
+    { status: 'Loaned', due_back: due },
+    { new: true }
+  ).exec();
+
+  if (bookInstance === null) {
+    const exists = await BookInstance.exists({ _id: bookInstanceId });
+    throw exists
+      ? serviceError(409, 'This copy is not available for checkout')
+      : serviceError(404, 'Book copy not found');
+  }
+
+  await copyStatus.record({
+    bookInstanceId: bookInstance._id,
+    from: readyHold ? 'Reserved' : 'Available',
+    to: 'Loaned',
+    reason: `Checked out to ${patron.username}`,
+    changedBy: staffId,
+  });
+
+  const loan = new Loan({
+    book_instance: bookInstance._id,
+    patron: patron._id,
+    checked_out_by: staffId,
+    checked_out_at: now,
+    due_back: due,
+    terms,
+  });
+  await loan.save();
+
+  if (readyHold) {
+    await holds.fulfil(readyHold);
+  }
+
+  debug(`Checked out ${bookInstance._id} to ${patron.username}`);
+  return loan;
+};
+
+// Take a copy back in. Closes its open loan and makes the copy available,
+// or sets it aside for the next hold on its book.
+exports.checkin = async (bookInstanceId) => {
+  const loan = await Loan.findOneAndUpdate(
+    { book_instance: bookInstanceId, returned_at: null },
+    { returned_at: new Date() },
+    { new: true }
+  ).exec();
+
+  if (loan === null) {
+    throw serviceError(409, 'This copy is not on loan');
+  }
+
+  // charge any lateness now rather than waiting for the overdue job
+  await fines.accrueForLoan(loan, loan.returned_at);
+
+  const bookInstance = await BookInstance.findByIdAndUpdate(
+    bookInstanceId,
+    { status: 'Available', due_back: loan.returned_at },
+    { new: true }
+  ).exec();
+
+  // the loan is closed either way, but a copy deleted while it was out
+  // stays in the trash
+  if (bookInstance !== null) {
+    await copyStatus.record({ bookInstanceId, from: 'Loaned', to: 'Available', reason: 'Returned' });
+    await holds.assignCopy(bookInstance);
+  }
+
+  debug(`Checked in ${bookInstanceId}`);
+  return loan;
+};
+
+// Close the loan of a copy its patron lost. Lateness up to now is charged as
+// on a return; marking the copy Lost is up to the caller. Returns the loan,
+// or null when the copy wasn't on loan.
+exports.closeLostLoan = async (bookInstanceId) => {
+  const loan = await Loan.findOneAndUpdate(
+    { book_instance: bookInstanceId, returned_at: null },
+    { returned_at: new Date(), lost: true },
+    { new: true }
+  ).exec();
+
+  if (loan !== null) {
+    await fines.accrueForLoan(loan, loan.returned_at);
+    debug(`Closed loan ${loan._id}, the copy was lost`);
+  }
+  return loan;
+};
+
+// Whether a loan can be renewed again. Returns a reason when it can't.
+exports.renewalBlockedReason = (loan) => {
+  if (!loan.is_active) {
+    return 'This loan has already been returned';
+  }
+  if (loan.due_back < new Date()) {
+    return 'Overdue loans cannot be renewed, the copy has to be returned';
+  }
+  const { max_renewals } = loanPolicies.termsOf(loan);
+  if (loan.renewals >= max_renewals) {
+    return `This loan has reached the limit of ${max_renewals} renewals`;
+  }
+  return null;
+};
+
+// Extend an active loan by another loan period, counted from today. The
+// period is the one from the loan's own terms. Patrons may renew their own
+// loans, staff may renew any.
+exports.renew = async ({ loanId, user }) => {
+  const loan = await Loan.findById(loanId).exec();
+
+  if (loan === null) {
+    throw serviceError(404, 'Loan not found');
+  }
+
+  if (!user.is_staff && loan.patron.toString() !== user._id.toString()) {
+    throw serviceError(403, 'You can only renew your own loans');
+  }
+
+  const reason = exports.renewalBlockedReason(loan);
+  if (reason) {
+    throw serviceError(409, reason);
+  }
+
+  const due = dueDateFrom(new Date(), loanPolicies.termsOf(loan));
+
+  // only renew if nobody else renewed or returned it in the meantime
+  const renewed = await Loan.findOneAndUpdate(
+    { _id: loan._id, returned_at: null, renewals: loan.renewals },
+    { due_back: due, $inc: { renewals: 1 } },
+    { new: true }
+  ).exec();
+
+  if (renewed === null) {
+    throw serviceError(409, 'This loan changed while renewing, please try again');
+  }
+
+  await BookInstance.findByIdAndUpdate(loan.book_instance, { due_back: due }).exec();
+
+  debug(`Renewed loan ${loan._id} (${renewed.renewals}/${loanPolicies.termsOf(loan).max_renewals})`);
+  return renewed;
+};
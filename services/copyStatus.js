@@ -0,0 +1,33 @@
+const CopyStatusChange = require('../models/CopyStatusChange.js');
+const debug = require('debug')('CopyStatus');
+
+// The status history of copies. Whatever changes a copy's status records the
+// change here once it is made: the copy forms and API, circulation, holds,
+// transfers and stocktakes. Which changes are allowed is up to
+// BookInstance.canChangeStatus.
+
+// Record a change of a copy's status. Nothing is recorded when the status
+// stayed the same.
+exports.record = async ({ bookInstanceId, from = null, to, reason = '', changedBy = null }) => {
+  if (from === to) return null;
+
+  const change = await CopyStatusChange.create({
+    book_instance: bookInstanceId,
+    from,
+    to,
+    reason,
+    changed_by: changedBy,
+  });
+
+  debug(`Copy ${bookInstanceId}: ${from || 'new'} -> ${to}`);
+  return change;
+};
+
+// A copy's latest status changes, newest first.
+exports.historyFor = (bookInstanceId, limit) => {
+  return CopyStatusChange.find({ book_instance: bookInstanceId })
+    .sort({ changed_at: -1, _id: -1 })
+    .limit(limit)
+    .populate('changed_by', 'username')
+    .exec();
+};
@@ -0,0 +1,260 @@
+const Book = require('../models/Book.js');
+const Author = require('../models/Author.js');
+const Genre = require('../models/Genre.js');
+const BookInstance = require('../models/BookInstance.js');
+const Edition = require('../models/Edition.js');
+const Publisher = require('../models/Publisher.js');
+const { parse } = require('csv-parse/sync');
+const validator = require('validator');
+const { normalizeIsbn } = require('../utils/isbn');
+const { escapeRegExp } = require('../utils/regexp');
+const { parseImprint } = require('../utils/imprint');
+const audit = require('./audit');
+const copyStatus = require('./copyStatus');
+const holds = require('./holds');
+const debug = require('debug')('CsvImport');
+
+// Bulk import of books from CSV. One row per book, with a header row:
+//
+//   title, summary, isbn, author_first_name, author_family_name,
+//   genres, imprint, copies, status
+//
+// genres is a ";" separated list of genre names. Authors and genres are
+// matched by name (case-insensitive, genres by alias too) and created when
+// missing. A row whose ISBN is already in the catalog matches that book and
+// only adds copies.
+// imprint, copies (default 1 when an imprint is given) and status (Available,
+// Maintenance or On Order, default Available) describe the copies to create. The
+// imprint ("London Gollancz, 2014") names the publisher and year of the
+// copies' edition, which is matched or created like the authors are.
+//
+// Importing is two steps: planImport() works out what would happen to each
+// row without writing anything (the dry-run preview), commitImport() applies
+// a plan.
+
+const REQUIRED_COLUMNS = ['title', 'summary', 'isbn', 'author_first_name', 'author_family_name'];
+const COPY_STATUSES = BookInstance.INITIAL_STATUSES;
+const MAX_COPIES = 100;
+
+// Text is stored HTML-escaped, the same as the express-validator chains on
+// the forms do it.
+const clean = (value) => validator.escape((value || '').trim());
+
+const key = (...parts) => parts.map((part) => part.toLowerCase()).join('\u0000');
+
+// Parse CSV text into row objects keyed by (lower-cased) column name.
+exports.parseCsv = (text) => {
+  return parse(text, {
+    columns: (header) => header.map((column) => column.trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+  });
+};
+
+// Work out what importing the rows would do, without saving anything.
+// Each row of the plan says whether the book will be created or matched, or
+// why the row is rejected.
+exports.planImport = async (rows) => {
+  const missingColumns = rows.length
+    ? REQUIRED_COLUMNS.filter((column) => !(column in rows[0]))
+    : [];
+
+  if (missingColumns.length) {
+    return { rows: [], errors: [`Missing columns: ${missingColumns.join(', ')}`], counts: {} };
+  }
+
+  const [allAuthors, allGenres] = await Promise.all([
+    Author.find({}, 'first_name family_name').exec(),
+    Genre.find({}, 'name name_keys').exec(),
+  ]);
+
+  const authorsByName = new Map(allAuthors.map((author) => [key(author.first_name, author.family_name), author]));
+  // by name and by alias
+  const genresByName = new Map(allGenres.flatMap((genre) => genre.name_keys.map((nameKey) => [nameKey, genre])));
+  const isbnsInFile = new Map();
+
+  const isbns = rows.map((row) => normalizeIsbn(row.isbn)).filter(Boolean);
+  const existingBooks = await Book.find({ isbn: { $in: isbns } }, 'title isbn deleted_at')
+    .setOptions({ withDeleted: true })
+    .exec();
+  const booksByIsbn = new Map(existingBooks.map((book) => [book.isbn, book]));
+
+  const planned = rows.map((row, index) => {
+    // line numbers as seen in a spreadsheet, counting the header
+    const line = index + 2;
+    const errors = [];
+
+    const title = clean(row.title);
+    const summary = clean(row.summary);
+    const firstName = clean(row.author_first_name);
+    const familyName = clean(row.author_family_name);
+    const isbn = normalizeIsbn(row.isbn);
+
+    if (!title) errors.push('Title must not be empty');
+    if (!summary) errors.push('Summary must not be empty');
+    if (!firstName || !familyName) errors.push('Author first and family name must not be empty');
+    if (firstName.length > 100 || familyName.length > 100) errors.push('Author names must be at most 100 characters');
+    if (isbn === null) errors.push(`"${clean(row.isbn)}" is not a valid ISBN-10 or ISBN-13`);
+
+    const existingBook = isbn ? booksByIsbn.get(isbn) : undefined;
+    if (existingBook && existingBook.deleted_at) {
+      errors.push(`ISBN ${isbn} belongs to a book in the trash, restore it first`);
+    }
+
+    if (isbn && isbnsInFile.has(isbn)) {
+      errors.push(`ISBN ${isbn} is already used on line ${isbnsInFile.get(isbn)}`);
+    } else if (isbn) {
+      isbnsInFile.set(isbn, line);
+    }
+
+    const genreNames = (row.genres || '')
+      .split(';')
+      .map(clean)
+      .filter(Boolean);
+    for (const name of genreNames) {
+      if (name.length < 3 || name.length > 100) errors.push(`Genre "${name}" must be 3 to 100 characters`);
+    }
+
+    const imprint = clean(row.imprint);
+    let copies = row.copies ? Number(row.copies) : (imprint ? 1 : 0);
+    if (!Number.isInteger(copies) || copies < 0 || copies > MAX_COPIES) {
+      errors.push(`Copies must be a whole number from 0 to ${MAX_COPIES}`);
+      copies = 0;
+    }
+    if (copies > 0 && !imprint) errors.push('Imprint is required to create copies');
+
+    const status = row.status ? row.status.trim() : 'Available';
+    if (!COPY_STATUSES.includes(status)) errors.push(`Status must be one of ${COPY_STATUSES.join(', ')}`);
+
+    const existingAuthor = authorsByName.get(key(firstName, familyName));
+
+    return {
+      line,
+      action: errors.length ? 'reject' : (existingBook ? 'match' : 'create'),
+      errors,
+      book: existingBook
+        ? { _id: existingBook._id, title: existingBook.title, isbn }
+        : { title, summary, isbn },
+      author: {
+        first_name: firstName,
+        family_name: familyName,
+        action: existingAuthor ? 'match' : 'create',
+      },
+      genres: genreNames.map((name) => ({ name, action: genresByName.has(Genre.nameKey(name)) ? 'match' : 'create' })),
+      copies: { count: copies, imprint, status },
+    };
+  });
+
+  const counts = { create: 0, match: 0, reject: 0 };
+  for (const row of planned) counts[row.action]++;
+
+  return { rows: planned, errors: [], counts };
+};
+
+// Save everything a plan says to create. Rejected rows are skipped.
+// Authors and genres are looked up again here, so a plan that is a little
+// stale never creates a second "Fantasy". Everything created goes in the
+// audit log under `actor` (none for the command line).
+exports.commitImport = async (plan, actor = null) => {
+  const created = { books: 0, authors: 0, genres: 0, publishers: 0, editions: 0, bookinstances: 0 };
+  const authors = new Map();
+  const genres = new Map();
+  const publishers = new Map();
+
+  const findOrCreateAuthor = async (first_name, family_name) => {
+    const k = key(first_name, family_name);
+    if (!authors.has(k)) {
+      let author = await Author.findOne({
+        first_name: new RegExp(`^${escapeRegExp(first_name)}$`, 'i'),
+        family_name: new RegExp(`^${escapeRegExp(family_name)}$`, 'i'),
+      }).exec();
+      if (author === null) {
+        author = await Author.create({ first_name, family_name });
+        await audit.record('create', { after: author, actor });
+        created.authors++;
+      }
+      authors.set(k, author);
+    }
+    return authors.get(k);
+  };
+
+  const findOrCreateGenre = async (name) => {
+    const k = Genre.nameKey(name);
+    if (!genres.has(k)) {
+      let genre = await Genre.findByName(name).exec();
+      if (genre === null) {
+        genre = await Genre.create({ name });
+        await audit.record('create', { after: genre, actor });
+        created.genres++;
+      }
+      genres.set(k, genre);
+    }
+    return genres.get(k);
+  };
+
+  const findOrCreatePublisher = async (name) => {
+    const k = key(name);
+    if (!publishers.has(k)) {
+      let publisher = await Publisher.findOne({ name: new RegExp(`^${escapeRegExp(name)}$`, 'i') }).exec();
+      if (publisher === null) {
+        publisher = await Publisher.create({ name });
+        await audit.record('create', { after: publisher, actor });
+        created.publishers++;
+      }
+      publishers.set(k, publisher);
+    }
+    return publishers.get(k);
+  };
+
+  const findOrCreateEdition = async (book, imprint) => {
+    const { publisher: name, year } = parseImprint(imprint);
+    const publisher = await findOrCreatePublisher(name);
+    let edition = await Edition.findOne({ book: book._id, publisher: publisher._id, year }).exec();
+    if (edition === null) {
+      edition = await Edition.create({ book: book._id, publisher: publisher._id, year });
+      await audit.record('create', { after: edition, actor });
+      created.editions++;
+    }
+    return edition;
+  };
+
+  for (const row of plan.rows) {
+    if (row.action === 'reject') continue;
+
+    let book = await Book.findOne({ isbn: row.book.isbn }).exec();
+
+    if (book === null) {
+      const author = await findOrCreateAuthor(row.author.first_name, row.author.family_name);
+      const bookGenres = [];
+      for (const genre of row.genres) bookGenres.push(await findOrCreateGenre(genre.name));
+
+      book = await Book.create({
+        title: row.book.title,
+        summary: row.book.summary,
+        isbn: row.book.isbn,
+        author: author._id,
+        genre: bookGenres.map((genre) => genre._id),
+      });
+      await audit.record('create', { after: book, actor });
+      created.books++;
+    }
+
+    const edition = row.copies.count > 0 ? await findOrCreateEdition(book, row.copies.imprint) : null;
+
+    for (let i = 0; i < row.copies.count; i++) {
+      const copy = await BookInstance.create({
+        book: book._id,
+        edition: edition._id,
+        status: row.copies.status,
+      });
+      await audit.record('create', { after: copy, actor });
+      await copyStatus.record({ bookInstanceId: copy._id, to: copy.status, reason: 'Imported', changedBy: actor ? actor._id : null });
+      if (copy.status === 'Available') await holds.assignCopy(copy);
+      created.bookinstances++;
+    }
+  }
+
+  debug(`Imported ${JSON.stringify(created)}`);
+  return created;
+};
@@ -0,0 +1,307 @@
+const { DateTime } = require('luxon');
+const Book = require('../models/Book.js');
+const BookInstance = require('../models/BookInstance.js');
+const Loan = require('../models/Loan.js');
+const CopyStatusCount = require('../models/CopyStatusCount.js');
+const config = require('../config/dashboard');
+const debug = require('debug')('Dashboard');
+
+// Figures for the library dashboard. Each widget is one aggregation over the
+// catalog and circulation collections, and its result is cached for
+// config.cacheSeconds per date range, since a busy catalog makes some of them
+// slow. Widgets based on loans count the loans checked out in the range; the
+// catalog ones (genres, authors) are as of now.
+//
+// The soft delete plugin only filters the collection being aggregated, so
+// every $lookup into a catalog collection leaves out deleted documents itself.
+
+const STATUSES = BookInstance.schema.path('status').enumValues;
+
+const MAX_RANGE_DAYS = 5 * 366;
+
+// Work out the date range from ?from=YYYY-MM-DD&to=YYYY-MM-DD, both days
+// included. Anything missing or wrong falls back to the last
+// config.defaultDays days, with a message saying why.
+exports.parseRange = (query) => {
+  const today = DateTime.now().startOf('day');
+  const errors = [];
+
+  const parseDay = (value, fallback, label) => {
+    if (!value) return fallback;
+    const day = DateTime.fromISO(String(value));
+    if (day.isValid) return day.startOf('day');
+    errors.push(`${label} date must be a date like ${today.toISODate()}`);
+    return fallback;
+  };
+
+  let to = parseDay(query.to, today, 'End');
+  let from = parseDay(query.from, to.minus({ days: config.defaultDays - 1 }), 'Start');
+
+  if (from > to) {
+    errors.push('The start date must not be after the end date');
+    from = to.minus({ days: config.defaultDays - 1 });
+  }
+  if (to.diff(from, 'days').days > MAX_RANGE_DAYS) {
+    errors.push('The date range can be at most five years');
+    from = to.minus({ days: MAX_RANGE_DAYS });
+  }
+
+  return {
+    from: from.toJSDate(),
+    // the end of the last day, as an exclusive bound
+    until: to.plus({ days: 1 }).toJSDate(),
+    from_date: from.toISODate(),
+    to_date: to.toISODate(),
+    errors,
+  };
+};
+
+// Record how many copies have each status today. Run by a job, see jobs/index.js.
+exports.recordCopyStatusCounts = async () => {
+  const groups = await BookInstance.aggregate([
+    { $group: { _id: '$status', copies: { $sum: 1 } } },
+  ]).exec();
+
+  const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  for (const group of groups) counts[group._id] = group.copies;
+
+  const day = DateTime.now().startOf('day').toJSDate();
+  await CopyStatusCount.updateOne({ day }, { $set: { counts } }, { upsert: true }).exec();
+  debug(`Copy status counts for ${day.toISOString()}: ${JSON.stringify(counts)}`);
+};
+
+// A lookup of live documents from a catalog collection, by _id.
+const lookupLive = (from, localField, as) => ({
+  $lookup: {
+    from,
+    let: { id: `$${localField}` },
+    pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$id'] }, deleted_at: null } }],
+    as,
+  },
+});
+
+// The widgets, in the order they are shown. `columns` are the keys of each
+// row, which are also the CSV header.
+const WIDGETS = {
+  copies_by_status: {
+    title: 'Copies by status over time',
+    chart: 'line',
+    columns: ['date', ...STATUSES],
+    load: async ({ from, until }) => {
+      const days = await CopyStatusCount.aggregate([
+        { $match: { day: { $gte: from, $lt: until } } },
+        { $sort: { day: 1 } },
+        { $project: { _id: 0, day: 1, counts: 1 } },
+      ]).exec();
+      return days.map(({ day, counts }) => ({
+        date: DateTime.fromJSDate(day).toISODate(),
+        ...Object.fromEntries(STATUSES.map((status) => [status, counts[status] || 0])),
+      }));
+    },
+  },
+
+  most_borrowed: {
+    title: 'Most borrowed books',
+    chart: 'bar',
+    columns: ['book_id', 'title', 'loans'],
+    label: 'title',
+    value: 'loans',
+    load: ({ from, until }) => Loan.aggregate([
+      { $match: { checked_out_at: { $gte: from, $lt: until } } },
+      // copies in the trash still count, the loans happened
+      { $lookup: { from: 'bookinstances', localField: 'book_instance', foreignField: '_id', as: 'copy' } },
+      { $unwind: '$copy' },
+      { $group: { _id: '$copy.book', loans: { $sum: 1 } } },
+      lookupLive('books', '_id', 'book'),
+      { $unwind: '$book' },
+      { $sort: { loans: -1, 'book.title': 1 } },
+      { $limit: config.topCount },
+      { $project: { _id: 0, book_id: '$_id', title: '$book.title', loans: 1 } },
+    ]).exec(),
+  },
+
+  never_borrowed: {
+    title: 'Never borrowed books',
+    chart: 'table',
+    columns: ['book_id', 'title', 'copies'],
+    limit: config.listCount,
+    // not borrowed at any time up to the end of the range
+    load: ({ until }) => Book.aggregate([
+      {
+        $lookup: {
+          from: 'bookinstances',
+          let: { book: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$book', '$$book'] }, deleted_at: null } },
+            { $project: { _id: 1 } },
+          ],
+          as: 'copies',
+        },
+      },
+      {
+        $lookup: {
+          from: 'loans',
+          let: { copies: '$copies._id' },
+          pipeline: [
+            { $match: { checked_out_at: { $lt: until }, $expr: { $in: ['$book_instance', '$$copies'] } } },
+            { $limit: 1 },
+          ],
+          as: 'loans',
+        },
+      },
+      { $match: { loans: { $size: 0 } } },
+      { $sort: { title: 1 } },
+      { $limit: config.listCount },
+      { $project: { _id: 0, book_id: '$_id', title: 1, copies: { $size: '$copies' } } },
+    ]).exec(),
+  },
+
+  genre_distribution: {
+    title: 'Books by genre',
+    chart: 'bar',
+    columns: ['genre_id', 'genre', 'books'],
+    label: 'genre',
+    value: 'books',
+    load: () => Book.aggregate([
+      { $unwind: '$genre' },
+      { $group: { _id: '$genre', books: { $sum: 1 } } },
+      lookupLive('genres', '_id', 'genre'),
+      { $unwind: '$genre' },
+      { $sort: { books: -1, 'genre.name': 1 } },
+      { $project: { _id: 0, genre_id: '$_id', genre: '$genre.name', books: 1 } },
+    ]).exec(),
+  },
+
+  top_authors: {
+    title: 'Authors with the most titles',
+    chart: 'bar',
+    columns: ['author_id', 'author', 'titles'],
+    label: 'author',
+    value: 'titles',
+    load: () => Book.aggregate([
+      { $unwind: '$contributors' },
+      { $match: { 'contributors.role': 'author' } },
+      { $group: { _id: '$contributors.author', titles: { $addToSet: '$_id' } } },
+      { $project: { titles: { $size: '$titles' } } },
+      lookupLive('authors', '_id', 'author'),
+      { $unwind: '$author' },
+      { $sort: { titles: -1, 'author.family_name': 1, 'author.first_name': 1 } },
+      { $limit: config.topCount },
+      {
+        $project: {
+          _id: 0,
+          author_id: '$_id',
+          author: { $concat: ['$author.family_name', ', ', '$author.first_name'] },
+          titles: 1,
+        },
+      },
+    ]).exec(),
+  },
+
+  copies_vs_demand: {
+    title: 'Copies against demand',
+    chart: 'bar',
+    columns: ['book_id', 'title', 'copies', 'loans', 'holds', 'demand_per_copy'],
+    label: 'title',
+    value: 'demand_per_copy',
+    // demand is loans in the range plus holds waiting now; the books with
+    // the most demand for each copy they have come first
+    load: ({ from, until }) => Book.aggregate([
+      {
+        $lookup: {
+          from: 'bookinstances',
+          let: { book: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$book', '$$book'] }, deleted_at: null } },
+            { $project: { _id: 1 } },
+          ],
+          as: 'copies',
+        },
+      },
+      {
+        $lookup: {
+          from: 'loans',
+          let: { copies: '$copies._id' },
+          pipeline: [
+            { $match: { checked_out_at: { $gte: from, $lt: until }, $expr: { $in: ['$book_instance', '$$copies'] } } },
+            { $count: 'count' },
+          ],
+          as: 'loans',
+        },
+      },
+      {
+        $lookup: {
+          from: 'holds',
+          let: { book: '$_id' },
+          pipeline: [
+            { $match: { status: { $in: ['waiting', 'ready'] }, $expr: { $eq: ['$book', '$$book'] } } },
+            { $count: 'count' },
+          ],
+          as: 'holds',
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          book_id: '$_id',
+          title: 1,
+          copies: { $size: '$copies' },
+          loans: { $ifNull: [{ $arrayElemAt: ['$loans.count', 0] }, 0] },
+          holds: { $ifNull: [{ $arrayElemAt: ['$holds.count', 0] }, 0] },
+        },
+      },
+      { $match: { $expr: { $gt: [{ $add: ['$loans', '$holds'] }, 0] } } },
+      {
+        $addFields: {
+          // a book without copies counts as having one, so it still sorts
+          demand_per_copy: {
+            $round: [{ $divide: [{ $add: ['$loans', '$holds'] }, { $max: ['$copies', 1] }] }, 2],
+          },
+        },
+      },
+      { $sort: { demand_per_copy: -1, title: 1 } },
+      { $limit: config.topCount },
+    ]).exec(),
+  },
+};
+
+exports.WIDGETS = WIDGETS;
+
+exports.has = (name) => Object.prototype.hasOwnProperty.call(WIDGETS, name);
+
+// name + range -> { rows, computed_at, expires }
+const cache = new Map();
+
+// The rows of one widget for a range (from parseRange), with when they were
+// worked out: { rows, computed_at }.
+exports.figures = async (name, range) => {
+  const key = `${name}:${range.from_date}:${range.to_date}`;
+  const now = Date.now();
+  const hit = cache.get(key);
+  if (hit && hit.expires > now) return hit;
+
+  const rows = await WIDGETS[name].load(range);
+
+  for (const [oldKey, entry] of cache) {
+    if (entry.expires <= now) cache.delete(oldKey);
+  }
+  // Maps keep insertion order, so the first entries are the oldest
+  const maxEntries = config.cacheRanges * Object.keys(WIDGETS).length;
+  for (const oldKey of cache.keys()) {
+    if (cache.size < maxEntries) break;
+    cache.delete(oldKey);
+  }
+  const entry = { rows, computed_at: new Date(now), expires: now + config.cacheSeconds * 1000 };
+  cache.set(key, entry);
+  debug(`Computed ${key}: ${rows.length} rows`);
+  return entry;
+};
+
+// Every widget for a range, as [{ name, title, chart, ..., rows, computed_at }].
+exports.allFigures = (range) => Promise.all(
+  Object.entries(WIDGETS).map(async ([name, widget]) => ({
+    name,
+    ...widget,
+    ...(await exports.figures(name, range)),
+  })),
+);
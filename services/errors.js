@@ -0,0 +1,7 @@
+// Errors raised by the services carry an HTTP status, like the ones the
+// controllers build, so they can be passed straight to next().
+exports.serviceError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
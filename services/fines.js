@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const FineTransaction = require('../models/FineTransaction.js');
+const Loan = require('../models/Loan.js');
+const User = require('../models/User.js');
+const config = require('../config/circulation');
+const loanPolicies = require('./loanPolicies');
+const debug = require('debug')('Fines');
+const { serviceError } = require('./errors');
+
+const DAY = 24 * 60 * 60 * 1000; // in ms
+
+// Whole days between the due date and asOf, never negative.
+const daysLate = (dueBack, asOf) => {
+  return Math.max(0, Math.floor((asOf - dueBack) / DAY));
+};
+
+// Bring the fine for one loan up to date. The fine is worked out from
+// scratch each time (days late x the daily rate in the loan's terms, capped),
+// and only the difference with what was already charged goes in the ledger,
+// so running this twice never charges twice.
+exports.accrueForLoan = async (loan, asOf = new Date()) => {
+  const rate = loanPolicies.termsOf(loan).fine_daily_rate;
+  const target = Math.min(daysLate(loan.due_back, asOf) * rate, config.fineMax);
+  const delta = target - loan.fine_accrued;
+
+  if (delta <= 0) {
+    return 0;
+  }
+
+  // The ledger entry comes first, so a loan never counts as charged without
+  // one. It is taken back if somebody else updated this loan's fine in the
+  // meantime.
+  const charge = await FineTransaction.create({
+    patron: loan.patron,
+    type: 'charge',
+    amount: delta,
+    loan: loan._id,
+    note: `Overdue fine, ${daysLate(loan.due_back, asOf)} days late`,
+  });
+
+  const updated = await Loan.findOneAndUpdate(
+    { _id: loan._id, fine_accrued: loan.fine_accrued },
+    { fine_accrued: target, overdue: true }
+  ).exec();
+
+  if (updated === null) {
+    await FineTransaction.deleteOne({ _id: charge._id }).exec();
+    return 0;
+  }
+
+  return delta;
+};
+
+// Flag every loan that is out past its due date and charge its fine.
+// Run periodically by jobs/index.js.
+exports.accrueOverdueFines = async () => {
+  const now = new Date();
+  const overdueLoans = await Loan.find({ returned_at: null, due_back: { $lt: now } }).exec();
+
+  let charged = 0;
+  for (const loan of overdueLoans) {
+    charged += await exports.accrueForLoan(loan, now);
+  }
+
+  if (overdueLoans.length) {
+    debug(`${overdueLoans.length} overdue loans, charged ${FineTransaction.formatAmount(charged)}`);
+  }
+  return overdueLoans.length;
+};
+
+// What a patron owes, in cents.
+exports.balanceFor = async (patronId) => {
+  // aggregate() doesn't cast, so make sure this is an ObjectId
+  const patron = new mongoose.Types.ObjectId(patronId);
+
+  const [result] = await FineTransaction.aggregate([
+    { $match: { patron: patron } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: { $cond: [{ $eq: ['$type', 'charge'] }, '$amount', { $multiply: ['$amount', -1] }] },
+        },
+      },
+    },
+  ]).exec();
+
+  return result ? result.balance : 0;
+};
+
+// Record a payment or waiver against a patron's balance. Neither may take the
+// balance below zero.
+exports.recordCredit = async ({ patronId, type, amount, note, staffId }) => {
+  const patron = await User.findById(patronId).exec();
+
+  if (patron === null) {
+    throw serviceError(404, 'Patron not found');
+  }
+
+  const balance = await exports.balanceFor(patron._id);
+
+  if (amount > balance) {
+    throw serviceError(409, `The amount is more than the ${FineTransaction.formatAmount(balance)} owed`);
+  }
+
+  return FineTransaction.create({
+    patron: patron._id,
+    type: type,
+    amount: amount,
+    note: note,
+    created_by: staffId,
+  });
+};
+
+// Patrons who owe the most, with how many of their loans are overdue.
+exports.worstOffenders = async (limit = 20) => {
+  const balances = await FineTransaction.aggregate([
+    {
+      $group: {
+        _id: '$patron',
+        balance: {
+          $sum: { $cond: [{ $eq: ['$type', 'charge'] }, '$amount', { $multiply: ['$amount', -1] }] },
+        },
+      },
+    },
+    { $match: { balance: { $gt: 0 } } },
+    { $sort: { balance: -1 } },
+    { $limit: limit },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'patron' } },
+    { $unwind: '$patron' },
+    {
+      $lookup: {
+        from: 'loans',
+        let: { patron: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$patron', '$$patron'] },
+                  { $eq: ['$returned_at', null] },
+                  { $lt: ['$due_back', '$$NOW'] },
+                ],
+              },
+            },
+          },
+          { $count: 'count' },
+        ],
+        as: 'overdue',
+      },
+    },
+  ]).exec();
+
+  return balances.map((row) => ({
+    patron: row.patron,
+    balance: row.balance,
+    balance_formatted: FineTransaction.formatAmount(row.balance),
+    overdue_count: row.overdue.length ? row.overdue[0].count : 0,
+  }));
+};
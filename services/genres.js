@@ -0,0 +1,108 @@
+const Genre = require('../models/Genre.js');
+const Book = require('../models/Book.js');
+const audit = require('./audit');
+const trash = require('./trash');
+const { serviceError } = require('./errors');
+const debug = require('debug')('Genres');
+
+// The genre tree: walking up and down it, and merging one genre into another.
+
+// The ids of every genre below `genreId`, at any depth.
+const descendantIds = async (genreId) => {
+  const ids = [];
+  let frontier = [genreId];
+  while (frontier.length) {
+    const children = await Genre.find({ parent: { $in: frontier } }, '_id').exec();
+    frontier = children.map((child) => child._id).filter((id) => !ids.some((seen) => seen.equals(id)));
+    ids.push(...frontier);
+  }
+  return ids;
+};
+
+exports.descendantIds = descendantIds;
+
+// The genre's parents, from the top of the tree down, e.g. [Fiction, Science
+// Fiction] for Space Opera.
+exports.ancestors = async (genre) => {
+  const ancestors = [];
+  let parentId = genre.parent;
+  while (parentId && ancestors.length < 100) {
+    const parent = await Genre.findById(parentId, 'name parent').exec();
+    if (parent === null) break; // in the trash
+    ancestors.unshift(parent);
+    parentId = parent.parent;
+  }
+  return ancestors;
+};
+
+// Whether `parentId` can be the parent of `genreId`: not the genre itself
+// and nothing below it, which would make a loop.
+exports.canBeParent = async (genreId, parentId) => {
+  if (!parentId) return true;
+  if (!genreId) return true; // a new genre has nothing below it yet
+  if (String(genreId) === String(parentId)) return false;
+  const below = await descendantIds(genreId);
+  return !below.some((id) => id.equals(parentId));
+};
+
+// Merge `sourceId` into `targetId`. Every book in the source genre moves to
+// the target, its subgenres move under the target, the source goes to the
+// trash, and its name and aliases become aliases of the target so searches
+// for them still work. Returns the target.
+exports.merge = async (sourceId, targetId, actor) => {
+  if (String(sourceId) === String(targetId)) {
+    throw serviceError(409, 'A genre cannot be merged into itself.');
+  }
+
+  const [source, target] = await Promise.all([
+    Genre.findById(sourceId).exec(),
+    Genre.findById(targetId).exec(),
+  ]);
+  if (source === null || target === null) throw serviceError(404, 'Genre not found');
+
+  const targetBefore = Genre.hydrate(target.toObject());
+
+  // The books move in two updates (one can't both add to and pull from
+  // genre), so that no book's own problems, like an old invalid ISBN or an
+  // edit in progress, can stop the merge half way.
+  const books = await Book.find({ genre: source._id }).exec();
+  await Book.updateMany({ genre: source._id }, { $addToSet: { genre: target._id } }).exec();
+  await Book.updateMany({ genre: source._id }, { $pull: { genre: source._id } }).exec();
+
+  const before = new Map(books.map((book) => [book._id.toString(), book]));
+  const moved = await Book.find({ _id: { $in: [...before.keys()] } }).exec();
+  for (const book of moved) {
+    await audit.record('update', { before: before.get(book._id.toString()), after: book, actor });
+  }
+
+  // a target somewhere below the source moves up to the source's place
+  // first, or its old parent would end up underneath it
+  if ((await descendantIds(source._id)).some((id) => id.equals(target._id))) {
+    target.parent = source.parent;
+  }
+
+  const children = await Genre.find({ parent: source._id, _id: { $ne: target._id } }).exec();
+  for (const child of children) {
+    const before = Genre.hydrate(child.toObject());
+    child.parent = target._id;
+    await child.save();
+    await audit.record('update', { before, after: child, actor });
+  }
+
+  // out of the way before its names move to the target, they are unique
+  await trash.softDelete(Genre, source._id, actor);
+
+  const names = [source.name, ...source.aliases];
+  for (const name of names) {
+    const key = Genre.nameKey(name);
+    if (!target.name_keys.includes(key)) {
+      target.aliases.push(name);
+      target.name_keys.push(key);
+    }
+  }
+  await target.save();
+  await audit.record('update', { before: targetBefore, after: target, actor });
+
+  debug(`Merged genre ${source._id} into ${target._id}: ${books.length} books, ${children.length} subgenres`);
+  return target;
+};
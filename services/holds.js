@@ -0,0 +1,171 @@
+const Hold = require('../models/Hold.js');
+const Book = require('../models/Book.js');
+const BookInstance = require('../models/BookInstance.js');
+const config = require('../config/circulation');
+const { DateTime } = require('luxon');
+const debug = require('debug')('Holds');
+const { serviceError } = require('./errors');
+const copyStatus = require('./copyStatus');
+
+const OPEN_STATUSES = ['waiting', 'ready'];
+
+// Put a patron in the queue for a book. If a copy is sitting on the shelf it
+// is set aside for the queue straight away.
+exports.placeHold = async ({ bookId, patronId }) => {
+  const book = await Book.findById(bookId).exec();
+
+  if (book === null) {
+    throw serviceError(404, 'Book not found');
+  }
+
+  const existing = await Hold.exists({
+    book: bookId,
+    patron: patronId,
+    status: { $in: OPEN_STATUSES },
+  });
+
+  if (existing) {
+    throw serviceError(409, 'You already have a hold on this book');
+  }
+
+  const hold = new Hold({ book: bookId, patron: patronId });
+  await hold.save();
+
+  const availableCopy = await BookInstance.findOne({ book: bookId, status: 'Available' }).exec();
+  if (availableCopy !== null) {
+    await exports.assignCopy(availableCopy);
+  }
+
+  debug(`Hold placed on ${bookId} by ${patronId}`);
+  return Hold.findById(hold._id).exec();
+};
+
+// Set an available copy aside for the next patron waiting on its book.
+// Returns the hold that was made ready, or null when nobody is waiting and
+// the copy stays on the shelf.
+exports.assignCopy = async (bookInstance) => {
+  const now = new Date();
+  const pickupBy = DateTime.fromJSDate(now).plus({ days: config.holdPickupDays }).toJSDate();
+
+  // claim the copy first, so it can't be given to two holds
+  const claimed = await BookInstance.findOneAndUpdate(
+    { _id: bookInstance._id, status: 'Available' },
+    { status: 'Reserved', due_back: pickupBy },
+  ).exec();
+
+  if (claimed === null) {
+    return null;
+  }
+
+  const hold = await Hold.findOneAndUpdate(
+    { book: bookInstance.book, status: 'waiting' },
+    { status: 'ready', book_instance: bookInstance._id, ready_at: now, pickup_by: pickupBy },
+    { sort: { placed_at: 1 }, new: true }
+  ).exec();
+
+  if (hold === null) {
+    // nobody is waiting, put the copy back on the shelf
+    await BookInstance.findByIdAndUpdate(bookInstance._id, { status: 'Available', due_back: now }).exec();
+    return null;
+  }
+
+  await copyStatus.record({ bookInstanceId: bookInstance._id, from: 'Available', to: 'Reserved', reason: 'Set aside for a hold' });
+  debug(`Copy ${bookInstance._id} set aside for hold ${hold._id}`);
+  return hold;
+};
+
+// Give a copy that was set aside back to the queue: to the next patron if
+// there is one, otherwise back on the shelf.
+const releaseCopy = async (bookInstanceId) => {
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: bookInstanceId, status: 'Reserved' },
+    { status: 'Available', due_back: new Date() },
+    { new: true }
+  ).exec();
+
+  if (bookInstance !== null) {
+    await copyStatus.record({ bookInstanceId, from: 'Reserved', to: 'Available', reason: 'Hold ended' });
+    await exports.assignCopy(bookInstance);
+  }
+};
+
+// The ready hold (if any) a copy has been set aside for.
+exports.readyHoldForCopy = (bookInstanceId) => {
+  return Hold.findOne({ book_instance: bookInstanceId, status: 'ready' }).exec();
+};
+
+// Close a ready hold once its patron checks out the copy set aside for them.
+exports.fulfil = async (hold) => {
+  await Hold.findByIdAndUpdate(hold._id, { status: 'fulfilled', closed_at: new Date() }).exec();
+};
+
+// Cancel a hold. Patrons may cancel their own holds, staff may cancel any.
+exports.cancelHold = async ({ holdId, user }) => {
+  const hold = await Hold.findById(holdId).exec();
+
+  if (hold === null) {
+    throw serviceError(404, 'Hold not found');
+  }
+
+  if (!user.is_staff && hold.patron.toString() !== user._id.toString()) {
+    throw serviceError(403, 'You can only cancel your own holds');
+  }
+
+  if (!hold.is_open) {
+    throw serviceError(409, 'This hold is no longer active');
+  }
+
+  const wasReady = hold.status === 'ready';
+  hold.status = 'cancelled';
+  hold.closed_at = new Date();
+  await hold.save();
+
+  if (wasReady) {
+    await releaseCopy(hold.book_instance);
+  }
+
+  debug(`Hold ${hold._id} cancelled`);
+  return hold;
+};
+
+// Expire ready holds whose pickup deadline has passed and roll their copies
+// over to the next patron in each queue. Run periodically by jobs/index.js.
+exports.expireHolds = async () => {
+  const overdue = await Hold.find({ status: 'ready', pickup_by: { $lt: new Date() } }).exec();
+
+  for (const hold of overdue) {
+    const expired = await Hold.findOneAndUpdate(
+      { _id: hold._id, status: 'ready' },
+      { status: 'expired', closed_at: new Date() }
+    ).exec();
+
+    if (expired !== null) {
+      await releaseCopy(hold.book_instance);
+    }
+  }
+
+  if (overdue.length) debug(`Expired ${overdue.length} holds`);
+  return overdue.length;
+};
+
+// Queue length for a book, and the given patron's place in it (1-based, or
+// null when they have no waiting hold).
+exports.queueFor = async (bookId, patronId) => {
+  const [queueLength, patronHold] = await Promise.all([
+    Hold.countDocuments({ book: bookId, status: 'waiting' }).exec(),
+    patronId
+      ? Hold.findOne({ book: bookId, patron: patronId, status: { $in: OPEN_STATUSES } }).exec()
+      : null,
+  ]);
+
+  let position = null;
+  if (patronHold && patronHold.status === 'waiting') {
+    position = 1 + await Hold.countDocuments({
+      book: bookId,
+      status: 'waiting',
+      placed_at: { $lt: patronHold.placed_at },
+    }).exec();
+  }
+
+  return { queueLength, patronHold, position };
+};
@@ -0,0 +1,77 @@
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const validator = require('validator');
+const debug = require('debug')('Labels');
+
+// Printable label sheets for copies. The layout is the common US Letter sheet
+// of 30 address labels (3 across, 10 down, 2 5/8" x 1", e.g. Avery 5160).
+// Each label has a QR code linking to the copy's page, the book's title and
+// a Code128 barcode of the copy's barcode number.
+
+const POINTS_PER_INCH = 72;
+const inches = (value) => value * POINTS_PER_INCH;
+
+const SHEET = {
+  size: 'LETTER',
+  columns: 3,
+  rows: 10,
+  top: inches(0.5),
+  left: inches(0.1875),
+  labelWidth: inches(2.625),
+  labelHeight: inches(1),
+  columnGap: inches(0.125),
+  padding: 4,
+};
+
+exports.LABELS_PER_SHEET = SHEET.columns * SHEET.rows;
+
+// PNG images for one copy's label.
+const imagesFor = async (copy, baseUrl) => {
+  const [barcode, qr] = await Promise.all([
+    bwipjs.toBuffer({
+      bcid: 'code128',
+      text: copy.barcode,
+      scale: 2,
+      height: 8,
+      includetext: true,
+      textxalign: 'center',
+    }),
+    bwipjs.toBuffer({ bcid: 'qrcode', text: baseUrl + copy.url, scale: 2 }),
+  ]);
+  return { barcode, qr };
+};
+
+// Write a PDF of labels for `copies` (with their book populated) to `out`,
+// e.g. the response. `skip` leaves that many labels at the start of the first
+// sheet blank, for sheets that were partly used before.
+exports.writeLabelSheet = async ({ copies, baseUrl, skip = 0, out }) => {
+  // draw the barcodes first, so a failure can still become an error page
+  const images = [];
+  for (const copy of copies) images.push(await imagesFor(copy, baseUrl));
+
+  const doc = new PDFDocument({ size: SHEET.size, margin: 0, autoFirstPage: false });
+  doc.pipe(out);
+
+  copies.forEach((copy, index) => {
+    const position = (index + skip) % exports.LABELS_PER_SHEET;
+    if (index === 0 || position === 0) doc.addPage();
+
+    const column = position % SHEET.columns;
+    const row = Math.floor(position / SHEET.columns);
+    const x = SHEET.left + column * (SHEET.labelWidth + SHEET.columnGap) + SHEET.padding;
+    const y = SHEET.top + row * SHEET.labelHeight + SHEET.padding;
+    const height = SHEET.labelHeight - 2 * SHEET.padding;
+    const width = SHEET.labelWidth - 2 * SHEET.padding;
+
+    doc.image(images[index].qr, x, y, { fit: [height, height] });
+
+    const textX = x + height + SHEET.padding;
+    const textWidth = width - height - SHEET.padding;
+    const title = copy.book ? validator.unescape(copy.book.title) : '';
+    doc.fontSize(7).text(title, textX, y, { width: textWidth, height: 18, ellipsis: true });
+    doc.image(images[index].barcode, textX, y + 20, { fit: [textWidth, height - 20], align: 'center' });
+  });
+
+  doc.end();
+  debug(`Label sheet for ${copies.length} copies`);
+};
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Book = require('../models/Book.js');
+const Author = require('../models/Author.js');
+const Genre = require('../models/Genre.js');
+const BookInstance = require('../models/BookInstance.js');
+const Series = require('../models/Series.js');
+const Publisher = require('../models/Publisher.js');
+const Edition = require('../models/Edition.js');
+const branches = require('./branches');
+const config = require('../config/pagination');
+const { escapeRegExp } = require('../utils/regexp');
+
+// Paging, sorting and filtering for the list pages and list API endpoints.
+// Both read the same query string:
+//
+//   ?page=2&limit=50        page number (1-based) and page size
+//   ?sort=title&order=desc  any key of the list's `sorts`
+//   ?status=Loaned ...      the list's own filters, see `filters` below
+//
+// Unknown or malformed values are ignored rather than rejected, so a bad link
+// still shows a page. A list's filters may be async, for filters that look at
+// other collections.
+
+// case-insensitive "contains" match
+const contains = (value) => new RegExp(escapeRegExp(value.trim()), 'i');
+
+const objectId = (value) => {
+  return mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(value) : null;
+};
+
+const year = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const nonEmpty = (value) => typeof value === 'string' && value.trim() !== '';
+
+// ?branch= on the catalog lists keeps what has a copy at the branch now.
+// The ids of those books, or null when no branch is picked.
+const booksAtBranch = (query) => (objectId(query.branch) ? branches.bookIdsAt(objectId(query.branch)) : null);
+
+// Sort keys map to one or more paths. Paths under a `lookups` key
+// (e.g. author.family_name) sort by a referenced document.
+const lists = {
+  books: {
+    model: Book,
+    select: 'title author contributors isbn cover',
+    populate: 'author',
+    sorts: {
+      title: ['title'],
+      author: ['author.family_name', 'author.first_name'],
+      isbn: ['isbn'],
+    },
+    lookups: { author: 'authors' },
+    defaultSort: 'title',
+    filters: async (query) => {
+      const filter = {};
+      if (nonEmpty(query.title)) filter.title = contains(query.title);
+      // any contributor, not just the main author
+      if (objectId(query.author)) filter['contributors.author'] = objectId(query.author);
+      if (objectId(query.genre)) filter.genre = objectId(query.genre);
+      const atBranch = await booksAtBranch(query);
+      if (atBranch) filter._id = { $in: atBranch };
+      return filter;
+    },
+  },
+
+  authors: {
+    model: Author,
+    sorts: {
+      name: ['family_name', 'first_name'],
+      date_of_birth: ['date_of_birth'],
+      date_of_death: ['date_of_death'],
+    },
+    defaultSort: 'name',
+    filters: async (query) => {
+      const filter = {};
+      if (nonEmpty(query.name)) {
+        filter.$or = [{ first_name: contains(query.name) }, { family_name: contains(query.name) }];
+      }
+      const atBranch = await booksAtBranch(query);
+      if (atBranch) filter._id = { $in: await Book.distinct('contributors.author', { _id: { $in: atBranch } }).exec() };
+      // born between two years, both ends included
+      const from = year(query.born_from);
+      const to = year(query.born_to);
+      if (from !== null || to !== null) {
+        filter.date_of_birth = {};
+        if (from !== null) filter.date_of_birth.$gte = new Date(Date.UTC(from, 0, 1));
+        if (to !== null) filter.date_of_birth.$lt = new Date(Date.UTC(to + 1, 0, 1));
+      }
+      return filter;
+    },
+  },
+
+  genres: {
+    model: Genre,
+    populate: { path: 'parent', select: 'name' },
+    sorts: { name: ['name'] },
+    defaultSort: 'name',
+    filters: async (query) => {
+      const filter = {};
+      // aliases too, so "Sci-Fi" finds the genre it was merged into
+      if (nonEmpty(query.name)) filter.$or = [{ name: contains(query.name) }, { aliases: contains(query.name) }];
+      if (query.top === 'true') filter.parent = null;
+      const atBranch = await booksAtBranch(query);
+      if (atBranch) filter._id = { $in: await Book.distinct('genre', { _id: { $in: atBranch } }).exec() };
+      return filter;
+    },
+  },
+
+  series: {
+    model: Series,
+    sorts: { name: ['name'] },
+    defaultSort: 'name',
+    filters: async (query) => {
+      const filter = {};
+      if (nonEmpty(query.name)) filter.name = contains(query.name);
+      const atBranch = await booksAtBranch(query);
+      if (atBranch) filter._id = { $in: await Book.distinct('series', { _id: { $in: atBranch } }).exec() };
+      return filter;
+    },
+  },
+
+  publishers: {
+    model: Publisher,
+    sorts: { name: ['name'] },
+    defaultSort: 'name',
+    filters: async (query) => {
+      const filter = {};
+      if (nonEmpty(query.name)) filter.name = contains(query.name);
+      if (objectId(query.branch)) {
+        const editions = await branches.editionIdsAt(objectId(query.branch));
+        filter._id = { $in: await Edition.distinct('publisher', { _id: { $in: editions } }).exec() };
+      }
+      return filter;
+    },
+  },
+
+  bookinstances: {
+    model: BookInstance,
+    populate: ['book', { path: 'edition', populate: { path: 'publisher' } }, { path: 'current_branch', select: 'name' }],
+    sorts: {
+      book: ['book.title'],
+      status: ['status'],
+      due_back: ['due_back'],
+      barcode: ['barcode'],
+    },
+    lookups: { book: 'books' },
+    defaultSort: 'status',
+    filters: (query) => {
+      const filter = {};
+      if (BookInstance.schema.path('status').enumValues.includes(query.status)) {
+        filter.status = query.status;
+      }
+      if (objectId(query.book)) filter.book = objectId(query.book);
+      if (objectId(query.edition)) filter.edition = objectId(query.edition);
+      if (objectId(query.branch)) filter.current_branch = objectId(query.branch);
+      if (nonEmpty(query.shelf)) filter.shelf_location = query.shelf;
+      if (query.overdue === 'true') {
+        filter.status = 'Loaned';
+        filter.due_back = { $lt: new Date() };
+      }
+      return filter;
+    },
+  },
+};
+
+// Link helpers for the views. They keep the current filters and only change
+// the given parameters, e.g. queryFor({ page: 3 }) -> "?status=Loaned&page=3".
+const linkHelpers = (query, sort, order) => {
+  const queryFor = (changes) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...query, ...changes })) {
+      if (value !== undefined && value !== null && value !== '') params.set(key, value);
+    }
+    return `?${params.toString()}`;
+  };
+
+  // clicking the current sort column flips the order, others start ascending
+  const sortQuery = (key) => queryFor({
+    sort: key,
+    order: key === sort && order === 'asc' ? 'desc' : 'asc',
+    page: 1,
+  });
+
+  return { queryFor, sortQuery };
+};
+
+// Fetch one page of a list. Returns the documents plus the paging details.
+exports.list = async (name, query = {}) => {
+  const spec = lists[name];
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || config.defaultPageSize, 1),
+    config.maxPageSize
+  );
+  const sort = spec.sorts[query.sort] ? query.sort : spec.defaultSort;
+  const order = query.order === 'desc' ? 'desc' : 'asc';
+  const direction = order === 'desc' ? -1 : 1;
+  const filter = await spec.filters(query);
+
+  const total = await spec.model.countDocuments(filter).exec();
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  const page = Math.min(Math.max(parseInt(query.page, 10) || 1, 1), pages);
+
+  const sortBy = {};
+  for (const path of spec.sorts[sort]) sortBy[path] = direction;
+  sortBy._id = direction; // keeps the order stable across pages
+
+  const lookup = spec.lookups && Object.keys(spec.lookups)
+    .find((field) => spec.sorts[sort].some((path) => path.startsWith(`${field}.`)));
+
+  let items;
+  if (lookup) {
+    // Sorting by a referenced document needs an aggregation to find the ids
+    // on this page, which are then loaded normally and put back in order.
+    const ids = await spec.model.aggregate([
+      { $match: filter },
+      { $lookup: { from: spec.lookups[lookup], localField: lookup, foreignField: '_id', as: lookup } },
+      { $unwind: { path: `$${lookup}`, preserveNullAndEmptyArrays: true } },
+      { $sort: sortBy },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: { _id: 1 } },
+    ]).exec();
+
+    const docs = await spec.model.find({ _id: { $in: ids.map((doc) => doc._id) } }, spec.select)
+      .populate(spec.populate || [])
+      .exec();
+    const byId = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+    items = ids.map((doc) => byId.get(doc._id.toString())).filter(Boolean);
+  } else {
+    items = await spec.model.find(filter, spec.select)
+      .sort(sortBy)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate(spec.populate || [])
+      .exec();
+  }
+
+  return {
+    items,
+    pagination: { page, pages, limit, total, sort, order },
+    ...linkHelpers(query, sort, order),
+  };
+};
+
+// Every document matching the list's filters, one at a time (for await ...
+// of), for exports that stream the whole list rather than a page. Sorting by
+// a referenced document isn't possible here, so those sorts fall back to the
+// list's default. Leaving the loop early closes the database cursor, and
+// `limit` stops it after that many documents.
+exports.cursor = async function* (name, query = {}, { select, populate, limit } = {}) {
+  const spec = lists[name];
+
+  const usesLookup = (key) => spec.lookups &&
+    spec.sorts[key].some((path) => Object.keys(spec.lookups).some((field) => path.startsWith(`${field}.`)));
+
+  const sort = spec.sorts[query.sort] && !usesLookup(query.sort) ? query.sort : spec.defaultSort;
+  const direction = query.order === 'desc' ? -1 : 1;
+
+  const sortBy = {};
+  for (const path of spec.sorts[sort]) sortBy[path] = direction;
+  sortBy._id = direction;
+
+  const cursor = spec.model.find(await spec.filters(query), select)
+    .sort(sortBy)
+    .populate(populate || [])
+    .limit(limit || 0)
+    .cursor();
+  try {
+    yield* cursor;
+  } finally {
+    // a QueryCursor isn't closed by break or return on its own
+    await cursor.close();
+  }
+};
@@ -0,0 +1,100 @@
+const LoanPolicy = require('../models/LoanPolicy.js');
+const Book = require('../models/Book.js');
+const Genre = require('../models/Genre.js');
+const config = require('../config/circulation');
+const genres = require('./genres');
+const debug = require('debug')('LoanPolicies');
+
+// Picking the loan policy for a checkout. A policy matches when each of its
+// criteria is empty or fits: the patron's category, the copy's item type, and
+// one of the book's genres or a genre above it. Of the matching policies the
+// one with the most criteria wins; between equally many, patron category
+// counts before item type before genre, and a genre nearer the book's own
+// beats one further up the tree. With no match the defaults from
+// config/circulation.js apply.
+
+const defaultTerms = () => ({
+  policy: null,
+  policy_name: 'Default',
+  loan_period_days: config.loanPeriodDays,
+  max_renewals: config.maxRenewals,
+  max_loans: config.maxLoans,
+  fine_daily_rate: config.fineDailyRate,
+});
+
+exports.defaultTerms = defaultTerms;
+
+// The book's genres and every genre above them, as id -> how many levels up
+// (0 for the book's own genres).
+const genreDistances = async (bookId) => {
+  const book = await Book.findById(bookId, 'genre').exec();
+  const distances = new Map();
+  if (book === null) return distances;
+
+  const setDistance = (id, distance) => {
+    const key = id.toString();
+    if (!distances.has(key) || distances.get(key) > distance) distances.set(key, distance);
+  };
+
+  const bookGenres = await Genre.find({ _id: { $in: book.genre } }, 'name parent').exec();
+  for (const genre of bookGenres) {
+    setDistance(genre._id, 0);
+    const ancestors = await genres.ancestors(genre);
+    ancestors.reverse().forEach((ancestor, index) => setDistance(ancestor._id, index + 1));
+  }
+  return distances;
+};
+
+// Sort key for a matching policy, biggest first.
+const specificity = (policy, distances) => [
+  [policy.patron_category, policy.item_type, policy.genre].filter(Boolean).length,
+  (policy.patron_category ? 4 : 0) + (policy.item_type ? 2 : 0) + (policy.genre ? 1 : 0),
+  policy.genre ? -distances.get(policy.genre.toString()) : 0,
+];
+
+const compareSpecificity = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return b[i] - a[i];
+  }
+  return 0;
+};
+
+// The most specific policy for lending `copy` to `patron`, or null.
+exports.matchingPolicy = async ({ patron, copy }) => {
+  const bookId = copy.book._id || copy.book;
+  const distances = await genreDistances(bookId);
+
+  const candidates = await LoanPolicy.find({
+    patron_category: { $in: [null, patron.category] },
+    item_type: { $in: [null, copy.item_type] },
+    genre: { $in: [null, ...distances.keys()] },
+  }).exec();
+
+  if (candidates.length === 0) return null;
+
+  const ranked = candidates
+    .map((policy) => ({ policy, key: specificity(policy, distances) }))
+    .sort((a, b) => compareSpecificity(a.key, b.key));
+  return ranked[0].policy;
+};
+
+// The terms for lending `copy` to `patron`: the matching policy's, or the
+// defaults. Includes max_loans, which is checked at checkout and not kept on
+// the loan.
+exports.termsFor = async ({ patron, copy }) => {
+  const policy = await exports.matchingPolicy({ patron, copy });
+  if (policy === null) return defaultTerms();
+
+  debug(`Policy "${policy.name}" for ${patron.username} and copy ${copy._id}`);
+  return {
+    policy: policy._id,
+    policy_name: policy.name,
+    loan_period_days: policy.loan_period_days,
+    max_renewals: policy.max_renewals,
+    max_loans: policy.max_loans,
+    fine_daily_rate: policy.fine_daily_rate,
+  };
+};
+
+// The terms a loan was made on. Loans from before policies use the defaults.
+exports.termsOf = (loan) => (loan.terms && loan.terms.loan_period_days ? loan.terms : defaultTerms());
@@ -0,0 +1,311 @@
+const path = require('path');
+const pug = require('pug');
+const nodemailer = require('nodemailer');
+const validator = require('validator');
+const { DateTime } = require('luxon');
+const Notification = require('../models/Notification.js');
+const Loan = require('../models/Loan.js');
+const Hold = require('../models/Hold.js');
+const User = require('../models/User.js');
+const FineTransaction = require('../models/FineTransaction.js');
+const loanPolicies = require('./loanPolicies');
+const config = require('../config/mail');
+const debug = require('debug')('Notifications');
+
+// Email notifications. Sending is two steps, each run by a job:
+//
+//   queueNotifications() looks for loans coming due or overdue, holds ready
+//   for pickup and, once a day, the librarians' digest, and queues an email
+//   for each one not queued before (see Notification.key).
+//
+//   sendQueued() hands queued emails to the SMTP server, retrying failures
+//   with a growing wait until config.maxAttempts.
+//
+// The emails are the pug templates in views/emails/, with a plain text part
+// made from the HTML.
+
+const TEMPLATES = path.join(__dirname, '..', 'views', 'emails');
+
+// Titles are stored escaped, subjects and the text part are plain text
+const plain = (value) => validator.unescape(value || '');
+
+const formatDate = (date) => DateTime.fromJSDate(date).toLocaleString(DateTime.DATE_MED);
+
+// A readable plain text version of an email's HTML.
+const htmlToText = (html) => plain(
+  html
+    .replace(/<title>.*?<\/title>/i, '')
+    .replace(/<a href="([^"]*)">(.*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<li>/gi, '- ')
+    .replace(/<\/li>/gi, '\n')
+    .replace(/<\/(p|ul|h\d)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&middot;/g, '-')
+    .replace(/\n{3,}/g, '\n\n')
+).trim();
+
+const render = (template, locals) => {
+  const html = pug.renderFile(path.join(TEMPLATES, `${template}.pug`), {
+    ...locals,
+    public_url: config.publicUrl,
+    cache: process.env.NODE_ENV === 'production',
+  });
+  return { html, text: htmlToText(html) };
+};
+
+// Queue one email, unless one with the same key was queued before.
+const enqueue = async ({ type, key, user, subject, locals }) => {
+  if (!user.email || await Notification.exists({ key })) return null;
+
+  const { html, text } = render(type, { ...locals, subject });
+  try {
+    return await Notification.create({ type, key, user: user._id, to: user.email, subject, html, text });
+  } catch (err) {
+    if (err.code === 11000) return null; // queued by someone else just now
+    throw err;
+  }
+};
+
+const loanPopulate = [
+  { path: 'patron' },
+  { path: 'book_instance', populate: { path: 'book', select: 'title' } },
+];
+
+const titleOf = (loan) => (loan.book_instance && loan.book_instance.book
+  ? loan.book_instance.book.title
+  : 'A library book');
+
+// Reminders for loans due within config.dueSoonDays. A renewed loan has a
+// new due date, so it gets a new reminder.
+const queueDueSoon = async () => {
+  const now = new Date();
+  const until = DateTime.now().plus({ days: config.dueSoonDays }).toJSDate();
+  const loans = await Loan.find({ returned_at: null, due_back: { $gte: now, $lte: until } })
+    .populate(loanPopulate)
+    .exec();
+
+  let queued = 0;
+  for (const loan of loans) {
+    if (!loan.patron || !loan.patron.notify.due_soon) continue;
+    const due = DateTime.fromJSDate(loan.due_back).toISODate();
+    const notification = await enqueue({
+      type: 'due_soon',
+      key: `due_soon:${loan._id}:${due}`,
+      user: loan.patron,
+      subject: `Due back ${formatDate(loan.due_back)}: ${plain(titleOf(loan))}`,
+      locals: {
+        patron: loan.patron,
+        title: titleOf(loan),
+        due_back: formatDate(loan.due_back),
+        renewable: loan.renewals < loanPolicies.termsOf(loan).max_renewals,
+        unsubscribable: true,
+      },
+    });
+    if (notification) queued++;
+  }
+  return queued;
+};
+
+// One notice per overdue loan (per due date, like the reminders).
+const queueOverdue = async () => {
+  const loans = await Loan.find({ returned_at: null, due_back: { $lt: new Date() } })
+    .populate(loanPopulate)
+    .exec();
+
+  let queued = 0;
+  for (const loan of loans) {
+    if (!loan.patron || !loan.patron.notify.overdue) continue;
+    const due = DateTime.fromJSDate(loan.due_back).toISODate();
+    const rate = loanPolicies.termsOf(loan).fine_daily_rate;
+    const notification = await enqueue({
+      type: 'overdue',
+      key: `overdue:${loan._id}:${due}`,
+      user: loan.patron,
+      subject: `Overdue: ${plain(titleOf(loan))}`,
+      locals: {
+        patron: loan.patron,
+        title: titleOf(loan),
+        due_back: formatDate(loan.due_back),
+        daily_fine: rate > 0 ? FineTransaction.formatAmount(rate) : null,
+        unsubscribable: true,
+      },
+    });
+    if (notification) queued++;
+  }
+  return queued;
+};
+
+// A notice for each hold with a copy set aside.
+const queueHoldReady = async () => {
+  const readyHolds = await Hold.find({ status: 'ready' })
+    .populate('patron')
+    .populate('book', 'title')
+    .exec();
+
+  let queued = 0;
+  for (const hold of readyHolds) {
+    if (!hold.patron || !hold.patron.notify.hold_ready) continue;
+    const title = hold.book ? hold.book.title : 'A book you put on hold';
+    const notification = await enqueue({
+      type: 'hold_ready',
+      key: `hold_ready:${hold._id}`,
+      user: hold.patron,
+      subject: `Ready to pick up: ${plain(title)}`,
+      locals: {
+        patron: hold.patron,
+        title,
+        pickup_by: hold.pickup_by_formatted,
+        unsubscribable: true,
+      },
+    });
+    if (notification) queued++;
+  }
+  return queued;
+};
+
+// The figures for the librarians' daily digest.
+const digestFigures = async () => {
+  const now = DateTime.now();
+  const startOfDay = now.startOf('day').toJSDate();
+  const endOfDay = now.endOf('day').toJSDate();
+
+  const [dueToday, overdueCount, holdsReady, holdsExpiring, holdsWaiting, failedEmails, overdueLoans] = await Promise.all([
+    Loan.countDocuments({ returned_at: null, due_back: { $gte: startOfDay, $lte: endOfDay } }).exec(),
+    Loan.countDocuments({ returned_at: null, due_back: { $lt: now.toJSDate() } }).exec(),
+    Hold.countDocuments({ status: 'ready' }).exec(),
+    Hold.countDocuments({ status: 'ready', pickup_by: { $lte: endOfDay } }).exec(),
+    Hold.countDocuments({ status: 'waiting' }).exec(),
+    Notification.countDocuments({ status: 'failed', created_at: { $gte: now.minus({ days: 1 }).toJSDate() } }).exec(),
+    Loan.find({ returned_at: null, due_back: { $lt: now.toJSDate() } })
+      .populate(loanPopulate)
+      .sort({ due_back: 1 })
+      .limit(10)
+      .exec(),
+  ]);
+
+  return {
+    date: now.toLocaleString(DateTime.DATE_MED),
+    due_today: dueToday,
+    overdue_count: overdueCount,
+    holds_ready: holdsReady,
+    holds_expiring: holdsExpiring,
+    holds_waiting: holdsWaiting,
+    failed_emails: failedEmails,
+    overdue_loans: overdueLoans.map((loan) => ({
+      title: titleOf(loan),
+      patron: loan.patron ? loan.patron.username : 'Unknown patron',
+      due_back: formatDate(loan.due_back),
+    })),
+  };
+};
+
+// The digest for every librarian and admin, once a day after
+// config.digestHour.
+const queueDigest = async () => {
+  const now = DateTime.now();
+  if (now.hour < config.digestHour) return 0;
+
+  const staff = await User.find({ role: { $in: ['librarian', 'admin'] } }).exec();
+  if (staff.length === 0) return 0;
+
+  const figures = await digestFigures();
+  let queued = 0;
+  for (const user of staff) {
+    const notification = await enqueue({
+      type: 'digest',
+      key: `digest:${user._id}:${now.toISODate()}`,
+      user,
+      subject: `Library digest for ${figures.date}`,
+      locals: { ...figures, user },
+    });
+    if (notification) queued++;
+  }
+  return queued;
+};
+
+// Queue every email that is due. Run by a job, see jobs/index.js.
+exports.queueNotifications = async () => {
+  const queued = {
+    due_soon: await queueDueSoon(),
+    overdue: await queueOverdue(),
+    hold_ready: await queueHoldReady(),
+    digest: await queueDigest(),
+  };
+  debug(`Queued ${JSON.stringify(queued)}`);
+  return queued;
+};
+
+let transport = null;
+
+exports.isConfigured = () => Boolean(config.smtp.host);
+
+const SEND_BATCH = 50;
+const CLAIM_TIMEOUT = 10 * 60 * 1000; // in ms, after which an email stuck in "sending" is tried again
+
+// Send queued emails whose time has come, up to SEND_BATCH per run. Run by a
+// job, see jobs/index.js. Returns how many were sent.
+exports.sendQueued = async () => {
+  if (!exports.isConfigured()) {
+    debug('SMTP_HOST is not set, emails stay queued');
+    return 0;
+  }
+  if (transport === null) transport = nodemailer.createTransport(config.smtp);
+
+  let sent = 0;
+  for (let i = 0; i < SEND_BATCH; i++) {
+    const now = new Date();
+    // claim one at a time, so two app processes never send the same email
+    const notification = await Notification.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', next_attempt_at: { $lte: now } },
+          { status: 'sending', claimed_at: { $lt: new Date(now - CLAIM_TIMEOUT) } },
+        ],
+      },
+      { status: 'sending', claimed_at: now, $inc: { attempts: 1 } },
+      { new: true, sort: { next_attempt_at: 1 } }
+    ).exec();
+
+    if (notification === null) break;
+
+    try {
+      await transport.sendMail({
+        from: config.from,
+        to: notification.to,
+        subject: notification.subject,
+        html: notification.html,
+        text: notification.text,
+      });
+      await Notification.updateOne(
+        { _id: notification._id },
+        { status: 'sent', sent_at: new Date(), last_error: null }
+      ).exec();
+      sent++;
+    } catch (err) {
+      const giveUp = notification.attempts >= config.maxAttempts;
+      // 5, 10, 20, 40... minutes
+      const wait = config.retryMinutes * 2 ** (notification.attempts - 1);
+      await Notification.updateOne(
+        { _id: notification._id },
+        {
+          status: giveUp ? 'failed' : 'queued',
+          last_error: err.message,
+          next_attempt_at: DateTime.now().plus({ minutes: wait }).toJSDate(),
+        }
+      ).exec();
+      debug(`Sending ${notification._id} failed (attempt ${notification.attempts}): ${err.message}`);
+    }
+  }
+
+  if (sent) debug(`Sent ${sent} emails`);
+  return sent;
+};
+
+// Put a failed email back in the queue for another round of attempts.
+exports.retry = (id) => Notification.findOneAndUpdate(
+  { _id: id, status: 'failed' },
+  { status: 'queued', attempts: 0, next_attempt_at: new Date() },
+  { new: true }
+).exec();
+
+exports.htmlToText = htmlToText;
@@ -0,0 +1,143 @@
+const Book = require('../models/Book.js');
+const Author = require('../models/Author.js');
+const Genre = require('../models/Genre.js');
+const BookInstance = require('../models/BookInstance.js');
+const validator = require('validator');
+
+// A text index can only cover one collection, so books, authors and genres are
+// searched separately and the scores added up per book. An author or genre
+// match counts for a little less than the book's own text matching.
+const AUTHOR_WEIGHT = 0.8;
+const GENRE_WEIGHT = 0.5;
+// an exact ISBN match always comes first
+const ISBN_SCORE = 100;
+
+const SNIPPET_LENGTH = 200;
+
+// The words of a query, used for highlighting. Punctuation and text index
+// operators ("-", quotes) are dropped.
+const queryTerms = (q) => {
+  return (q.match(/[\p{L}\p{N}]+/gu) || []).map((term) => term.toLowerCase());
+};
+
+// Wrap every word starting with one of the terms in <mark>. The text is
+// HTML-escaped when it is saved, so it is matched unescaped (searching for
+// "amp" mustn't mark the inside of "&amp;") and each piece escaped again.
+// The result is safe to output unescaped.
+const highlight = (text, terms) => {
+  if (!text || terms.length === 0) return text || '';
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  const plain = validator.unescape(text);
+  let html = '';
+  let last = 0;
+  for (const match of plain.matchAll(pattern)) {
+    html += validator.escape(plain.slice(last, match.index)) + `<mark>${validator.escape(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + validator.escape(plain.slice(last));
+};
+
+// Cut a long summary down to the part around the first matching term.
+const snippet = (text, terms) => {
+  if (!text || text.length <= SNIPPET_LENGTH) return text || '';
+
+  const lower = text.toLowerCase();
+  const first = terms
+    .map((term) => lower.indexOf(term))
+    .filter((index) => index >= 0)
+    .sort((a, b) => a - b)[0] || 0;
+
+  // start at a space so an HTML entity is never cut in half
+  let start = Math.max(0, first - SNIPPET_LENGTH / 4);
+  if (start > 0) start = text.indexOf(' ', start) + 1;
+  let end = text.lastIndexOf(' ', start + SNIPPET_LENGTH);
+  if (end <= start) end = start + SNIPPET_LENGTH;
+
+  return `${start > 0 ? '… ' : ''}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+};
+
+const textScores = (Model, q) => {
+  return Model.find({ $text: { $search: q } }, { score: { $meta: 'textScore' } })
+    .select('_id')
+    .lean()
+    .exec();
+};
+
+// Search the catalog. Returns books ordered by relevance, each with the
+// title and a summary snippet with the matched terms highlighted.
+//
+// Filters: genre and author are ids, available=true keeps only books with a
+// copy on the shelf.
+exports.searchCatalog = async ({ q, genre, author, available, limit = 50 }) => {
+  const query = (q || '').trim();
+  const terms = queryTerms(query);
+
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const [bookHits, authorHits, genreHits, isbnHits] = await Promise.all([
+    textScores(Book, query),
+    textScores(Author, query),
+    textScores(Genre, query),
+    Book.find({ isbn: query.replace(/[\s-]/g, '') }, '_id').lean().exec(),
+  ]);
+
+  const scores = new Map();
+  const addScore = (id, score) => {
+    const key = id.toString();
+    scores.set(key, (scores.get(key) || 0) + score);
+  };
+
+  bookHits.forEach((hit) => addScore(hit._id, hit.score));
+  isbnHits.forEach((hit) => addScore(hit._id, ISBN_SCORE));
+
+  if (authorHits.length || genreHits.length) {
+    const authorScores = new Map(authorHits.map((hit) => [hit._id.toString(), hit.score]));
+    const genreScores = new Map(genreHits.map((hit) => [hit._id.toString(), hit.score]));
+
+    const related = await Book.find(
+      { $or: [{ 'contributors.author': { $in: [...authorScores.keys()] } }, { genre: { $in: [...genreScores.keys()] } }] },
+      'contributors genre'
+    ).lean().exec();
+
+    for (const book of related) {
+      const authorScore = Math.max(0, ...book.contributors.map(
+        (contributor) => authorScores.get(contributor.author.toString()) || 0
+      ));
+      if (authorScore) addScore(book._id, authorScore * AUTHOR_WEIGHT);
+
+      const genreScore = Math.max(0, ...book.genre.map((id) => genreScores.get(id.toString()) || 0));
+      if (genreScore) addScore(book._id, genreScore * GENRE_WEIGHT);
+    }
+  }
+
+  if (scores.size === 0) {
+    return [];
+  }
+
+  const filter = { _id: { $in: [...scores.keys()] } };
+  if (genre) filter.genre = genre;
+  if (author) filter['contributors.author'] = author;
+  if (available) {
+    const availableBooks = await BookInstance.distinct('book', { status: 'Available' }).exec();
+    filter.$and = [{ _id: { $in: availableBooks } }];
+  }
+
+  const books = await Book.find(filter).populate('contributors.author').populate('genre').exec();
+
+  return books
+    .map((book) => ({
+      book: book,
+      score: scores.get(book._id.toString()),
+      title_html: highlight(book.title, terms),
+      summary_html: highlight(snippet(book.summary, terms), terms),
+      author_html: highlight(
+        book.contributors.filter((contributor) => contributor.author).map((contributor) => contributor.author.name).join('; '),
+        terms
+      ),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
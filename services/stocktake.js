@@ -0,0 +1,250 @@
+const Stocktake = require('../models/Stocktake.js');
+const StocktakeScan = require('../models/StocktakeScan.js');
+const StocktakeFinding = require('../models/StocktakeFinding.js');
+const BookInstance = require('../models/BookInstance.js');
+const Book = require('../models/Book.js');
+const circulation = require('./circulation');
+const holds = require('./holds');
+const genres = require('./genres');
+const audit = require('./audit');
+const copyStatus = require('./copyStatus');
+const { serviceError } = require('./errors');
+const debug = require('debug')('Stocktake');
+
+// Stocktakes: scanning the shelves, comparing the scans with the catalog when
+// the stocktake closes, and correcting the catalog from the findings. See
+// models/StocktakeFinding.js for what each kind of finding means.
+
+// A copy with this status should be on the shelves. Reserved copies are on
+// the hold shelf and copies in transit belong to their transfer, so finding
+// or not finding them says nothing.
+const ON_SHELF = 'Available';
+const NOT_CHECKED = ['Reserved', 'In Transit'];
+
+// The query for the copies in the stocktake's scope.
+const scopeFilter = async (stocktake) => {
+  const filter = {};
+  if (stocktake.branch) filter.current_branch = stocktake.branch;
+  if (stocktake.shelf_location) filter.shelf_location = stocktake.shelf_location;
+  if (stocktake.genre) {
+    const genreIds = [stocktake.genre, ...(await genres.descendantIds(stocktake.genre))];
+    const books = await Book.find({ genre: { $in: genreIds } }, '_id').exec();
+    filter.book = { $in: books.map((book) => book._id) };
+  }
+  return filter;
+};
+
+const openStocktake = async (stocktakeId) => {
+  const stocktake = await Stocktake.findById(stocktakeId).exec();
+  if (stocktake === null) throw serviceError(404, 'Stocktake not found');
+  if (!stocktake.is_open) throw serviceError(409, 'This stocktake is closed');
+  return stocktake;
+};
+
+// Record scanned or typed codes. A copy scanned twice is only kept once.
+// Returns how many codes were added, were repeats, and matched no copy.
+exports.addScans = async ({ stocktakeId, codes, user }) => {
+  const stocktake = await openStocktake(stocktakeId);
+
+  const scans = new Map(); // by key
+  let repeats = 0;
+
+  for (const code of codes) {
+    // trashed copies count as scanned, they're reported as unexpected
+    const copy = await BookInstance.findOne(BookInstance.codeFilter(code), '_id')
+      .setOptions({ withDeleted: true })
+      .exec();
+    const key = copy ? copy._id.toString() : code.toUpperCase();
+    if (scans.has(key)) {
+      repeats++;
+      continue;
+    }
+    scans.set(key, {
+      stocktake: stocktake._id,
+      key,
+      code: copy ? code : key,
+      book_instance: copy ? copy._id : null,
+      scanned_by: user._id,
+    });
+  }
+
+  const earlier = await StocktakeScan.find({ stocktake: stocktake._id, key: { $in: [...scans.keys()] } }, 'key').exec();
+  for (const scan of earlier) scans.delete(scan.key);
+  repeats += earlier.length;
+
+  const added = [...scans.values()];
+  const unknown = added.filter((scan) => scan.book_instance === null).length;
+
+  if (added.length) {
+    try {
+      await StocktakeScan.insertMany(added);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      throw serviceError(409, 'Some of these codes were being scanned at the same time. Scan them again.');
+    }
+    // closed in the meantime, its findings were worked out without these
+    if (!(await Stocktake.exists({ _id: stocktake._id, status: 'open' }))) {
+      await StocktakeScan.deleteMany({ stocktake: stocktake._id, key: { $in: [...scans.keys()] } }).exec();
+      throw serviceError(409, 'This stocktake was closed before the scans were saved');
+    }
+  }
+
+  debug(`Stocktake ${stocktake._id}: ${added.length} scans added, ${repeats} repeats`);
+  return { added: added.length, repeats, unknown };
+};
+
+// Close the stocktake and work out its findings.
+exports.close = async ({ stocktakeId, user }) => {
+  const stocktake = await openStocktake(stocktakeId);
+
+  const copies = await BookInstance.find(await scopeFilter(stocktake), '_id status barcode').exec();
+  const copiesById = new Map(copies.map((copy) => [copy._id.toString(), copy]));
+
+  const scans = await StocktakeScan.find({ stocktake: stocktake._id }, 'code book_instance').sort({ _id: 1 }).exec();
+  const scannedIds = scans.filter((scan) => scan.book_instance).map((scan) => scan.book_instance);
+  const scannedElsewhere = await BookInstance.find(
+    { _id: { $in: scannedIds.filter((id) => !copiesById.has(id.toString())) } },
+    '_id status barcode deleted_at'
+  ).setOptions({ withDeleted: true }).exec();
+  const elsewhereById = new Map(scannedElsewhere.map((copy) => [copy._id.toString(), copy]));
+
+  const findings = [];
+  const scanned = new Set();
+
+  for (const scan of scans) {
+    if (scan.book_instance === null) {
+      findings.push({ kind: 'unexpected', code: scan.code, note: 'No copy has this code' });
+      continue;
+    }
+    const id = scan.book_instance.toString();
+    scanned.add(id);
+    const copy = copiesById.get(id);
+
+    if (copy === undefined) {
+      const other = elsewhereById.get(id);
+      if (other === undefined) continue; // deleted for good since
+      findings.push({
+        kind: 'unexpected',
+        book_instance: other._id,
+        code: other.barcode,
+        status: other.status,
+        note: other.deleted_at ? 'In the trash' : 'Outside this stocktake',
+      });
+    } else if (copy.status !== ON_SHELF && !NOT_CHECKED.includes(copy.status)) {
+      findings.push({
+        kind: 'wrong_status',
+        book_instance: copy._id,
+        code: copy.barcode,
+        status: copy.status,
+        note: 'Found on the shelf',
+      });
+    }
+  }
+
+  const expected = copies.filter((copy) => copy.status === ON_SHELF);
+  for (const copy of expected) {
+    if (!scanned.has(copy._id.toString())) {
+      findings.push({ kind: 'missing', book_instance: copy._id, code: copy.barcode, status: copy.status, note: 'Not found' });
+    }
+  }
+
+  // the findings are saved first and taken back if somebody else closed it
+  const saved = await StocktakeFinding.insertMany(findings.map((finding) => ({ ...finding, stocktake: stocktake._id })));
+  const closed = await Stocktake.findOneAndUpdate(
+    { _id: stocktake._id, status: 'open' },
+    {
+      status: 'closed',
+      closed_at: new Date(),
+      closed_by: user._id,
+      expected_count: expected.length,
+    },
+    { new: true }
+  ).exec();
+  if (closed === null) {
+    await StocktakeFinding.deleteMany({ _id: { $in: saved.map((finding) => finding._id) } }).exec();
+    throw serviceError(409, 'This stocktake is already closed');
+  }
+
+  debug(`Closed stocktake ${closed._id} with ${findings.length} findings`);
+  return closed;
+};
+
+// The status a finding is corrected to, or null when there is nothing to
+// correct (unexpected copies just need reshelving) or the copy can't go
+// straight back on the shelf (a withdrawn copy has to be dealt with by hand).
+const correctionFor = (finding) => {
+  let to = null;
+  if (finding.kind === 'missing') to = 'Lost';
+  if (finding.kind === 'wrong_status') to = 'Available';
+  return to && BookInstance.canChangeStatus(finding.status, to) ? to : null;
+};
+
+exports.correctionFor = correctionFor;
+
+// Correct one copy. Its status has to be the one the stocktake saw, so a copy
+// that was checked out or returned since is left alone. Returns whether it
+// was corrected.
+const correctCopy = async (finding, stocktake, user) => {
+  const before = await BookInstance.findOne({ _id: finding.book_instance, status: finding.status }).exec();
+  if (before === null) return false;
+
+  if (before.status === 'Loaned') {
+    // on the shelf after all, so it was returned without being checked in
+    try {
+      await circulation.checkin(before._id);
+      return true;
+    } catch (err) {
+      if (err.status !== 409) throw err;
+      // no open loan either, just the status to fix
+    }
+  }
+
+  const after = await BookInstance.findOneAndUpdate(
+    { _id: before._id, status: before.status },
+    { status: correctionFor(finding), due_back: new Date() },
+    { new: true }
+  ).exec();
+  if (after === null) return false;
+
+  await audit.record('update', { before, after, actor: user });
+  await copyStatus.record({
+    bookInstanceId: after._id,
+    from: before.status,
+    to: after.status,
+    reason: `${finding.kind === 'missing' ? 'Not found' : 'Found'} in stocktake ${stocktake.name}`,
+    changedBy: user._id,
+  });
+  // a copy back on the shelf goes to the next hold on its book
+  if (after.status === 'Available') await holds.assignCopy(after);
+  return true;
+};
+
+// Apply the corrections for the picked findings of a closed stocktake.
+// Returns how many were applied and how many were skipped because the copy
+// changed since.
+exports.applyCorrections = async ({ stocktakeId, findingIds, user }) => {
+  const stocktake = await Stocktake.findById(stocktakeId).exec();
+  if (stocktake === null) throw serviceError(404, 'Stocktake not found');
+  if (stocktake.is_open) throw serviceError(409, 'Close the stocktake before correcting the catalog');
+
+  const findings = await StocktakeFinding.find({ _id: { $in: findingIds }, stocktake: stocktake._id }).exec();
+
+  let applied = 0;
+  let skipped = 0;
+  for (const finding of findings) {
+    if (finding.corrected_at || !correctionFor(finding)) continue;
+
+    if (await correctCopy(finding, stocktake, user)) {
+      finding.corrected_to = correctionFor(finding);
+      finding.corrected_at = new Date();
+      finding.corrected_by = user._id;
+      await finding.save();
+      applied++;
+    } else {
+      skipped++;
+    }
+  }
+
+  debug(`Stocktake ${stocktake._id}: ${applied} corrections applied, ${skipped} skipped`);
+  return { applied, skipped };
+};
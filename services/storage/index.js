@@ -0,0 +1,23 @@
+const config = require('../../config/storage');
+const localDisk = require('./localDisk');
+
+// The storage adapter for uploaded files, picked by config.driver. An
+// adapter is an object with
+//
+//   put(key, buffer)        save a file (async)
+//   stat(key)               { size, modified } or null when missing (async)
+//   createReadStream(key)   readable stream of the file's contents
+//   remove(key)             delete a file, missing files are fine (async)
+//
+// Keys look like "covers/<uuid>.jpg" and are never reused, so an
+// S3-compatible bucket can be dropped in by writing an adapter with the same
+// four methods and adding it here.
+const adapters = {
+  local: () => localDisk(config.localRoot),
+};
+
+if (!adapters[config.driver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${config.driver}"`);
+}
+
+module.exports = adapters[config.driver]();
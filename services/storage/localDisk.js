@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage adapter that keeps files in a directory on the local disk. Keys
+// are relative paths like "covers/<uuid>.jpg".
+module.exports = (root) => {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    // keys come from us, but never let one point outside the root
+    if (!file.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    async put(key, data) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, data);
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolve(key));
+        return { size: stats.size, modified: stats.mtime };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+};
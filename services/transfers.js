@@ -0,0 +1,125 @@
+const Transfer = require('../models/Transfer.js');
+const Branch = require('../models/Branch.js');
+const BookInstance = require('../models/BookInstance.js');
+const holds = require('./holds');
+const copyStatus = require('./copyStatus');
+const { serviceError } = require('./errors');
+const debug = require('debug')('Transfers');
+
+// Moving copies between branches. Sending a copy puts it In Transit, so it
+// can't be lent or set aside for a hold on the way; receiving it gives it
+// back the status it had and puts it on the new branch's shelves.
+
+// Copies on loan or set aside for a hold stay where they are.
+const SENDABLE = ['Available', 'Maintenance'];
+
+exports.SENDABLE = SENDABLE;
+
+// Send a copy to another branch. Returns the transfer.
+exports.send = async ({ bookInstanceId, toBranchId, user }) => {
+  const [copy, toBranch] = await Promise.all([
+    BookInstance.findById(bookInstanceId).exec(),
+    Branch.findById(toBranchId).exec(),
+  ]);
+
+  if (copy === null) throw serviceError(404, 'Book copy not found');
+  if (toBranch === null) throw serviceError(404, 'Branch not found');
+  if (copy.current_branch && copy.current_branch.equals(toBranch._id)) {
+    throw serviceError(409, `This copy is already at ${toBranch.name}`);
+  }
+
+  // claim the copy, so it can't be lent while the transfer is made
+  const claimed = await BookInstance.findOneAndUpdate(
+    { _id: copy._id, status: { $in: SENDABLE } },
+    { status: 'In Transit', shelf_location: '' },
+  ).exec();
+  if (claimed === null) {
+    throw serviceError(409, `Only copies that are ${SENDABLE.join(' or ')} can be sent to another branch`);
+  }
+
+  const transfer = await Transfer.create({
+    book_instance: copy._id,
+    from_branch: copy.current_branch,
+    to_branch: toBranch._id,
+    copy_status: claimed.status,
+    sent_by: user._id,
+  });
+
+  await copyStatus.record({
+    bookInstanceId: copy._id,
+    from: claimed.status,
+    to: 'In Transit',
+    reason: `Sent to ${toBranch.name}`,
+    changedBy: user._id,
+  });
+  debug(`Copy ${copy._id} sent to ${toBranch.name}`);
+  return transfer;
+};
+
+const closeTransfer = async (transferId, status, user) => {
+  const transfer = await Transfer.findOneAndUpdate(
+    { _id: transferId, status: 'in_transit' },
+    { status, closed_by: user._id, closed_at: new Date() },
+    { new: true }
+  ).exec();
+
+  if (transfer === null) {
+    if (await Transfer.exists({ _id: transferId })) throw serviceError(409, 'This transfer is already closed');
+    throw serviceError(404, 'Transfer not found');
+  }
+  return transfer;
+};
+
+// The copy gets back its status from before the transfer. An available copy
+// goes to the next hold on its book.
+const putBack = async (transfer, location) => {
+  const copy = await BookInstance.findOneAndUpdate(
+    { _id: transfer.book_instance, status: 'In Transit' },
+    { status: transfer.copy_status, ...location },
+    { new: true }
+  ).exec();
+  if (copy === null) return null;
+
+  await copyStatus.record({
+    bookInstanceId: copy._id,
+    from: 'In Transit',
+    to: copy.status,
+    reason: transfer.status === 'received' ? 'Transfer received' : 'Transfer cancelled',
+    changedBy: transfer.closed_by,
+  });
+  if (copy.status === 'Available') await holds.assignCopy(copy);
+  return copy;
+};
+
+// Take in a copy at the branch it was sent to, optionally straight onto one
+// of its shelves.
+exports.receive = async ({ transferId, shelfLocation = '', user }) => {
+  if (shelfLocation) {
+    const open = await Transfer.findOne({ _id: transferId, status: 'in_transit' })
+      .populate('to_branch', 'name shelf_locations')
+      .exec();
+    if (open !== null && open.to_branch && !open.to_branch.shelf_locations.includes(shelfLocation)) {
+      throw serviceError(422, `${open.to_branch.name} has no shelf called "${shelfLocation}"`);
+    }
+  }
+
+  const transfer = await closeTransfer(transferId, 'received', user);
+  await putBack(transfer, { current_branch: transfer.to_branch, shelf_location: shelfLocation });
+  debug(`Transfer ${transfer._id} received`);
+  return transfer;
+};
+
+// Call off a transfer. The copy stays at, or goes back to, the branch it was
+// sent from.
+exports.cancel = async ({ transferId, user }) => {
+  const transfer = await closeTransfer(transferId, 'cancelled', user);
+  await putBack(transfer, {});
+  debug(`Transfer ${transfer._id} cancelled`);
+  return transfer;
+};
+
+// The copy's transfer in progress, or null.
+exports.openTransferFor = (bookInstanceId) => Transfer.findOne({ book_instance: bookInstanceId, status: 'in_transit' })
+  .populate('from_branch', 'name')
+  .populate('to_branch', 'name')
+  .exec();
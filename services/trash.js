@@ -0,0 +1,137 @@
+const Book = require('../models/Book.js');
+const Author = require('../models/Author.js');
+const Genre = require('../models/Genre.js');
+const BookInstance = require('../models/BookInstance.js');
+const Series = require('../models/Series.js');
+const Publisher = require('../models/Publisher.js');
+const Edition = require('../models/Edition.js');
+const { DateTime } = require('luxon');
+const audit = require('./audit');
+const bookFiles = require('./bookFiles');
+const config = require('../config/trash');
+const { serviceError } = require('./errors');
+const debug = require('debug')('Trash');
+
+// Deleting a book, author, genre, copy, series, publisher or edition moves it to the trash (see
+// models/plugins/softDelete.js). From there it can be restored, and after
+// config.retentionDays it is purged for good by a background job.
+
+// Models that can be in the trash, by the name used in URLs
+const MODELS = {
+  book: Book,
+  author: Author,
+  genre: Genre,
+  bookinstance: BookInstance,
+  series: Series,
+  publisher: Publisher,
+  edition: Edition,
+};
+
+const modelFor = (type) => {
+  if (!MODELS[type]) throw serviceError(404, 'Not found');
+  return MODELS[type];
+};
+
+const findTrashed = (model, id) => {
+  return model.findOne({ _id: id, deleted_at: { $ne: null } }).exec();
+};
+
+// The day a document deleted at `deletedAt` gets purged.
+const purgeDate = (deletedAt) => DateTime.fromJSDate(deletedAt).plus({ days: config.retentionDays }).toJSDate();
+
+exports.purgeDate = purgeDate;
+
+// Move a document to the trash. Returns it, or null if there was no such
+// document (or it was already deleted).
+exports.softDelete = async (model, id, actor) => {
+  const doc = await model.findById(id).exec();
+  if (doc === null) return null;
+
+  const before = model.hydrate(doc.toObject());
+  doc.deleted_at = new Date();
+  doc.deleted_by = actor ? actor._id : null;
+  await doc.save();
+
+  await audit.record('delete', { before, actor });
+  debug(`Moved ${model.modelName} ${id} to the trash`);
+  return doc;
+};
+
+// Everything in the trash, newest first, as { type: [documents] }.
+exports.contents = async () => {
+  const contents = {};
+  for (const [type, model] of Object.entries(MODELS)) {
+    contents[type] = await model
+      .find({ deleted_at: { $ne: null } })
+      .sort({ deleted_at: -1 })
+      .populate('deleted_by', 'username')
+      .exec();
+  }
+  return contents;
+};
+
+// Take a document out of the trash. Anything it refers to has to be live
+// first, e.g. a book can't come back without its author.
+exports.restore = async (type, id, actor) => {
+  const model = modelFor(type);
+  const doc = await findTrashed(model, id);
+  if (doc === null) throw serviceError(404, 'Not found in the trash');
+
+  const missing = await audit.missingReferences(model, doc.toObject({ depopulate: true }));
+  if (missing.length) {
+    throw serviceError(409, `This ${type} can't be restored yet. ${audit.explainMissing(missing)}`);
+  }
+
+  // a genre of the same name (or with it as an alias) may have been created
+  // since, or this one merged into another
+  if (model.modelName === 'Genre') {
+    const clash = await model.findOne({ name_keys: { $in: doc.name_keys } }).exec();
+    if (clash) {
+      throw serviceError(409, `The genre "${clash.name}" already goes by this genre's name, so this one can't be restored.`);
+    }
+  }
+
+  const before = model.hydrate(doc.toObject());
+  doc.deleted_at = null;
+  doc.deleted_by = null;
+  await doc.save();
+
+  await audit.record('restore', { before, after: doc, actor });
+  return doc;
+};
+
+// Remove a document in the trash for good. Its history is kept, so it can
+// still be brought back from there, but a book's cover and attachments are
+// deleted with it.
+const purge = async (model, doc, actor) => {
+  const { deletedCount } = await model.deleteOne({ _id: doc._id, deleted_at: { $ne: null } }).exec();
+  if (deletedCount === 0) return; // restored or purged meanwhile
+  if (model === Book) await bookFiles.removeFilesOf(doc);
+  await audit.record('purge', { before: doc, actor });
+  debug(`Purged ${model.modelName} ${doc._id}`);
+};
+
+exports.purge = async (type, id, actor) => {
+  const model = modelFor(type);
+  const doc = await findTrashed(model, id);
+  if (doc === null) throw serviceError(404, 'Not found in the trash');
+  await purge(model, doc, actor);
+};
+
+// Purge everything deleted longer ago than the retention period. Run by the
+// scheduled jobs.
+exports.purgeExpired = async (now = new Date()) => {
+  const cutoff = DateTime.fromJSDate(now).minus({ days: config.retentionDays }).toJSDate();
+  let count = 0;
+
+  for (const model of Object.values(MODELS)) {
+    const expired = await model.find({ deleted_at: { $ne: null, $lt: cutoff } }).exec();
+    for (const doc of expired) {
+      await purge(model, doc, null);
+      count++;
+    }
+  }
+
+  if (count) debug(`Purged ${count} documents from the trash`);
+  return count;
+};
@@ -0,0 +1,38 @@
+// Geometry for the small SVG charts on the dashboard, worked out here so the
+// views only have to draw it. Coordinates are in SVG user units.
+
+// A line chart of `rows` with one line per key in `keys`, x along the rows
+// in order. Returns { width, height, lines: [{ key, points }], ticks, labels }
+// where `points` is ready for a <polyline>.
+exports.lineChart = (rows, keys, { width = 600, height = 240, label = 'date' } = {}) => {
+  const margin = { top: 10, right: 10, bottom: 30, left: 40 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const max = Math.max(1, ...rows.flatMap((row) => keys.map((key) => row[key] || 0)));
+  const x = (index) => margin.left + (rows.length > 1 ? (index / (rows.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => margin.top + plotHeight - (value / max) * plotHeight;
+
+  const lines = keys.map((key) => ({
+    key,
+    points: rows.map((row, index) => `${x(index).toFixed(1)},${y(row[key] || 0).toFixed(1)}`).join(' '),
+  }));
+
+  // zero, half way and the top
+  const ticks = [0, Math.round(max / 2), max]
+    .filter((value, index, all) => all.indexOf(value) === index)
+    .map((value) => ({ value, y: y(value) }));
+
+  // first, middle and last row, so the labels don't overlap
+  const labelIndexes = [...new Set([0, Math.floor((rows.length - 1) / 2), rows.length - 1])]
+    .filter((index) => index >= 0);
+  const labels = labelIndexes.map((index) => ({ text: rows[index][label], x: x(index), y: height - 10 }));
+
+  return { width, height, margin, lines, ticks, labels };
+};
+
+// Bar lengths as a percentage of the biggest value.
+exports.barChart = (rows, value) => {
+  const max = Math.max(0, ...rows.map((row) => row[value] || 0));
+  return rows.map((row) => ({ row, percent: max ? Math.round(((row[value] || 0) / max) * 100) : 0 }));
+};
@@ -0,0 +1,7 @@
+// Reading settings from the environment (e.g. from .env), for config/*.js.
+
+// An integer setting, or the fallback when it is unset or not a number.
+exports.intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
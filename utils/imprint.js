@@ -0,0 +1,11 @@
+// Split a free-text imprint, as copies used to store it, into publisher and
+// year: "London Gollancz, 2014." -> { publisher: 'London Gollancz', year: 2014 }.
+// Imprints without a year keep all their text as the publisher.
+exports.parseImprint = (imprint) => {
+  const text = (imprint || '').trim().replace(/[.\s]+$/, '');
+  const match = text.match(/^(.*?)[,\s]+(\d{4})$/);
+  if (match && match[1].trim()) {
+    return { publisher: match[1].trim(), year: Number(match[2]) };
+  }
+  return { publisher: text, year: null };
+};
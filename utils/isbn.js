@@ -0,0 +1,49 @@
+// ISBN-10 / ISBN-13 checksums and normalization. Books store their ISBN as a
+// bare 13 digit ISBN-13, e.g. "978-0-7564-0407-9" -> "9780756404079".
+
+// Strip spaces and hyphens, and upper-case the ISBN-10 "x" check digit.
+const clean = (value) => String(value).replace(/[\s-]/g, '').toUpperCase();
+
+const isbn13CheckDigit = (first12) => {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(first12[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+exports.isValidIsbn10 = (value) => {
+  const isbn = clean(value);
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = isbn[i] === 'X' ? 10 : Number(isbn[i]);
+    sum += digit * (10 - i);
+  }
+  return sum % 11 === 0;
+};
+
+exports.isValidIsbn13 = (value) => {
+  const isbn = clean(value);
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn) === isbn[12];
+};
+
+// Returns the ISBN as a bare ISBN-13, or null if it isn't a valid ISBN-10 or
+// ISBN-13.
+exports.normalizeIsbn = (value) => {
+  if (value === undefined || value === null) return null;
+
+  const isbn = clean(value);
+
+  if (exports.isValidIsbn13(isbn)) {
+    return isbn;
+  }
+
+  if (exports.isValidIsbn10(isbn)) {
+    const first12 = `978${isbn.slice(0, 9)}`;
+    return first12 + isbn13CheckDigit(first12);
+  }
+
+  return null;
+};
@@ -0,0 +1,112 @@
+// Minimal MARC21 bibliographic records, written as ISO 2709 ("binary MARC")
+// or as MARCXML. A record is
+//
+//   { leader, controlFields: [[tag, value]], dataFields: [{ tag, ind1, ind2, subfields: [[code, value]] }] }
+//
+// where leader is the 24 character leader with 00000 placeholders for the
+// record length and base address, which are filled in when it is written.
+
+const FIELD_TERMINATOR = '\x1e';
+const SUBFIELD_DELIMITER = '\x1f';
+const RECORD_TERMINATOR = '\x1d';
+
+// new record, language material, monograph, Unicode, full level
+const DEFAULT_LEADER = '00000nam a2200000 i 4500';
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+// the delimiters can't appear inside field data
+const stripDelimiters = (value) => String(value).replace(/[\x1d\x1e\x1f]/g, '');
+
+// The directory holds 4 digits of field length and 5 of offset, the leader
+// 5 of record length, so nothing may be longer than that.
+const MAX_FIELD_LENGTH = 9999;
+const MAX_RECORD_LENGTH = 99999;
+
+// The longest start of text that fits in max bytes of UTF-8, without
+// splitting a character.
+const truncateBytes = (text, max) => {
+  let bytes = 0;
+  let end = 0;
+  for (const char of text) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > max) break;
+    end += char.length;
+  }
+  return text.slice(0, end);
+};
+
+// Cut an over-long field (a long summary, say) down to the limit. A subfield
+// cut down to its bare delimiter is dropped.
+const fitField = (content) => {
+  if (Buffer.byteLength(content) + 1 <= MAX_FIELD_LENGTH) return content + FIELD_TERMINATOR;
+  return truncateBytes(content, MAX_FIELD_LENGTH - 1).replace(/\x1f.?$/, '') + FIELD_TERMINATOR;
+};
+
+exports.DEFAULT_LEADER = DEFAULT_LEADER;
+
+// Write a record as ISO 2709. Lengths and offsets are in bytes of UTF-8.
+// Fields too long for the format are cut short, and data fields that don't
+// fit in a record any more are left off the end.
+exports.toIso2709 = (record) => {
+  const fields = [
+    ...record.controlFields.map(([tag, value]) => [tag, fitField(stripDelimiters(value))]),
+    ...record.dataFields.map((field) => [
+      field.tag,
+      fitField(
+        field.ind1 + field.ind2 +
+        field.subfields.map(([code, value]) => SUBFIELD_DELIMITER + code + stripDelimiters(value)).join('')
+      ),
+    ]),
+  ];
+
+  let directory = '';
+  let data = '';
+  let offset = 0;
+  for (const [tag, content] of fields) {
+    const length = Buffer.byteLength(content);
+    // leader, directory with this entry and its terminator, data, record terminator
+    if (24 + directory.length + 13 + offset + length + 1 > MAX_RECORD_LENGTH) break;
+    directory += tag + pad(length, 4) + pad(offset, 5);
+    data += content;
+    offset += length;
+  }
+  directory += FIELD_TERMINATOR;
+
+  const baseAddress = 24 + Buffer.byteLength(directory);
+  const recordLength = baseAddress + Buffer.byteLength(data) + 1;
+  const leader = pad(recordLength, 5) + record.leader.slice(5, 12) + pad(baseAddress, 5) + record.leader.slice(17);
+
+  return Buffer.from(leader + directory + data + RECORD_TERMINATOR, 'utf8');
+};
+
+// XML 1.0 can't hold most control characters at all, so they are dropped
+const escapeXml = (text) => String(text)
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+exports.MARCXML_HEADER =
+  '<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="http://www.loc.gov/MARC21/slim">\n';
+exports.MARCXML_FOOTER = '</collection>\n';
+
+// Write a record as a MARCXML <record> element.
+exports.toMarcXml = (record) => {
+  const lines = ['  <record>', `    <leader>${escapeXml(record.leader)}</leader>`];
+
+  for (const [tag, value] of record.controlFields) {
+    lines.push(`    <controlfield tag="${tag}">${escapeXml(value)}</controlfield>`);
+  }
+  for (const field of record.dataFields) {
+    lines.push(`    <datafield tag="${field.tag}" ind1="${field.ind1}" ind2="${field.ind2}">`);
+    for (const [code, value] of field.subfields) {
+      lines.push(`      <subfield code="${code}">${escapeXml(value)}</subfield>`);
+    }
+    lines.push('    </datafield>');
+  }
+  lines.push('  </record>');
+
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,2 @@
+// Escape text for use as a literal inside a RegExp.
+exports.escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');